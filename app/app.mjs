@@ -0,0 +1,852 @@
+/* app.mjs
+ * -----------------------------------------
+ * Unified page over the shared recommender core (../lib). The strategy dropdown is built from
+ * STRATEGIES; switching strategies fits the chosen one once (cached) and both actions —
+ * similar movies and recommend-for-user — go through the same Recommender interface.
+ * Movies are picked with searchable comboboxes (movie-picker.mjs) into a liked and an optional
+ * disliked basket; "Similar Movies" ranks candidates against the whole basket with the chosen
+ * aggregation (Recommender.recommendFromBasket). Results are kept whole (every candidate,
+ * ranked); filters and re-sorting (lib/results.mjs) apply to that full list before it is split
+ * into pages. With the diversity slider above 0 (or a per-genre cap) the relevance-ordered
+ * list is re-ranked by MMR first (lib/diversity.mjs); each page reports its intra-list
+ * diversity and novelty, plus catalog coverage over every page shown with the strategy.
+ *
+ * "Use your own data" swaps the dataset: dropped/picked files are recognized by content; a
+ * ratings file in no known format gets a column-mapping step before it is loaded. Ratings are
+ * always streamed, with byte progress in #status and the chosen sampling applied while reading.
+ * Every load ends with a validation report (counts per issue, first offending lines); in
+ * strict mode the first malformed line stops the load instead.
+ *
+ * The time panel replays history: the as-of slider restricts the ratings to those made before
+ * a date (lib/temporal.mjs) and every strategy is refitted on that view; a rating half-life is
+ * passed to the strategies that decay ratings by age. "Evaluate" refits the current strategy on
+ * the earliest 90% of the (as-of) ratings and scores it on the rest (lib/evaluation.mjs). The
+ * selected user's latest rating sessions are listed under the user picker.
+ *
+ * Result titles open a detail panel (movie-detail.mjs) with the movie's metadata, rating
+ * histogram and nearest neighbors under the current strategy; a neighbor opens in its place,
+ * and "Use as seed" makes the movie the liked basket and shows its similar movies.
+ *
+ * The latent space map (latent-map.mjs) plots the current MF strategy's item factors in 2-D
+ * (PCA, or t-SNE on request for catalogs up to TSNE_DEFAULTS.maxItems movies;
+ * lib/projection.mjs), computed when the panel is opened and kept
+ * per fitted strategy. The results on the current page and their seeds are marked on it, and
+ * clicking a movie there uses it as seed.
+ *
+ * When a strategy fails to fit (e.g. MF training diverges) the page falls back to the
+ * Bayesian-average baseline (lib/baselines.mjs) and says so in the status, the headings and
+ * the badges; baseline scores are shown as what they are (ratings, ★, trend), never as a
+ * similarity.
+ */
+
+import {
+  loadDataset, readSource, detectFormat, sniffDelimited, guessColumnMapping,
+  STRATEGIES, createRecommender, GENRES_18, refineResults, paginate, yearRange,
+  rerankDiverse, listMetrics, CoverageTracker, FALLBACK_BASELINE,
+  DAY, timeRange, datasetAsOf, userSessions, temporalSplit, evaluateRecommender, projectVectors, TSNE_DEFAULTS
+} from '../lib/index.mjs';
+import { MoviePicker } from './movie-picker.mjs';
+import { MovieDetail } from './movie-detail.mjs';
+import { LatentMap } from './latent-map.mjs';
+
+const ALL = Infinity; // results are ranked in full and paginated on the page
+const DATA = { items: '../data/u.item', ratings: '../data/u.data' };
+const HEAD_BYTES = 64 * 1024; // enough of a dropped file to recognize its format
+
+let fullDataset = null;   // as loaded
+let dataset = null;       // what strategies fit on: fullDataset as of the time panel's date
+const fitted = new Map(); // strategy id -> Promise<Recommender>
+let current = null;       // fitted Recommender behind the buttons
+let pending = null;       // { itemsFile, ratingsFile, headText, sniffed } waiting for a column mapping
+let liked = null;         // MoviePicker for the liked basket
+let disliked = null;      // MoviePicker for the disliked basket
+let detail = null;        // MovieDetail panel
+let latentMap = null;     // LatentMap of the current strategy's item factors
+const projections = new WeakMap(); // Recommender -> Map(projection -> Promise<{ coords, explained }>)
+let results = null;       // { heading, recs, anchors, forUser, page, pageItems } being shown
+const coverage = new Map(); // strategy id -> CoverageTracker for the current dataset
+
+const $ = (id) => document.getElementById(id);
+
+function setStatus(text) {
+  $('status').textContent = text;
+}
+
+/*** Setup ***/
+async function init() {
+  const strategySelect = $('strategy-select');
+  for (const S of STRATEGIES) {
+    const opt = document.createElement('option');
+    opt.value = S.id;
+    opt.textContent = S.label;
+    strategySelect.appendChild(opt);
+  }
+  strategySelect.addEventListener('change', () => selectStrategy(strategySelect.value));
+  initPickers();
+  initDetail();
+  initLatentMap();
+  initResultControls();
+  $('similar-btn').addEventListener('click', showSimilar);
+  $('user-btn').addEventListener('click', showForUser);
+  $('user-select').addEventListener('change', renderSessions);
+  initTimePanel();
+  initDataPanel();
+  await loadDefaultData();
+}
+
+async function loadDefaultData() {
+  await loadAndUse({ ...DATA }, "MovieLens 100k");
+}
+
+/* Stream a dataset in (with the panel's sampling) and switch to it. */
+async function loadAndUse(sources, name) {
+  const progress = $('fit-progress');
+  setStatus(`Loading ${name}…`);
+  let ds;
+  try {
+    ds = await loadDataset({
+      ...sources,
+      sample: readSampling(),
+      strict: $('strict-mode').checked,
+      onProgress: ({ loaded, total, rows }) => {
+        const mb = (b) => (b / 1048576).toFixed(1);
+        if (total) {
+          progress.hidden = false;
+          progress.value = loaded / total;
+        }
+        setStatus(`Loading ${name}: ${mb(loaded)}${total ? ` of ${mb(total)}` : ''} MB, ${rows.toLocaleString()} ratings…`);
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    progress.hidden = true;
+    $('validation-report').hidden = true;
+    setStatus(`Could not load ${name}: ${err.message}`);
+    return false;
+  }
+  progress.hidden = true;
+  renderReport(ds.report);
+  if (!ds.numRatings) {
+    setStatus(`No ratings could be read from ${name}.`);
+    return false;
+  }
+  await useDataset(ds);
+  return true;
+}
+
+/* Sampling from the data panel; 'all' unless a strategy and size are chosen. */
+function readSampling() {
+  const strategy = $('sample-strategy').value;
+  const n = Math.floor(Number($('sample-size').value));
+  if (strategy === 'all' || !(n > 0)) return { strategy: 'all' };
+  return strategy === 'per-user' ? { strategy, perUser: n } : { strategy, limit: n };
+}
+
+/* Swap in a new dataset: every strategy has to be refitted on it. */
+async function useDataset(ds) {
+  fullDataset = ds;
+  liked.setMovies(ds.movies);
+  disliked.setMovies(ds.movies);
+  const range = yearRange(ds.movies);
+  $('result-year-from').placeholder = range ? String(range[0]) : "";
+  $('result-year-to').placeholder = range ? String(range[1]) : "";
+  resetTimeRange();
+  await useTimeView();
+}
+
+/* Fit on the ratings before the as-of date (all of them at "latest"). */
+async function useTimeView() {
+  dataset = datasetAsOf(fullDataset, readAsOf());
+  detail.setDataset(dataset);
+  fitted.clear();
+  coverage.clear();
+  clearResults();
+  $('eval-result').textContent = "";
+  populateUsers();
+  await selectStrategy($('strategy-select').value);
+}
+
+/* Keeps the chosen user when they are still in the (as-of) data. */
+function populateUsers() {
+  const sel = $('user-select');
+  const previous = sel.value;
+  sel.innerHTML = "";
+  for (const id of [...dataset.userIds].sort((a, b) => a - b)) {
+    const opt = document.createElement('option');
+    opt.value = String(id);
+    opt.textContent = `User ${id} (${dataset.userRatingCount(id)} ratings)`;
+    sel.appendChild(opt);
+  }
+  if (dataset.userIndex.has(Number(previous))) sel.value = previous;
+  renderSessions();
+}
+
+/* Both baskets share the genre/year filters; a movie can only be in one of them. */
+function initPickers() {
+  for (const g of GENRES_18) $('picker-genre').appendChild(new Option(g, g));
+  const basket = (name, other) => new MoviePicker({
+    input: $(`${name}-input`),
+    listbox: $(`${name}-listbox`),
+    chips: $(`${name}-chips`),
+    genre: $('picker-genre'),
+    yearFrom: $('picker-year-from'),
+    yearTo: $('picker-year-to'),
+    count: $(`${name}-count`)
+  }, { exclude: () => other().selected });
+  liked = basket('liked', () => disliked);
+  disliked = basket('disliked', () => liked);
+}
+
+function initDetail() {
+  detail = new MovieDetail({
+    panel: $('movie-detail'),
+    title: $('detail-title'),
+    meta: $('detail-meta'),
+    histogram: $('detail-histogram'),
+    similar: $('detail-similar'),
+    back: $('detail-back'),
+    close: $('detail-close'),
+    seed: $('detail-seed')
+  }, {
+    similarItems: (itemId, k) => (current ? current.similarItems(itemId, k) : []),
+    onSeed: useAsSeed
+  });
+}
+
+function initLatentMap() {
+  latentMap = new LatentMap({
+    canvas: $('latent-canvas'),
+    tooltip: $('latent-tooltip'),
+    legend: $('latent-legend'),
+    caption: $('latent-caption'),
+    reset: $('latent-reset')
+  }, { onSelect: useAsSeed });
+  $('latent-panel').addEventListener('toggle', updateLatentMap);
+  $('latent-projection').addEventListener('change', updateLatentMap);
+  globalThis.addEventListener('resize', () => latentMap.draw());
+}
+
+/* Plot the current strategy's item factors, projecting them on first use; only while open. */
+async function updateLatentMap() {
+  if (!$('latent-panel').open) return;
+  const rec = current;
+  if (!rec) {
+    latentMap.clear("Waiting for the strategy…");
+    return;
+  }
+  if (!rec.model) {
+    latentMap.clear(`${rec.label} has no item factors to plot; choose a Matrix Factorization strategy.`);
+    return;
+  }
+  updateProjections(rec);
+  const method = $('latent-projection').value;
+  if (!projections.has(rec)) projections.set(rec, new Map());
+  const cache = projections.get(rec);
+  if (!cache.has(method)) {
+    const { Qunit, K } = rec.model;
+    latentMap.clear(`Projecting ${rec.dataset.itemIds.length.toLocaleString()} movies…`);
+    cache.set(method, projectVectors(Qunit, K, method, {
+      onProgress: ({ iteration, iterations }) => {
+        if (current === rec) $('latent-caption').textContent = `t-SNE: iteration ${iteration}/${iterations}…`;
+      }
+    }));
+  }
+
+  let layout;
+  try {
+    layout = await cache.get(method);
+  } catch (err) {
+    console.error(err);
+    cache.delete(method);
+    latentMap.clear(`Could not project the item factors: ${err.message}`);
+    return;
+  }
+  // Switched strategy or projection while projecting.
+  if (current !== rec || $('latent-projection').value !== method) return;
+  const caption = layout.explained
+    ? `PCA of ${rec.label} item factors: the axes explain ${(layout.explained[0] * 100).toFixed(1)}% and ` +
+      `${(layout.explained[1] * 100).toFixed(1)}% of their variance.`
+    : `t-SNE of ${rec.label} item factors: nearby movies are latent neighbors; distances across the map mean little.`;
+  latentMap.setPoints(rec.dataset, rec.dataset.itemIds, layout.coords, caption);
+  highlightResults();
+}
+
+/* Exact t-SNE needs n² memory and time: above TSNE_DEFAULTS.maxItems movies only PCA is offered. */
+function updateProjections(rec) {
+  const sel = $('latent-projection');
+  const tooMany = rec.dataset.itemIds.length > TSNE_DEFAULTS.maxItems;
+  for (const opt of sel.options) {
+    if (opt.value !== 'tsne') continue;
+    opt.disabled = tooMany;
+    opt.title = tooMany ? `Only for up to ${TSNE_DEFAULTS.maxItems.toLocaleString()} movies` : '';
+  }
+  if (tooMany && sel.value === 'tsne') sel.value = 'pca';
+}
+
+/* Mark the results on the visible page and their seeds on the map. */
+function highlightResults() {
+  if (!results || !results.pageItems) latentMap.highlight();
+  else latentMap.highlight(results.pageItems, results.anchors);
+}
+
+/* Walk the similarity graph: the movie becomes the only liked pick. */
+function useAsSeed(itemId) {
+  disliked.setSelected(disliked.selected.filter(id => id !== itemId));
+  liked.setSelected([itemId]);
+  showSimilar();
+}
+
+/* Any change to the result controls re-renders from page 1, without re-scoring. */
+function initResultControls() {
+  for (const g of GENRES_18) $('result-genre').appendChild(new Option(g, g));
+  const ids = ['page-size', 'result-sort', 'result-genre', 'result-year-from', 'result-year-to',
+    'result-min-ratings', 'result-min-average', 'diversity', 'max-per-genre'];
+  $('diversity').addEventListener('input', () => {
+    $('diversity-value').textContent = Number($('diversity').value).toFixed(2);
+  });
+  for (const id of ids) {
+    $(id).addEventListener('change', () => {
+      if (!results) return;
+      results.page = 1;
+      renderResultsPage();
+    });
+  }
+  $('page-prev').addEventListener('click', () => turnPage(-1));
+  $('page-next').addEventListener('click', () => turnPage(1));
+}
+
+function turnPage(delta) {
+  if (!results) return;
+  results.page += delta;
+  renderResultsPage();
+}
+
+/* Only offer the aggregations the strategy supports (Rocchio needs item vectors). */
+function updateAggregations(rec) {
+  const sel = $('aggregation-select');
+  for (const opt of sel.options) opt.disabled = !rec.aggregations.includes(opt.value);
+  if (!rec.aggregations.includes(sel.value)) sel.value = rec.aggregations[0];
+}
+
+/* Fit on first use; later switches reuse the fitted instance. */
+async function selectStrategy(id) {
+  current = null;
+  setButtonsEnabled(false);
+  updateLatentMap();
+  const progress = $('fit-progress');
+
+  if (!fitted.has(id)) {
+    const rec = createRecommender(id, {
+      ...timeOptions(),
+      // MF solvers report epochs (RMSE, or loss for ranking objectives), k-NN rows of its index.
+      onProgress: (p) => {
+        progress.hidden = false;
+        if (p.epochs) {
+          progress.value = p.epoch / p.epochs;
+          const fit = p.rmse != null ? `RMSE ${p.rmse.toFixed(4)}` : `loss ${p.loss.toFixed(4)}`;
+          setStatus(`Training ${rec.label}: epoch ${p.epoch}/${p.epochs}, ${fit}`);
+        } else {
+          progress.value = p.done / p.total;
+          setStatus(`Building ${rec.label} neighbor index: ${p.done}/${p.total}`);
+        }
+      }
+    });
+    setStatus(`Preparing ${rec.label}…`);
+    fitted.set(id, rec.fit(dataset).catch(err => fitFallback(rec, err)));
+  }
+
+  try {
+    const rec = await fitted.get(id);
+    // Switched strategy or dataset again while fitting.
+    if ($('strategy-select').value !== id || rec.dataset !== dataset) return;
+    current = rec;
+    updateAggregations(rec);
+    // Neighbors in an open detail panel follow the strategy.
+    if (detail.isOpen) detail.show(detail.itemId, { remember: false });
+    updateLatentMap();
+    progress.hidden = true;
+    setButtonsEnabled(true);
+    setStatus(rec.fallbackFor
+      ? `${rec.fallbackFor.label} failed (${rec.fitError.message}) — falling back to ${rec.label}.`
+      : `${rec.label} ready — ${dataset.movies.length} movies, ${dataset.numRatings} ratings.`);
+  } catch (err) {
+    console.error(err);
+    fitted.delete(id);
+    progress.hidden = true;
+    setStatus(`Could not prepare the strategy: ${err.message}`);
+  }
+}
+
+/*** Time ***/
+/* UTC date of an epoch-seconds timestamp, optionally with hours and minutes. */
+const formatDate = (ts, time = false) => new Date(ts * 1000).toISOString().slice(0, time ? 16 : 10).replace('T', ' ');
+
+function initTimePanel() {
+  const slider = $('as-of');
+  slider.addEventListener('input', () => {
+    const cutoff = readAsOf();
+    $('as-of-value').textContent = cutoff == null ? "latest" : formatDate(cutoff);
+  });
+  slider.addEventListener('change', useTimeView);
+  $('half-life').addEventListener('change', () => {
+    fitted.clear();
+    coverage.clear();
+    clearResults();
+    selectStrategy($('strategy-select').value);
+  });
+  $('eval-btn').addEventListener('click', runEvaluation);
+}
+
+/* Slider spans the loaded data by day, from one day after its first rating; the end is "latest". */
+function resetTimeRange() {
+  const slider = $('as-of');
+  const range = timeRange(fullDataset);
+  slider.disabled = !range || range[1] - range[0] <= DAY;
+  const [lo, hi] = range || [0, 0];
+  slider.min = String(lo + DAY);
+  slider.max = String(Math.max(lo + DAY, hi));
+  slider.value = slider.max;
+  $('as-of-value').textContent = "latest";
+}
+
+/* Cutoff in epoch seconds, or null for "latest" (every rating). */
+function readAsOf() {
+  const slider = $('as-of');
+  const value = Number(slider.value);
+  return slider.disabled || value >= Number(slider.max) ? null : value;
+}
+
+/* Options every strategy gets; only the decaying ones read halfLifeDays. */
+function timeOptions() {
+  const halfLife = Number($('half-life').value);
+  return halfLife > 0 ? { halfLifeDays: halfLife } : {};
+}
+
+/* The selected user's latest sessions in the (as-of) data. */
+function renderSessions() {
+  const list = $('session-list');
+  list.innerHTML = "";
+  const userId = Number($('user-select').value);
+  if (!dataset || !dataset.userIndex.has(userId)) return;
+  for (const session of userSessions(dataset, userId)) {
+    const li = document.createElement('li');
+    const n = session.ratings.length;
+    li.textContent = session.start
+      ? `${formatDate(session.start, true)} — ${n} rating${n === 1 ? '' : 's'}`
+      : `Undated — ${n} rating${n === 1 ? '' : 's'}`;
+    const ul = document.createElement('ul');
+    for (const r of session.ratings.slice(0, 10)) {
+      const item = document.createElement('li');
+      item.textContent = `${dataset.title(r.itemId)} — ${r.rating}★`;
+      ul.appendChild(item);
+    }
+    if (n > 10) {
+      const more = document.createElement('li');
+      more.textContent = `…and ${n - 10} more`;
+      ul.appendChild(more);
+    }
+    li.appendChild(ul);
+    list.appendChild(li);
+  }
+}
+
+/* Refit the current strategy on the earliest 90% of the ratings and score it on the rest. */
+async function runEvaluation() {
+  if (!current) return;
+  const id = current.fallbackFor ? current.fallbackFor.id : current.id;
+  const out = $('eval-result');
+  const btn = $('eval-btn');
+  btn.disabled = true;
+  try {
+    const split = temporalSplit(dataset, { testFraction: 0.1 });
+    out.textContent = `Training on ${split.train.numRatings.toLocaleString()} ratings before ${formatDate(split.cutoff)}…`;
+    const rec = await createRecommender(id, timeOptions()).fit(split.train);
+    const m = await evaluateRecommender(rec, split, {
+      onProgress: ({ done, total }) => { out.textContent = `Scoring users: ${done}/${total}…`; }
+    });
+    out.textContent =
+      `${rec.label}, trained before ${formatDate(split.cutoff)} and tested on the ` +
+      `${split.test.length.toLocaleString()} later ratings: precision@${m.k} ${m.precision.toFixed(3)}, ` +
+      `recall@${m.k} ${m.recall.toFixed(3)}, hit rate ${(m.hitRate * 100).toFixed(1)}% over ${m.users} users` +
+      (m.rmse != null ? `; RMSE ${m.rmse.toFixed(3)}, MAE ${m.mae.toFixed(3)} on ${m.predicted.toLocaleString()} predictable ratings` : '') + '.';
+  } catch (err) {
+    console.error(err);
+    out.textContent = `Evaluation failed: ${err.message}`;
+  } finally {
+    btn.disabled = !current;
+  }
+}
+
+/* A strategy that cannot be fitted is replaced by the baseline, remembering why. */
+async function fitFallback(failed, err) {
+  if (failed.id === FALLBACK_BASELINE) throw err;
+  console.error(err);
+  const rec = await createRecommender(FALLBACK_BASELINE).fit(failed.dataset || dataset);
+  rec.fallbackFor = failed;
+  rec.fitError = err;
+  return rec;
+}
+
+/* Strategy name for result headings; fallbacks are labeled as such. */
+function strategyName(rec) {
+  return rec.fallbackFor ? `fallback: ${rec.label}, ${rec.fallbackFor.label} failed` : rec.label;
+}
+
+/*** Own data ***/
+function initDataPanel() {
+  const zone = $('drop-zone');
+  zone.addEventListener('dragover', (ev) => {
+    ev.preventDefault();
+    zone.classList.add('dragover');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+  zone.addEventListener('drop', (ev) => {
+    ev.preventDefault();
+    zone.classList.remove('dragover');
+    handleFiles(ev.dataTransfer.files);
+  });
+  $('file-input').addEventListener('change', (ev) => {
+    handleFiles(ev.target.files);
+    ev.target.value = "";
+  });
+  $('reset-data-btn').addEventListener('click', () => {
+    hideMapping();
+    loadDefaultData();
+  });
+  $('sample-strategy').addEventListener('change', () => {
+    $('sample-size').disabled = $('sample-strategy').value === 'all';
+  });
+
+  $('map-delimiter').addEventListener('change', () => showMapping(sniffDelimited(pending.headText, $('map-delimiter').value)));
+  $('map-header').addEventListener('change', () => renderMappingPreview());
+  $('mapping-form').addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    loadMapped();
+  });
+}
+
+/* Sort the files into movies / ratings by their first bytes; unknown files are taken as ratings. */
+async function handleFiles(fileList) {
+  const files = [...fileList];
+  if (!files.length) return;
+  hideMapping();
+  setStatus(`Reading ${files.map(f => f.name).join(', ')}…`);
+
+  let items = null, ratings = null, unknown = null;
+  try {
+    for (const file of files) {
+      const headText = await readSource(file.slice(0, HEAD_BYTES));
+      const format = detectFormat(headText);
+      const entry = { file, headText, format };
+      if (format && format.kind === 'items' && !items) items = entry;
+      else if (format && format.kind === 'ratings' && !ratings) ratings = entry;
+      else if (!format && !unknown) unknown = entry;
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not read the files: ${err.message}`);
+    return;
+  }
+
+  const itemsFile = items ? items.file : null;
+  if (ratings) {
+    await loadAndUse({ items: itemsFile, ratings: ratings.file, ratingsFormat: ratings.format.id }, ratings.file.name);
+  } else if (unknown) {
+    pending = { itemsFile, ratingsFile: unknown.file, headText: unknown.headText };
+    showMapping(sniffDelimited(unknown.headText));
+    setStatus(`${unknown.file.name} is not a known format — map its columns below.`);
+  } else {
+    setStatus("No ratings file found. Add a ratings file (u.data, ratings.dat, ratings.csv or your own).");
+  }
+}
+
+function showMapping(sniffed) {
+  pending.sniffed = sniffed;
+  $('mapping-form').hidden = false;
+  $('mapping-file').textContent = `Columns of ${pending.ratingsFile.name}:`;
+  $('map-delimiter').value = sniffed.delimiter;
+  $('map-header').checked = sniffed.hasHeader;
+
+  const guess = guessColumnMapping(sniffed);
+  for (const key of ['user', 'item', 'rating', 'timestamp']) {
+    const sel = $(`map-${key}`);
+    sel.innerHTML = "";
+    if (key === 'timestamp') sel.appendChild(new Option("(none)", "-1"));
+    for (let c = 0; c < sniffed.columnCount; c++) {
+      const name = sniffed.header ? sniffed.header[c] : `Column ${c + 1}`;
+      sel.appendChild(new Option(name, String(c)));
+    }
+    sel.value = String(guess[key]);
+  }
+  renderMappingPreview();
+}
+
+function renderMappingPreview() {
+  const table = $('mapping-preview');
+  table.innerHTML = "";
+  const { sniffed } = pending;
+  const all = sniffed.header ? [sniffed.header, ...sniffed.preview] : sniffed.preview;
+  const withHeader = $('map-header').checked;
+  const names = withHeader && all.length ? all[0] : null;
+  const rows = withHeader ? all.slice(1) : all;
+
+  const head = table.createTHead().insertRow();
+  for (let c = 0; c < sniffed.columnCount; c++) {
+    const th = document.createElement('th');
+    th.textContent = names ? names[c] : `Column ${c + 1}`;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (let c = 0; c < sniffed.columnCount; c++) tr.insertCell().textContent = row[c] ?? "";
+  }
+}
+
+function hideMapping() {
+  pending = null;
+  $('mapping-form').hidden = true;
+}
+
+async function loadMapped() {
+  if (!pending) return;
+  const col = (key) => Number($(`map-${key}`).value);
+  const { itemsFile, ratingsFile } = pending;
+  const scale = [Number($('map-scale-min').value), Number($('map-scale-max').value)];
+  if (!(scale[0] < scale[1])) {
+    setStatus("The lowest rating has to be below the highest.");
+    return;
+  }
+  const mapping = {
+    delimiter: $('map-delimiter').value,
+    hasHeader: $('map-header').checked,
+    columns: { user: col('user'), item: col('item'), rating: col('rating'), timestamp: col('timestamp') },
+    scale
+  };
+  if (await loadAndUse({ items: itemsFile, ratings: ratingsFile, mapping }, ratingsFile.name)) hideMapping();
+}
+
+function setButtonsEnabled(on) {
+  $('similar-btn').disabled = !on;
+  $('user-btn').disabled = !on;
+  $('eval-btn').disabled = !on;
+}
+
+/*** Actions ***/
+function showSimilar() {
+  if (!current) return;
+  const basket = { liked: liked.selected, disliked: disliked.selected };
+  if (!basket.liked.length) {
+    clearResults();
+    $('result').textContent = "Pick at least one movie you liked first.";
+    return;
+  }
+  const recs = current.recommendFromBasket(basket, ALL, { aggregation: $('aggregation-select').value });
+  const names = (ids) => (ids.length === 1 ? `“${dataset.title(ids[0])}”` : `${ids.length} movies`);
+  const heading = `Because you liked ${names(basket.liked)}` +
+    (basket.disliked.length ? ` but not ${names(basket.disliked)}` : '') + ` (${strategyName(current)})`;
+  showResults(recs.length ? heading : "No similar movies found.", recs, basket.liked);
+}
+
+function showForUser() {
+  if (!current) return;
+  const userId = Number($('user-select').value);
+  const recs = current.recommendForUser(userId, ALL);
+  showResults(
+    recs.length ? `Top picks for user ${userId} (${strategyName(current)})` : "This user has no unseen movies to recommend.",
+    recs,
+    current.anchorsForUser(userId),
+    userId
+  );
+}
+
+/*** Rendering ***/
+function showResults(heading, recs, anchors, forUser = null) {
+  results = { heading, recs, anchors, forUser, page: 1 };
+  renderResultsPage();
+}
+
+function clearResults() {
+  results = null;
+  $('result').textContent = "";
+  $('recommendations').innerHTML = "";
+  $('result-metrics').textContent = "";
+  $('result-controls').hidden = true;
+  $('pager').hidden = true;
+  latentMap.highlight();
+}
+
+function readResultOptions() {
+  const num = (id) => ($(id).value === "" ? null : Number($(id).value));
+  const genre = $('result-genre').value;
+  return {
+    pageSize: Number($('page-size').value),
+    sort: $('result-sort').value,
+    diversity: {
+      lambda: 1 - Number($('diversity').value),
+      maxPerGenre: num('max-per-genre')
+    },
+    filters: {
+      genres: genre ? [genre] : [],
+      yearFrom: num('result-year-from'),
+      yearTo: num('result-year-to'),
+      minRatings: num('result-min-ratings') || 0,
+      minAverage: num('result-min-average')
+    }
+  };
+}
+
+/* Filter and sort the whole ranked list, then show one page of it. */
+function renderResultsPage() {
+  const { heading, recs, anchors, forUser } = results;
+  const { pageSize, sort, filters, diversity } = readResultOptions();
+  let refined = refineResults(recs, dataset, { filters, sort });
+  // Re-ranking trades relevance order for variety; an explicit re-sort overrides both.
+  if (sort === 'score') refined = rerankDiverse(refined, dataset, diversity);
+  const page = paginate(refined, results.page, pageSize);
+  results.page = page.page;
+  results.pageItems = page.items.map(r => r.itemId);
+  renderMetrics(results.pageItems);
+  highlightResults();
+
+  $('result-controls').hidden = !recs.length;
+  if (!recs.length) {
+    renderResults(heading, [], anchors, forUser);
+  } else if (!refined.length) {
+    renderResults(`${heading}: no movies match the filters.`, [], anchors, forUser);
+  } else {
+    const count = `${refined.length.toLocaleString()} movie${refined.length === 1 ? '' : 's'}` +
+      (refined.length < recs.length ? ' after filters' : '');
+    renderResults(`${heading} — ${count}:`, page.items, anchors, forUser, page.start);
+  }
+
+  $('pager').hidden = page.pages <= 1;
+  $('page-info').textContent = `Page ${page.page} of ${page.pages}`;
+  $('page-prev').disabled = page.page <= 1;
+  $('page-next').disabled = page.page >= page.pages;
+}
+
+/* Summary line plus one row per issue with its first offending lines; opened when there are errors. */
+function renderReport(report) {
+  const box = $('validation-report');
+  box.hidden = !report;
+  if (!report) return;
+  const lines = Object.values(report.lines).reduce((a, b) => a + b, 0);
+  $('validation-summary').textContent = `Data check: ${report.summary()} in ${lines.toLocaleString()} lines`;
+  box.open = report.errorCount > 0;
+
+  const table = $('validation-table');
+  table.innerHTML = "";
+  if (report.ok) return;
+  const head = table.createTHead().insertRow();
+  for (const name of ["Issue", "Count", "First lines"]) {
+    const th = document.createElement('th');
+    th.textContent = name;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const e of report.entries()) {
+    const tr = body.insertRow();
+    tr.className = e.severity;
+    tr.insertCell().textContent = e.label;
+    tr.insertCell().textContent = e.count.toLocaleString();
+    tr.insertCell().textContent = e.samples
+      .map(s => `${s.file.split('/').pop()} line ${s.line}${s.detail ? ` (${s.detail})` : ''}`)
+      .join('; ');
+  }
+}
+
+/* Diversity and novelty of the visible page; coverage over all pages shown with this strategy. */
+function renderMetrics(itemIds) {
+  if (!itemIds.length) {
+    $('result-metrics').textContent = "";
+    return;
+  }
+  if (!coverage.has(current.id)) coverage.set(current.id, new CoverageTracker(dataset.movies.length));
+  const tracker = coverage.get(current.id);
+  tracker.record(itemIds);
+  const m = listMetrics(itemIds, dataset);
+  $('result-metrics').textContent =
+    `Diversity ${m.diversity.toFixed(2)} · novelty ${m.novelty.toFixed(2)} bits · ${m.genres} genres · ` +
+    `catalog coverage ${(tracker.coverage * 100).toFixed(1)}% over ${tracker.lists} list${tracker.lists === 1 ? '' : 's'} shown`;
+}
+
+function renderResults(heading, recs, anchors, forUser = null, start = 0) {
+  $('result').textContent = heading;
+  const ul = $('recommendations');
+  ul.innerHTML = "";
+
+  recs.forEach((r, n) => {
+    const li = document.createElement('li');
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'title-link';
+    title.textContent = `${start + n + 1}. ${r.title}`;
+    title.title = "Show details";
+    title.addEventListener('click', () => detail.show(r.itemId));
+
+    const count = dataset.ratingCount(r.itemId);
+    const avg = dataset.averageRating(r.itemId);
+    const meta = document.createElement('span');
+    meta.className = 'rec-meta';
+    meta.textContent = `${count} rating${count === 1 ? '' : 's'}${avg != null ? ` · avg ${avg.toFixed(1)}★` : ''}`;
+
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    if (r.baseline) {
+      badge.classList.add('baseline');
+      badge.textContent = current.fallbackFor ? `fallback · ${current.formatScore(r.score)}` : current.formatScore(r.score);
+      badge.title = current.label;
+    } else {
+      badge.textContent = r.predicted != null ? `${r.predicted.toFixed(2)} ★` : r.score.toFixed(3);
+      badge.title = r.predicted != null ? "Predicted rating" : "Similarity score";
+    }
+
+    li.appendChild(title);
+    li.appendChild(meta);
+    li.appendChild(badge);
+    li.appendChild(renderExplanation(current.explain(r.itemId, { anchors, forUser })));
+    ul.appendChild(li);
+  });
+}
+
+function renderExplanation(expl) {
+  const details = document.createElement('details');
+  details.className = 'why';
+  const summary = document.createElement('summary');
+  summary.textContent = "Why this?";
+  details.appendChild(summary);
+
+  const ul = document.createElement('ul');
+  const line = (text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    ul.appendChild(li);
+  };
+
+  if (expl.baseline) {
+    line(expl.baseline);
+    line("Not personalized: baselines score each movie on its own, not against your picks.");
+    details.appendChild(ul);
+    return details;
+  }
+  if (!expl.anchors.length) line("No anchor movies to compare against.");
+  for (const a of expl.anchors) {
+    line(`Close to “${a.title}” (similarity ${a.similarity.toFixed(2)}, co-rated by ${a.coRated} user${a.coRated === 1 ? '' : 's'})`);
+  }
+  line(expl.sharedGenres.length
+    ? `Shares genres: ${expl.sharedGenres.join(', ')}`
+    : "Shares no genres with the nearest anchor");
+  for (const n of expl.neighborUsers || []) {
+    line(`Similar user ${n.userId} (similarity ${n.similarity.toFixed(2)}) rated it ${n.rating}★`);
+  }
+  if (expl.latentDims && expl.latentDims.length) {
+    const dims = expl.latentDims.map(d => `#${d.dim + 1} (${d.contribution >= 0 ? '+' : ''}${d.contribution.toFixed(2)})`);
+    line(`Strongest latent dimensions: ${dims.join(', ')}`);
+  }
+
+  details.appendChild(ul);
+  return details;
+}
+
+init();
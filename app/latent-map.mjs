@@ -0,0 +1,315 @@
+/* latent-map.mjs
+ * -----------------------------------------
+ * Canvas scatter plot of movies at 2-D coordinates (a projection of MF item factors, see
+ * lib/projection.mjs), one dot per movie colored by genre. Movies in several genres take the
+ * color of their rarest one, so e.g. Action|Sci-Fi shows as Sci-Fi rather than as one more
+ * Action dot. The seeds of the shown results are ringed and the results themselves drawn
+ * larger, so one can see where a recommendation list sits in the latent space.
+ *
+ * Mouse: wheel zooms around the pointer, drag pans, hover shows a tooltip, click picks the
+ * movie under the pointer (onSelect). Keyboard on the focused canvas: + / − zoom, arrows pan,
+ * 0 resets the view.
+ */
+
+import { GENRES_18 } from '../lib/index.mjs';
+
+// One color per GENRES_18 entry (same order); movies without a genre are grey.
+const GENRE_COLORS = [
+  '#e6194b', '#f58231', '#ffe119', '#bfef45', '#3cb44b', '#808000',
+  '#42d4f4', '#4363d8', '#911eb4', '#000075', '#800000', '#f032e6',
+  '#9a6324', '#fabed4', '#469990', '#a9a9a9', '#dcbeff', '#aaffc3'
+];
+const NO_GENRE = '#7f8aa3';
+const INK = '#ffffff';     // rings and labels, on the page's dark background
+const DOT = 2.5;            // radius in CSS pixels
+const HIT = 6;              // hover/click distance in CSS pixels
+const PAD = 16;
+const ZOOM_STEP = 1.25;
+const PAN_STEP = 40;
+const CLICK_SLOP = 4;       // pointer travel below this is a click, not a drag
+const MAX_LABELS = 12;      // seeds are named on the map only when there are this few
+
+export class LatentMap {
+  /**
+   * @param {object} els  { canvas, tooltip, legend, caption, reset } elements
+   * @param {object} options
+   *   onSelect(itemId)  a movie was clicked
+   */
+  constructor(els, { onSelect = () => {} } = {}) {
+    this.els = els;
+    this.onSelect = onSelect;
+    this.dataset = null;
+    this.itemIds = [];
+    this.coords = null;        // Float32Array [x0, y0, x1, y1, …], one pair per itemIds entry
+    this.colors = [];
+    this.neighbors = new Set();
+    this.seeds = new Set();
+    this.hover = -1;
+    this.view = { scale: 1, x: 0, y: 0 }; // screen = (x + data.x · scale, y − data.y · scale)
+    this.drag = null;
+
+    this.renderLegend();
+    this.bindEvents();
+  }
+
+  /** Plot `itemIds` at `coords` and fit them into the canvas. */
+  setPoints(dataset, itemIds, coords, caption = "") {
+    this.dataset = dataset;
+    this.itemIds = itemIds;
+    this.coords = coords;
+    this.colors = this.genreColors(dataset, itemIds);
+    this.hover = -1;
+    this.els.caption.textContent = caption;
+    this.resetView();
+  }
+
+  /** Nothing to plot (e.g. a strategy without item factors); `message` says why. */
+  clear(message = "") {
+    this.dataset = null;
+    this.itemIds = [];
+    this.coords = null;
+    this.hover = -1;
+    this.els.tooltip.hidden = true;
+    this.els.caption.textContent = message;
+    this.draw();
+  }
+
+  /** Mark the listed results and their seeds; empty lists clear the marks. */
+  highlight(neighborIds = [], seedIds = []) {
+    this.neighbors = new Set(neighborIds);
+    this.seeds = new Set(seedIds);
+    this.draw();
+  }
+
+  get size() {
+    const { canvas } = this.els;
+    return { width: canvas.clientWidth || canvas.width, height: canvas.clientHeight || canvas.height };
+  }
+
+  resetView() {
+    const { width, height } = this.size;
+    const n = this.itemIds.length;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < n; i++) {
+      const x = this.coords[i * 2], y = this.coords[i * 2 + 1];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+    if (!n) {
+      this.view = { scale: 1, x: width / 2, y: height / 2 };
+    } else {
+      const scale = Math.min(
+        (width - 2 * PAD) / Math.max(maxX - minX, 1e-9),
+        (height - 2 * PAD) / Math.max(maxY - minY, 1e-9)
+      );
+      this.view = {
+        scale,
+        x: width / 2 - (scale * (minX + maxX)) / 2,
+        y: height / 2 + (scale * (minY + maxY)) / 2
+      };
+    }
+    this.draw();
+  }
+
+  /** Zoom by `factor` keeping the screen point (px, py) in place. */
+  zoomAt(px, py, factor) {
+    const v = this.view;
+    v.x = px - (px - v.x) * factor;
+    v.y = py - (py - v.y) * factor;
+    v.scale *= factor;
+    this.draw();
+  }
+
+  pan(dx, dy) {
+    this.view.x += dx;
+    this.view.y += dy;
+    this.draw();
+  }
+
+  screenPoint(i) {
+    const { scale, x, y } = this.view;
+    return [x + this.coords[i * 2] * scale, y - this.coords[i * 2 + 1] * scale];
+  }
+
+  /** Index of the movie drawn nearest to (px, py) within HIT pixels, or -1. */
+  pointAt(px, py) {
+    let best = -1, bestD = HIT * HIT;
+    for (let i = 0; i < this.itemIds.length; i++) {
+      const [sx, sy] = this.screenPoint(i);
+      const d = (sx - px) * (sx - px) + (sy - py) * (sy - py);
+      if (d <= bestD) {
+        best = i;
+        bestD = d;
+      }
+    }
+    return best;
+  }
+
+  /*** Events ***/
+  bindEvents() {
+    const { canvas, reset } = this.els;
+    const local = (ev) => {
+      const r = canvas.getBoundingClientRect();
+      return [ev.clientX - r.left, ev.clientY - r.top];
+    };
+
+    canvas.addEventListener('wheel', (ev) => {
+      if (!this.coords) return;
+      ev.preventDefault();
+      const [px, py] = local(ev);
+      this.zoomAt(px, py, ev.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+    });
+    canvas.addEventListener('pointerdown', (ev) => {
+      const [px, py] = local(ev);
+      this.drag = { px, py, startX: px, startY: py, moved: false };
+      if (canvas.setPointerCapture) canvas.setPointerCapture(ev.pointerId);
+    });
+    canvas.addEventListener('pointermove', (ev) => {
+      const [px, py] = local(ev);
+      if (this.drag) {
+        const d = this.drag;
+        if (Math.abs(px - d.startX) + Math.abs(py - d.startY) > CLICK_SLOP) d.moved = true;
+        if (d.moved) {
+          this.pan(px - d.px, py - d.py);
+          d.px = px;
+          d.py = py;
+          return;
+        }
+      }
+      this.setHover(this.coords ? this.pointAt(px, py) : -1, px, py);
+    });
+    canvas.addEventListener('pointerup', (ev) => {
+      const d = this.drag;
+      this.drag = null;
+      if (!d || d.moved || !this.coords) return;
+      const [px, py] = local(ev);
+      const i = this.pointAt(px, py);
+      if (i >= 0) this.onSelect(this.itemIds[i]);
+    });
+    canvas.addEventListener('pointerleave', () => {
+      this.drag = null;
+      this.setHover(-1);
+    });
+    canvas.addEventListener('keydown', (ev) => {
+      if (!this.coords) return;
+      const { width, height } = this.size;
+      const keys = {
+        '+': () => this.zoomAt(width / 2, height / 2, ZOOM_STEP),
+        '=': () => this.zoomAt(width / 2, height / 2, ZOOM_STEP),
+        '-': () => this.zoomAt(width / 2, height / 2, 1 / ZOOM_STEP),
+        '0': () => this.resetView(),
+        ArrowLeft: () => this.pan(PAN_STEP, 0),
+        ArrowRight: () => this.pan(-PAN_STEP, 0),
+        ArrowUp: () => this.pan(0, PAN_STEP),
+        ArrowDown: () => this.pan(0, -PAN_STEP)
+      };
+      if (!keys[ev.key]) return;
+      ev.preventDefault();
+      keys[ev.key]();
+    });
+    reset.addEventListener('click', () => this.resetView());
+  }
+
+  setHover(i, px = 0, py = 0) {
+    const { tooltip, canvas } = this.els;
+    if (i === this.hover && i < 0) return;
+    this.hover = i;
+    canvas.style.cursor = i >= 0 ? 'pointer' : '';
+    if (i < 0) {
+      tooltip.hidden = true;
+    } else {
+      const id = this.itemIds[i];
+      const movie = this.dataset.getMovie(id);
+      const n = this.dataset.ratingCount(id);
+      tooltip.textContent = `${movie.title} — ${movie.genres.length ? movie.genres.join(', ') : "no genre"} · ${n} rating${n === 1 ? '' : 's'}`;
+      tooltip.style.left = `${px + 12}px`;
+      tooltip.style.top = `${py + 12}px`;
+      tooltip.hidden = false;
+    }
+    this.draw();
+  }
+
+  /*** Rendering ***/
+  /* Color of each movie's rarest genre in the catalog. */
+  genreColors(dataset, itemIds) {
+    const counts = new Map();
+    for (const m of dataset.movies) for (const g of m.genres) counts.set(g, (counts.get(g) || 0) + 1);
+    return itemIds.map(id => {
+      const movie = dataset.getMovie(id);
+      let best = -1;
+      for (const g of movie ? movie.genres : []) {
+        const k = GENRES_18.indexOf(g);
+        if (k >= 0 && (best < 0 || counts.get(g) < counts.get(GENRES_18[best]))) best = k;
+      }
+      return best < 0 ? NO_GENRE : GENRE_COLORS[best];
+    });
+  }
+
+  renderLegend() {
+    const { legend } = this.els;
+    legend.innerHTML = "";
+    GENRES_18.forEach((g, k) => {
+      const li = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = GENRE_COLORS[k];
+      const name = document.createElement('span');
+      name.textContent = g;
+      li.appendChild(swatch);
+      li.appendChild(name);
+      legend.appendChild(li);
+    });
+  }
+
+  draw() {
+    const { canvas } = this.els;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = this.size;
+    const dpr = globalThis.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!this.coords) return;
+
+    const marked = this.neighbors.size || this.seeds.size;
+    const last = [];
+    ctx.globalAlpha = marked ? 0.35 : 0.8;
+    for (let i = 0; i < this.itemIds.length; i++) {
+      const id = this.itemIds[i];
+      if (this.neighbors.has(id) || this.seeds.has(id) || i === this.hover) {
+        last.push(i); // drawn on top
+        continue;
+      }
+      const [x, y] = this.screenPoint(i);
+      if (x < -DOT || y < -DOT || x > width + DOT || y > height + DOT) continue;
+      ctx.fillStyle = this.colors[i];
+      ctx.beginPath();
+      ctx.arc(x, y, DOT, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    ctx.globalAlpha = 1;
+    for (const i of last) {
+      const id = this.itemIds[i];
+      const [x, y] = this.screenPoint(i);
+      const seed = this.seeds.has(id);
+      ctx.fillStyle = this.colors[i];
+      ctx.strokeStyle = INK;
+      ctx.lineWidth = seed ? 2.5 : 0.75;
+      ctx.beginPath();
+      ctx.arc(x, y, seed || i === this.hover ? DOT * 2.4 : DOT * 1.8, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.stroke();
+      if ((seed && this.seeds.size <= MAX_LABELS) || i === this.hover) {
+        ctx.fillStyle = INK;
+        ctx.font = '12px system-ui, sans-serif';
+        ctx.fillText(this.dataset.title(id), x + 8, y - 8);
+      }
+    }
+  }
+}
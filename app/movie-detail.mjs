@@ -0,0 +1,156 @@
+/* movie-detail.mjs
+ * -----------------------------------------
+ * Detail panel for one movie: release date, genres, IMDb link, rating count and average, a
+ * 1–5★ histogram of its ratings, and its most similar movies under the current strategy.
+ * Similar titles open in the same panel, so the similarity graph can be walked; "Back" returns
+ * along the path. "Use as seed" hands the movie to the page (e.g. as the liked basket).
+ */
+
+const SIMILAR = 8;
+
+export class MovieDetail {
+  /**
+   * @param {object} els  { panel, title, meta, histogram, similar, back, close, seed } elements
+   * @param {object} options
+   *   similarItems(itemId, k)  ranked neighbors from the current strategy
+   *   onSeed(itemId)           "Use as seed" was pressed
+   */
+  constructor(els, { similarItems = () => [], onSeed = () => {} } = {}) {
+    this.els = els;
+    this.similarItems = similarItems;
+    this.onSeed = onSeed;
+    this.dataset = null;
+    this.itemId = null;
+    this.path = [];   // movies opened before this one, for Back
+
+    els.close.addEventListener('click', () => this.close());
+    els.back.addEventListener('click', () => {
+      if (this.path.length) this.show(this.path.pop(), { remember: false });
+    });
+    els.seed.addEventListener('click', () => {
+      if (this.itemId != null) this.onSeed(this.itemId);
+    });
+    els.panel.addEventListener('keydown', (ev) => {
+      if (ev.key === 'Escape') this.close();
+    });
+  }
+
+  /** New dataset or strategy: neighbors are stale, so the panel closes. */
+  setDataset(dataset) {
+    this.dataset = dataset;
+    this.close();
+  }
+
+  get isOpen() {
+    return !this.els.panel.hidden;
+  }
+
+  /** Open the panel on a movie; by default the movie shown before it is kept for Back. */
+  show(itemId, { remember = true } = {}) {
+    const movie = this.dataset && this.dataset.getMovie(itemId);
+    if (!movie) return;
+    if (remember && this.isOpen && this.itemId != null && this.itemId !== itemId) this.path.push(this.itemId);
+    this.itemId = itemId;
+    const { panel, title, back } = this.els;
+    title.textContent = movie.title;
+    back.hidden = !this.path.length;
+    this.renderMeta(movie);
+    this.renderHistogram(itemId);
+    this.renderSimilar(itemId);
+    panel.hidden = false;
+    if (panel.scrollIntoView) panel.scrollIntoView({ block: 'nearest' });
+    title.focus();
+  }
+
+  close() {
+    this.els.panel.hidden = true;
+    this.itemId = null;
+    this.path = [];
+  }
+
+  /*** Rendering ***/
+  renderMeta(movie) {
+    const { meta } = this.els;
+    const ds = this.dataset;
+    meta.innerHTML = "";
+    const row = (label, value) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      if (typeof value === 'string') dd.textContent = value;
+      else dd.appendChild(value);
+      meta.appendChild(dt);
+      meta.appendChild(dd);
+    };
+
+    row("Released", movie.releaseDate || (movie.year ? String(movie.year) : "unknown"));
+    row("Genres", movie.genres.length ? movie.genres.join(', ') : "none listed");
+    if (movie.imdbUrl) {
+      const a = document.createElement('a');
+      a.href = movie.imdbUrl;
+      a.target = '_blank';
+      a.rel = 'noopener';
+      a.textContent = "Open on IMDb";
+      row("IMDb", a);
+    } else {
+      row("IMDb", "no link");
+    }
+    const n = ds.ratingCount(movie.id);
+    const avg = ds.averageRating(movie.id);
+    row("Ratings", `${n.toLocaleString()}${avg != null ? ` · average ${avg.toFixed(2)}★` : ''}`);
+  }
+
+  /* One bar per star value, scaled to the most common one; counts are in the labels. */
+  renderHistogram(itemId) {
+    const { histogram } = this.els;
+    histogram.innerHTML = "";
+    const counts = this.dataset.ratingHistogram(itemId);
+    const max = Math.max(1, ...counts);
+    const total = counts.reduce((a, b) => a + b, 0);
+    histogram.setAttribute('aria-label', `Rating histogram: ${counts.map((c, s) => `${c} × ${s + 1}★`).join(', ')}`);
+    for (let star = 5; star >= 1; star--) {
+      const c = counts[star - 1];
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'hist-label';
+      label.textContent = `${star}★`;
+      const bar = document.createElement('span');
+      bar.className = 'hist-bar';
+      bar.style.width = `${(100 * c) / max}%`;
+      const value = document.createElement('span');
+      value.className = 'hist-count';
+      value.textContent = total ? `${c} (${Math.round((100 * c) / total)}%)` : '0';
+      li.appendChild(label);
+      li.appendChild(bar);
+      li.appendChild(value);
+      histogram.appendChild(li);
+    }
+  }
+
+  renderSimilar(itemId) {
+    const { similar } = this.els;
+    similar.innerHTML = "";
+    const recs = this.similarItems(itemId, SIMILAR);
+    if (!recs.length) {
+      const li = document.createElement('li');
+      li.className = 'hint';
+      li.textContent = "No similar movies under this strategy.";
+      similar.appendChild(li);
+      return;
+    }
+    for (const r of recs) {
+      const li = document.createElement('li');
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'link-btn';
+      open.textContent = r.title;
+      open.addEventListener('click', () => this.show(r.itemId));
+      const score = document.createElement('span');
+      score.className = 'rec-meta';
+      score.textContent = r.baseline ? '' : r.score.toFixed(2);
+      li.appendChild(open);
+      li.appendChild(score);
+      similar.appendChild(li);
+    }
+  }
+}
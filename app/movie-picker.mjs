@@ -0,0 +1,232 @@
+/* movie-picker.mjs
+ * -----------------------------------------
+ * Typeahead movie picker following the WAI-ARIA combobox pattern: a text input with
+ * role="combobox" owns a role="listbox" popup of fuzzy title matches (lib/search.mjs),
+ * narrowed by a genre and a release-year range. Several movies can be picked; they show as
+ * removable chips above the input. Pickers may share the same filter controls (the page's
+ * liked and disliked baskets do).
+ *
+ * Keyboard: ↓/↑ move through the matches (opening the list), Enter picks or unpicks the active
+ * match, Escape closes the list (or clears the text), Backspace in an empty input removes
+ * the last chip, Home/End jump to the first/last match.
+ */
+
+import { searchMovies, yearRange } from '../lib/index.mjs';
+
+const MAX_OPTIONS = 50;
+
+export class MoviePicker {
+  /**
+   * @param {object} els  { input, listbox, chips, genre, yearFrom, yearTo, count } elements
+   * @param {object} options
+   *   onChange(ids)  called whenever the picked movies change
+   *   exclude()      ids to leave out of the matches (e.g. picked in another basket)
+   */
+  constructor(els, { onChange = () => {}, exclude = () => [] } = {}) {
+    this.els = els;
+    this.onChange = onChange;
+    this.exclude = exclude;
+    this.movies = [];
+    this.byId = new Map();
+    this.selected = [];    // picked movie ids, in pick order
+    this.matches = [];     // movies currently listed
+    this.active = -1;      // index into matches, -1 for none
+
+    const { input, listbox, genre, yearFrom, yearTo } = els;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listbox.id);
+    input.setAttribute('aria-expanded', 'false');
+    listbox.setAttribute('role', 'listbox');
+    listbox.setAttribute('aria-multiselectable', 'true');
+
+    input.addEventListener('input', () => this.open());
+    input.addEventListener('focus', () => this.open());
+    input.addEventListener('blur', () => this.close());
+    input.addEventListener('keydown', (ev) => this.onKeyDown(ev));
+    // mousedown, not click: picking must not blur the input first.
+    listbox.addEventListener('mousedown', (ev) => {
+      const option = ev.target.closest('[role="option"]');
+      if (!option) return;
+      ev.preventDefault();
+      this.toggle(Number(option.dataset.id));
+    });
+    for (const el of [genre, yearFrom, yearTo]) el.addEventListener('change', () => this.refresh());
+  }
+
+  /** Swap the movie list (new dataset): clears the picks and resets the year range hints. */
+  setMovies(movies) {
+    this.movies = movies;
+    this.byId = new Map(movies.map(m => [m.id, m]));
+    this.selected = [];
+    const range = yearRange(movies);
+    for (const el of [this.els.yearFrom, this.els.yearTo]) {
+      el.value = "";
+      el.min = range ? range[0] : "";
+      el.max = range ? range[1] : "";
+    }
+    this.els.yearFrom.placeholder = range ? String(range[0]) : "";
+    this.els.yearTo.placeholder = range ? String(range[1]) : "";
+    this.renderChips();
+    this.refresh();
+  }
+
+  /** Pick exactly these ids (e.g. to seed the picker from elsewhere). */
+  setSelected(ids) {
+    this.selected = ids.filter(id => this.byId.has(id));
+    this.renderChips();
+    this.refresh();
+    this.onChange(this.selected);
+  }
+
+  toggle(id) {
+    const at = this.selected.indexOf(id);
+    if (at >= 0) this.selected.splice(at, 1);
+    else this.selected.push(id);
+    this.renderChips();
+    this.renderOptions();
+    this.onChange(this.selected);
+  }
+
+  /*** Popup ***/
+  get isOpen() {
+    return !this.els.listbox.hidden;
+  }
+
+  open() {
+    this.els.listbox.hidden = false;
+    this.els.input.setAttribute('aria-expanded', 'true');
+    this.refresh();
+  }
+
+  close() {
+    this.els.listbox.hidden = true;
+    this.els.input.setAttribute('aria-expanded', 'false');
+    this.setActive(-1);
+  }
+
+  /** Re-run the search for the current text and filters. */
+  refresh() {
+    const year = (el) => (el.value === "" ? null : Number(el.value));
+    const genre = this.els.genre.value;
+    this.matches = searchMovies(this.movies, this.els.input.value, {
+      genres: genre ? [genre] : [],
+      yearFrom: year(this.els.yearFrom),
+      yearTo: year(this.els.yearTo),
+      exclude: new Set(this.exclude()),
+      limit: MAX_OPTIONS
+    }).map(h => h.movie);
+    this.active = this.matches.length ? 0 : -1;
+    this.renderOptions();
+  }
+
+  setActive(index) {
+    this.active = index;
+    const { input, listbox } = this.els;
+    for (const li of listbox.children) li.classList.remove('active');
+    const li = index >= 0 ? listbox.children[index] : null;
+    if (li) {
+      li.classList.add('active');
+      input.setAttribute('aria-activedescendant', li.id);
+      if (li.scrollIntoView) li.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  onKeyDown(ev) {
+    const last = this.matches.length - 1;
+    switch (ev.key) {
+      case 'ArrowDown':
+        ev.preventDefault();
+        if (!this.isOpen) this.open();
+        else this.setActive(Math.min(this.active + 1, last));
+        break;
+      case 'ArrowUp':
+        ev.preventDefault();
+        if (!this.isOpen) this.open();
+        else this.setActive(Math.max(this.active - 1, 0));
+        break;
+      case 'Home':
+      case 'End':
+        if (!this.isOpen || last < 0) return;
+        ev.preventDefault();
+        this.setActive(ev.key === 'Home' ? 0 : last);
+        break;
+      case 'Enter':
+        if (!this.isOpen || this.active < 0) return;
+        ev.preventDefault();
+        this.toggle(this.matches[this.active].id);
+        break;
+      case 'Escape':
+        if (this.isOpen) this.close();
+        else {
+          this.els.input.value = "";
+          this.refresh();
+        }
+        break;
+      case 'Backspace':
+        if (this.els.input.value === "" && this.selected.length) this.toggle(this.selected[this.selected.length - 1]);
+        break;
+      default:
+    }
+  }
+
+  /*** Rendering ***/
+  renderOptions() {
+    const { listbox, input, count } = this.els;
+    listbox.innerHTML = "";
+    this.matches.forEach((m, i) => {
+      const li = document.createElement('li');
+      li.id = `${listbox.id}-${m.id}`;
+      li.dataset.id = String(m.id);
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(this.selected.includes(m.id)));
+
+      const title = document.createElement('span');
+      title.textContent = m.title;
+      const meta = document.createElement('span');
+      meta.className = 'option-meta';
+      meta.textContent = m.genres.join(', ');
+      li.appendChild(title);
+      li.appendChild(meta);
+      listbox.appendChild(li);
+      if (i === this.active) li.classList.add('active');
+    });
+    if (this.active >= 0 && listbox.children[this.active]) {
+      input.setAttribute('aria-activedescendant', listbox.children[this.active].id);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+    if (count) {
+      const n = this.matches.length;
+      count.textContent = n
+        ? `${n}${n === MAX_OPTIONS ? '+' : ''} match${n === 1 ? '' : 'es'}`
+        : "No matching movies";
+    }
+  }
+
+  renderChips() {
+    const { chips, input } = this.els;
+    chips.innerHTML = "";
+    for (const id of this.selected) {
+      const m = this.byId.get(id);
+      const li = document.createElement('li');
+      li.className = 'chip';
+      const label = document.createElement('span');
+      label.textContent = m ? m.title : `Item ${id}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${label.textContent}`);
+      remove.addEventListener('click', () => {
+        this.toggle(id);
+        input.focus();
+      });
+      li.appendChild(label);
+      li.appendChild(remove);
+      chips.appendChild(li);
+    }
+    chips.hidden = !this.selected.length;
+  }
+}
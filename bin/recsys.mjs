@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/* recsys.mjs
+ * -----------------------------------------
+ * Command-line front end to the shared recommender core (../lib), for batch jobs and
+ * regression checks without a browser. Reads the movies and ratings files from disk (any
+ * format lib/formats.mjs recognizes; MovieLens 100k from data/ by default), fits a strategy
+ * and prints a table, or JSON with --json. Progress goes to stderr, results to stdout.
+ *
+ *   node bin/recsys.mjs train --algo mf --k 20 --epochs 12 --save model.json
+ *   node bin/recsys.mjs similar --item 1 --n 10 --model model.json
+ *   node bin/recsys.mjs recommend --user 196 --algo item-knn
+ *   node bin/recsys.mjs evaluate --algo bpr --json
+ *
+ * Every command fits its strategy afresh (seeded, so runs repeat) unless --model loads the
+ * factors a `train --save` wrote. Options the CLI does not know go to the strategy, camelCased
+ * (--half-life-days 30 → { halfLifeDays: 30 }).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import {
+  loadDataset, datasetAsOf, searchMovies, STRATEGIES, createRecommender,
+  temporalSplit, evaluateRecommender
+} from '../lib/index.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DATA = { items: `${ROOT}data/u.item`, ratings: `${ROOT}data/u.data` };
+const MODEL_FORMAT = 'hse-recsys-model';
+const MODEL_VERSION = 1;
+
+// Short names for the strategy ids.
+const ALIASES = { mf: 'funk-svd', svd: 'funk-svd', knn: 'item-knn' };
+
+// Options the CLI reads itself; everything else is a strategy option.
+const FLAGS = ['json', 'quiet', 'strict', 'help'];
+const OWN = ['items', 'ratings', 'algo', 'item', 'user', 'n', 'save', 'model', 'as-of',
+  'test-fraction', 'max-users', ...FLAGS];
+
+const USAGE = `Usage: node bin/recsys.mjs <command> [options]
+
+Commands
+  strategies                         list the strategy ids
+  train      --algo <id>             fit a strategy and report how training went
+             [--save <file>]         keep the factors (matrix factorization strategies)
+  similar    --item <id or title>    movies most similar to one movie
+  recommend  --user <id>             unseen movies for a user
+  evaluate                           train on the earliest ratings, score on the latest
+             [--test-fraction 0.1] [--max-users 200]
+
+Options
+  --items <file> --ratings <file>    data files (default: data/u.item, data/u.data)
+  --as-of <date>                     only ratings made before this date (e.g. 1998-01-01)
+  --strict                           stop at the first malformed line
+  --algo <id>                        strategy (default funk-svd; mf, svd and knn are aliases)
+  --model <file>                     use factors saved by train --save instead of training
+  --n <count>                        list length (default 10)
+  --json                             print JSON instead of a table
+  --quiet                            no progress on stderr
+  --<option> <value>                 any other option goes to the strategy, e.g. --k 20
+                                     --epochs 12 --lr 0.01 --similarity-index lsh`;
+
+/** An error in how the tool was called; printed with the usage hint. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/*** Arguments ***/
+const camelCase = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+/* "12" → 12, "true" → true, "null" → null; anything else stays a string. */
+function coerce(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+}
+
+/**
+ * argv (without node and the script) → { command, opts, strategyOptions }. Accepts
+ * --name value and --name=value; FLAGS take no value.
+ */
+export function parseCommandLine(argv) {
+  const opts = {}, strategyOptions = {};
+  let command = null;
+  for (let n = 0; n < argv.length; n++) {
+    const arg = argv[n];
+    if (!arg.startsWith('--')) {
+      if (command) throw new UsageError(`Unexpected argument "${arg}".`);
+      command = arg;
+      continue;
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      opts[name] = value == null ? true : coerce(value) !== false;
+      continue;
+    }
+    if (value == null) {
+      value = argv[++n];
+      if (value == null || value.startsWith('--')) throw new UsageError(`--${name} needs a value.`);
+    }
+    if (OWN.includes(name)) opts[name] = value;
+    else strategyOptions[camelCase(name)] = coerce(value);
+  }
+  return { command, opts, strategyOptions };
+}
+
+function positiveInt(opts, name, fallback) {
+  if (opts[name] == null) return fallback;
+  const v = Number(opts[name]);
+  if (!Number.isInteger(v) || v < 1) throw new UsageError(`--${name} must be a positive whole number.`);
+  return v;
+}
+
+/*** Output ***/
+function progress(opts, text) {
+  if (!opts.quiet) process.stderr.write(`${text}\n`);
+}
+
+/** Left-aligned text, right-aligned numbers, one header row. */
+export function formatTable(rows, columns) {
+  const cell = (v) => (v == null ? '' : typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(4) : String(v));
+  const cells = rows.map(r => columns.map(c => cell(r[c.key])));
+  const widths = columns.map((c, k) => Math.max(c.label.length, ...cells.map(row => row[k].length)));
+  const numeric = columns.map(c => rows.some(r => typeof r[c.key] === 'number'));
+  const line = (values) => values
+    .map((v, k) => (numeric[k] ? v.padStart(widths[k]) : v.padEnd(widths[k])))
+    .join('  ')
+    .trimEnd();
+  return [
+    line(columns.map(c => c.label)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+function print(opts, data, rows, columns) {
+  console.log(opts.json ? JSON.stringify(data, null, 2) : formatTable(rows, columns));
+}
+
+/*** Data and strategies ***/
+async function loadData(opts) {
+  const sources = { items: opts.items ?? DATA.items, ratings: opts.ratings ?? DATA.ratings };
+  progress(opts, `Loading ${sources.ratings}…`);
+  let ds = await loadDataset({ ...sources, strict: !!opts.strict });
+  if (!ds.report.ok) progress(opts, `Data check: ${ds.report.summary()}`);
+  if (opts['as-of'] != null) {
+    const ms = Date.parse(opts['as-of']);
+    if (Number.isNaN(ms)) throw new UsageError(`--as-of: "${opts['as-of']}" is not a date.`);
+    ds = datasetAsOf(ds, Math.floor(ms / 1000));
+  }
+  if (!ds.numRatings) throw new Error("No ratings to work with.");
+  progress(opts, `${ds.movies.length} movies, ${ds.userIds.length} users, ${ds.numRatings} ratings.`);
+  return ds;
+}
+
+function strategyId(opts, fallback = 'funk-svd') {
+  const name = opts.algo ?? fallback;
+  const id = ALIASES[name] ?? name;
+  if (!STRATEGIES.some(S => S.id === id)) {
+    throw new UsageError(`Unknown strategy "${name}". Known: ${STRATEGIES.map(S => S.id).join(', ')}`);
+  }
+  return id;
+}
+
+/* Training progress on stderr; the last report is kept for `train`'s summary. */
+function progressReporter(opts, last = {}) {
+  return (p) => {
+    Object.assign(last, p);
+    if (p.epochs) {
+      const fit = p.rmse != null ? `RMSE ${p.rmse.toFixed(4)}` : `loss ${p.loss.toFixed(4)}`;
+      progress(opts, `  epoch ${p.epoch}/${p.epochs}, ${fit}`);
+    } else if (p.done === p.total) {
+      progress(opts, `  neighbor index: ${p.total} rows`);
+    }
+  };
+}
+
+/* Fit the chosen strategy on `ds`, or restore it from --model. */
+async function fitStrategy(ds, opts, strategyOptions, last = {}) {
+  if (opts.model != null) return restoreModel(ds, opts, strategyOptions);
+  const rec = createRecommender(strategyId(opts), { ...strategyOptions, onProgress: progressReporter(opts, last) });
+  progress(opts, `Fitting ${rec.label}…`);
+  return rec.fit(ds);
+}
+
+async function restoreModel(ds, opts, strategyOptions) {
+  const saved = JSON.parse(await readFile(opts.model, 'utf8'));
+  if (saved.format !== MODEL_FORMAT || saved.version !== MODEL_VERSION) {
+    throw new Error(`${opts.model} is not a model saved by this tool.`);
+  }
+  if (opts.algo != null && strategyId(opts) !== saved.strategy) {
+    throw new UsageError(`${opts.model} holds a ${saved.strategy} model, not ${strategyId(opts)}.`);
+  }
+  const rec = createRecommender(saved.strategy, { ...saved.options, ...strategyOptions });
+  progress(opts, `Loading ${rec.label} from ${opts.model}…`);
+  return rec.restore(ds, saved.model);
+}
+
+/* Strategy options worth saving: the plain values, not callbacks. */
+function savedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, v]) => typeof v !== 'function'));
+}
+
+/* A movie id, or the best title match for anything else. */
+function resolveItem(ds, query) {
+  if (query == null) throw new UsageError("--item is required (a movie id or title).");
+  if (/^\d+$/.test(query)) {
+    const id = Number(query);
+    if (!ds.getMovie(id)) throw new Error(`No movie with id ${id}.`);
+    return id;
+  }
+  const [hit] = searchMovies(ds.movies, query, { limit: 1 });
+  if (!hit) throw new Error(`No movie matches "${query}".`);
+  return hit.movie.id;
+}
+
+const RESULT_COLUMNS = [
+  { key: 'rank', label: '#' },
+  { key: 'itemId', label: 'id' },
+  { key: 'title', label: 'title' },
+  { key: 'score', label: 'score' }
+];
+
+const ranked = (recs) => recs.map((r, n) => ({ rank: n + 1, ...r }));
+
+/*** Commands ***/
+const COMMANDS = {
+  async strategies(opts) {
+    const rows = STRATEGIES.map(S => ({
+      id: S.id,
+      aliases: Object.keys(ALIASES).filter(a => ALIASES[a] === S.id).join(', '),
+      label: S.label
+    }));
+    print(opts, rows, rows, [{ key: 'id', label: 'id' }, { key: 'aliases', label: 'aliases' }, { key: 'label', label: 'strategy' }]);
+  },
+
+  async train(opts, strategyOptions) {
+    if (opts.model != null) throw new UsageError("train fits from scratch; --model does not apply.");
+    const Strategy = STRATEGIES.find(S => S.id === strategyId(opts));
+    if (opts.save != null && typeof Strategy.prototype.exportModel !== 'function') {
+      throw new UsageError(`${Strategy.label} cannot be saved; only matrix factorization strategies can (the others fit in seconds).`);
+    }
+    const ds = await loadData(opts);
+    const last = {};
+    const started = Date.now();
+    const rec = await fitStrategy(ds, opts, strategyOptions, last);
+    const summary = {
+      strategy: rec.id,
+      label: rec.label,
+      movies: ds.movies.length,
+      users: ds.userIds.length,
+      ratings: ds.numRatings,
+      seconds: (Date.now() - started) / 1000,
+      ...(last.epochs ? { epochs: last.epochs } : {}),
+      ...(last.rmse != null ? { trainRmse: last.rmse } : {}),
+      ...(last.loss != null ? { trainLoss: last.loss } : {})
+    };
+    if (opts.save != null) {
+      const file = {
+        format: MODEL_FORMAT,
+        version: MODEL_VERSION,
+        strategy: rec.id,
+        options: savedOptions(rec.options),
+        trainedOn: { ratings: ds.numRatings, asOf: ds.asOf ?? null },
+        model: rec.exportModel()
+      };
+      await writeFile(opts.save, JSON.stringify(file));
+      summary.saved = opts.save;
+    }
+    const rows = Object.entries(summary).map(([key, value]) => ({ key, value }));
+    print(opts, summary, rows, [{ key: 'key', label: 'training' }, { key: 'value', label: '' }]);
+  },
+
+  async similar(opts, strategyOptions) {
+    const n = positiveInt(opts, 'n', 10);
+    const ds = await loadData(opts);
+    const itemId = resolveItem(ds, opts.item);
+    const rec = await fitStrategy(ds, opts, strategyOptions);
+    const recs = ranked(rec.similarItems(itemId, n));
+    progress(opts, `Most similar to “${ds.title(itemId)}” (${rec.label}):`);
+    print(opts, { strategy: rec.id, itemId, title: ds.title(itemId), results: recs }, recs, RESULT_COLUMNS);
+  },
+
+  async recommend(opts, strategyOptions) {
+    const n = positiveInt(opts, 'n', 10);
+    if (opts.user == null) throw new UsageError("--user is required.");
+    const ds = await loadData(opts);
+    const userId = Number(opts.user);
+    if (!ds.userIndex.has(userId)) throw new Error(`User ${opts.user} has no ratings in this data.`);
+    const rec = await fitStrategy(ds, opts, strategyOptions);
+    const recs = ranked(rec.recommendForUser(userId, n));
+    const columns = recs.some(r => r.predicted != null)
+      ? [...RESULT_COLUMNS, { key: 'predicted', label: 'predicted' }]
+      : RESULT_COLUMNS;
+    progress(opts, `Top picks for user ${userId} (${rec.label}):`);
+    print(opts, { strategy: rec.id, userId, results: recs }, recs, columns);
+  },
+
+  async evaluate(opts, strategyOptions) {
+    if (opts.model != null) throw new UsageError("evaluate trains on its own split; --model does not apply.");
+    const k = positiveInt(opts, 'n', 10);
+    const maxUsers = positiveInt(opts, 'max-users', 200);
+    const testFraction = opts['test-fraction'] != null ? Number(opts['test-fraction']) : 0.1;
+    if (!(testFraction > 0 && testFraction < 1)) throw new UsageError("--test-fraction must be between 0 and 1.");
+
+    const ds = await loadData(opts);
+    const split = temporalSplit(ds, { testFraction });
+    const cutoff = new Date(split.cutoff * 1000).toISOString().slice(0, 10);
+    progress(opts, `Training on ${split.train.numRatings} ratings before ${cutoff}, testing on ${split.test.length}.`);
+    const rec = await fitStrategy(split.train, opts, strategyOptions);
+    const m = await evaluateRecommender(rec, split, { k, maxUsers });
+    const result = { strategy: rec.id, cutoff, train: split.train.numRatings, test: split.test.length, ...m };
+    const rows = [
+      ['users scored', m.users],
+      [`precision@${k}`, m.precision],
+      [`recall@${k}`, m.recall],
+      ['hit rate', m.hitRate],
+      ...(m.rmse != null ? [['RMSE', m.rmse], ['MAE', m.mae], ['predicted ratings', m.predicted]] : [])
+    ].map(([metric, value]) => ({ metric, value }));
+    print(opts, result, rows, [{ key: 'metric', label: `${rec.label}, test after ${cutoff}` }, { key: 'value', label: '' }]);
+  }
+};
+
+async function main(argv) {
+  const { command, opts, strategyOptions } = parseCommandLine(argv);
+  if (!command || opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    throw new UsageError(`Unknown command "${command}". Known: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  if (opts.algo != null) strategyId(opts); // fail before loading the data
+  await COMMANDS[command](opts, strategyOptions);
+}
+
+// Run only as a script, so the helpers can be imported (e.g. by tests).
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main(process.argv.slice(2)).catch((err) => {
+    console.error(`recsys: ${err.message}`);
+    if (err instanceof UsageError) console.error("Run with --help for usage.");
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  });
+}
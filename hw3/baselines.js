@@ -0,0 +1,90 @@
+/* baselines.js
+ * -----------------------------------------
+ * Non-personalized rankings used while no MF model is available (training failed, was
+ * cancelled or is still running). One global score per movie:
+ *
+ *   most-rated        number of ratings
+ *   bayesian-average  damped mean (C·m + Σ ratings) / (C + n): the movie's mean shrunk toward
+ *                     the global mean m with prior weight C, so one 5★ rating cannot top the list
+ *   trending          time-decayed count Σ 0.5^(age / halfLife), ages measured from the newest
+ *                     u.data timestamp
+ *
+ * These are not similarities, so results carry `baseline` (the ranking's key) and are
+ * rendered with a neutral, labeled badge instead of the red→green similarity palette.
+ */
+
+const BASELINE_PRIOR_WEIGHT = 20;
+const TREND_HALF_LIFE_DAYS = 30;
+
+const BASELINES = {
+  'most-rated': {
+    label: "most rated",
+    format: (s) => `${s} ratings`
+  },
+  'bayesian-average': {
+    label: "Bayesian average rating",
+    format: (s) => `${s.toFixed(2)} ★ avg`
+  },
+  'trending': {
+    label: `trending (${TREND_HALF_LIFE_DAYS}-day half-life)`,
+    format: (s) => `${s.toFixed(1)} trend`
+  }
+};
+
+let _baselineScores = null; // Map(kind -> Map(itemId -> score)), built on first use
+
+function computeBaselineScores() {
+  const count = new Map(), sum = new Map(), trend = new Map();
+  let total = 0, now = 0;
+  for (const r of ratings) {
+    count.set(r.itemId, (count.get(r.itemId) || 0) + 1);
+    sum.set(r.itemId, (sum.get(r.itemId) || 0) + r.rating);
+    total += r.rating;
+    if (r.timestamp > now) now = r.timestamp;
+  }
+  const globalMean = ratings.length ? total / ratings.length : 0;
+  const halfLife = TREND_HALF_LIFE_DAYS * 86400;
+  for (const r of ratings) {
+    trend.set(r.itemId, (trend.get(r.itemId) || 0) + Math.pow(0.5, Math.max(0, now - r.timestamp) / halfLife));
+  }
+
+  const bayes = new Map();
+  for (const [id, n] of count) {
+    bayes.set(id, (BASELINE_PRIOR_WEIGHT * globalMean + sum.get(id)) / (BASELINE_PRIOR_WEIGHT + n));
+  }
+  return new Map([['most-rated', count], ['bayesian-average', bayes], ['trending', trend]]);
+}
+
+/* The currently chosen baseline (#baseline-select), defaulting to the Bayesian average. */
+function selectedBaseline() {
+  const sel = document.getElementById('baseline-select');
+  return sel && BASELINES[sel.value] ? sel.value : 'bayesian-average';
+}
+
+/* Top k movies by the given baseline, skipping `excludeIds`.
+ * Returns [{ itemId, title, score, baseline }]; ties go to the more-rated movie. */
+function baselineTopK(kind, excludeIds, k = 5) {
+  if (!_baselineScores) _baselineScores = computeBaselineScores();
+  const scores = _baselineScores.get(kind);
+  const counts = _baselineScores.get('most-rated');
+  const exclude = new Set(excludeIds);
+  const arr = [];
+  for (const [id, score] of scores) if (!exclude.has(id)) arr.push({ id, score });
+  arr.sort((a, b) => b.score - a.score || counts.get(b.id) - counts.get(a.id));
+  return arr.slice(0, k).map(({ id, score }) => ({
+    itemId: id,
+    title: getMovieTitleById(id) || `Item ${id}`,
+    score,
+    baseline: kind
+  }));
+}
+
+/* Neutral badge for a baseline result: the score in its own unit, labeled as a fallback. */
+function renderBaselineBadge(rec) {
+  const { label, format } = BASELINES[rec.baseline];
+  const span = document.createElement('span');
+  span.className = 'badge baseline';
+  span.textContent = format(rec.score);
+  span.title = `Fallback ranking: ${label} (not a similarity)`;
+  return span;
+}
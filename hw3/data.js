@@ -1,14 +1,15 @@
 /* data.js
  * ----------------------------
  * Parsing-only module. Loads MovieLens files from the same folder:
- *  - u.item  -> movie metadata (we only need {id, title})
+ *  - u.item  -> movie metadata ({id, title} plus genre flags for the hybrid engine)
  *  - u.data  -> ratings [userId, itemId, rating, timestamp]
  *
  * Exposes globals consumed by script.js:
- *   movies: [{ id, title }]
- *   ratings: [{ userId, itemId, rating }]
+ *   movies: [{ id, title, genres: [String], vector: [0/1 x 18] }]
+ *   ratings: [{ userId, itemId, rating, timestamp }]  // timestamp feeds temporal splits
  *   itemIdToIndex: Map(itemId -> 0..M-1)  // contiguous item indices for MF
  *   userIdToIndex: Map(userId -> 0..U-1)  // contiguous user indices for MF
+ *   datasetFingerprint: string            // hash of u.item + u.data, detects stale saved models
  *   loadData(): Promise<void>
  */
 
@@ -16,8 +17,22 @@ let movies = [];
 let ratings = [];
 let itemIdToIndex = new Map();
 let userIdToIndex = new Map();
+let datasetFingerprint = '';
 
-const MAX_RATINGS = 30000; // Performance guard for in-browser MF training
+/**
+ * Genres as an 18-D vector (same order and convention as hwweek2/data.js).
+ * u.item has 19 flags [unknown, Action, ..., Western]; "unknown" is skipped.
+ */
+const GENRES_18 = [
+  "Action", "Adventure", "Animation", "Children's", "Comedy", "Crime",
+  "Documentary", "Drama", "Fantasy", "Film-Noir", "Horror", "Musical",
+  "Mystery", "Romance", "Sci-Fi", "Thriller", "War", "Western"
+];
+const FIRST_GENRE_FIELD = 6; // fields 0-4 are metadata, field 5 is the "unknown" flag
+
+// Optional cap on parsed ratings. Training runs in mf-worker.js, off the main thread,
+// so the full 100k rows of u.data no longer freeze the page; lower this to experiment.
+const MAX_RATINGS = Infinity;
 
 function updateStatusLocal(msg) {
   const el = document.getElementById('status');
@@ -37,23 +52,48 @@ async function loadData() {
     if (!dataResp.ok) throw new Error(`Failed to load u.data (${dataResp.status})`);
     const dataText = await dataResp.text();
     parseRatingData(dataText);
+
+    datasetFingerprint = fingerprintDataset(itemText, dataText);
   } catch (err) {
     console.error(err);
     updateStatusLocal(`Error loading data: ${err.message}. Make sure u.item and u.data are in the same folder as index.html.`);
   }
 }
 
+/* FNV-1a (32-bit) over the text; cheap and stable, not cryptographic. */
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/* Identifies the exact dataset a model was trained on (file contents + the MAX_RATINGS cap). */
+function fingerprintDataset(itemText, dataText) {
+  return `${fnv1a(itemText)}-${fnv1a(dataText)}-${ratings.length}`;
+}
+
 function parseItemData(text) {
   movies.length = 0;
   const lines = text.split(/\r?\n/);
   for (const line of lines) {
     if (!line.trim()) continue;
     const parts = line.split('|');
-    // MovieLens 100k: id|title|release date|video date|IMDb URL|genres...
+    // MovieLens 100k: id|title|release date|video date|IMDb URL|unknown|Action|...|Western
     const id = Number(parts[0]);
     const title = (parts[1] || '').trim();
     if (!Number.isFinite(id) || !title) continue;
-    movies.push({ id, title });
+
+    const genres = [];
+    const vector = new Array(GENRES_18.length);
+    for (let g = 0; g < GENRES_18.length; g++) {
+      const flag = Number(parts[FIRST_GENRE_FIELD + g]) === 1 ? 1 : 0;
+      vector[g] = flag;
+      if (flag) genres.push(GENRES_18[g]);
+    }
+    movies.push({ id, title, genres, vector });
   }
 }
 
@@ -76,12 +116,13 @@ function parseRatingData(text) {
     const userId = Number(parts[0]);
     const itemId = Number(parts[1]);
     const rating = Number(parts[2]);
+    const timestamp = parts.length > 3 ? Number(parts[3]) : 0;
 
     if (!Number.isFinite(userId) || !Number.isFinite(itemId) || !Number.isFinite(rating)) continue;
 
     if (!userIdToIndex.has(userId)) userIdToIndex.set(userId, nextUserIdx++);
     if (!itemIdToIndex.has(itemId)) itemIdToIndex.set(itemId, nextItemIdx++);
 
-    ratings.push({ userId, itemId, rating });
+    ratings.push({ userId, itemId, rating, timestamp: Number.isFinite(timestamp) ? timestamp : 0 });
   }
 }
@@ -0,0 +1,309 @@
+/* evaluation.js
+ * -----------------------------------------
+ * Held-out evaluation harness for the MF model.
+ *
+ * 1) Split `ratings` into train / validation / test row sets:
+ *      - random:      shuffle all rows, carve off validation and test fractions
+ *      - leave-k-out: per user, hold out k ratings for test (and k for validation)
+ *      - temporal:    order by timestamp; the most recent rows become test, the ones
+ *                     just before them validation (no peeking into the future)
+ * 2) Train a throwaway model on the train rows only (fitMF in script.js; the served model
+ *    is left alone).
+ * 3) Score the test rows:
+ *      - rating accuracy: RMSE / MAE of mu + bu + bi + p·q (clamped to the 1–5 star scale)
+ *      - ranking: Precision@K, Recall@K, NDCG@K per user, where "relevant" means a test
+ *        rating ≥ RELEVANT_RATING, ranked two ways:
+ *          predictions  – all items the user has not rated in train, by predicted rating
+ *          similar      – latent-cosine neighbours (as topKSimilarItems) of the user's
+ *                         favourite train item
+ * Every run is kept in `evaluationRuns` and can be exported as JSON to compare runs.
+ */
+
+const RELEVANT_RATING = 4;
+
+let evaluationRuns = [];
+
+/*** Seeded RNG so a split is reproducible for a given seed ***/
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(rng, arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = (rng() * (i + 1)) | 0;
+    const t = arr[i]; arr[i] = arr[j]; arr[j] = t;
+  }
+  return arr;
+}
+
+/*** Splits: each returns { train, validation, test } as Uint32Array row indices into `ratings` ***/
+function splitRatings({ strategy = 'random', testFraction = 0.1, validationFraction = 0.1, holdout = 1, seed = 42 } = {}) {
+  switch (strategy) {
+    case 'random': return randomSplit(testFraction, validationFraction, seed);
+    case 'leave-k-out': return leaveKOutSplit(holdout, validationFraction > 0, seed);
+    case 'temporal': return temporalSplit(testFraction, validationFraction);
+    default: throw new Error(`Unknown split strategy "${strategy}".`);
+  }
+}
+
+function randomSplit(testFraction, validationFraction, seed) {
+  const rows = shuffleWith(mulberry32(seed), Array.from({ length: ratings.length }, (_, n) => n));
+  const nTest = Math.floor(rows.length * testFraction);
+  const nVal = Math.floor(rows.length * validationFraction);
+  return {
+    test: Uint32Array.from(rows.slice(0, nTest)),
+    validation: Uint32Array.from(rows.slice(nTest, nTest + nVal)),
+    train: Uint32Array.from(rows.slice(nTest + nVal))
+  };
+}
+
+/* Users need at least one rating left in train, so small profiles hold out less. */
+function leaveKOutSplit(k, withValidation, seed) {
+  const rng = mulberry32(seed);
+  const byUser = new Map();
+  ratings.forEach((r, n) => {
+    if (!byUser.has(r.userId)) byUser.set(r.userId, []);
+    byUser.get(r.userId).push(n);
+  });
+
+  const train = [], validation = [], test = [];
+  for (const rows of byUser.values()) {
+    shuffleWith(rng, rows);
+    const nTest = Math.min(k, rows.length - 1);
+    const nVal = withValidation ? Math.min(k, rows.length - 1 - nTest) : 0;
+    test.push(...rows.slice(0, nTest));
+    validation.push(...rows.slice(nTest, nTest + nVal));
+    train.push(...rows.slice(nTest + nVal));
+  }
+  return { train: Uint32Array.from(train), validation: Uint32Array.from(validation), test: Uint32Array.from(test) };
+}
+
+function temporalSplit(testFraction, validationFraction) {
+  const rows = Array.from({ length: ratings.length }, (_, n) => n);
+  rows.sort((a, b) => ratings[a].timestamp - ratings[b].timestamp);
+  const nTest = Math.floor(rows.length * testFraction);
+  const nVal = Math.floor(rows.length * validationFraction);
+  const trainEnd = rows.length - nTest - nVal;
+  return {
+    train: Uint32Array.from(rows.slice(0, trainEnd)),
+    validation: Uint32Array.from(rows.slice(trainEnd, trainEnd + nVal)),
+    test: Uint32Array.from(rows.slice(trainEnd + nVal))
+  };
+}
+
+/*** Scoring against a model object ({ mu, bu, bi, P, Q, Qunit } as produced by fitMF) ***/
+function predictWith(model, u, i) {
+  return model.mu + model.bu[u] + model.bi[i] + dot(model.P[u], model.Q[i]);
+}
+
+function ratingErrors(model, rows) {
+  let sq = 0, abs = 0;
+  for (const n of rows) {
+    const r = ratings[n];
+    const e = r.rating - clampStars(predictWith(model, userIdToIndex.get(r.userId), itemIdToIndex.get(r.itemId)));
+    sq += e * e;
+    abs += Math.abs(e);
+  }
+  const count = Math.max(1, rows.length);
+  return { rmse: Math.sqrt(sq / count), mae: abs / count };
+}
+
+/* Item indices of the k highest scores, skipping `exclude` (a Set of item indices). */
+function topKIndices(scores, k, exclude) {
+  const idx = [];
+  for (let i = 0; i < scores.length; i++) if (!exclude.has(i)) idx.push(i);
+  idx.sort((a, b) => scores[b] - scores[a]);
+  return idx.slice(0, k);
+}
+
+/* Precision/Recall/NDCG for one ranked list with binary relevance. */
+function rankingMetrics(ranked, relevant, k) {
+  let hits = 0, dcg = 0;
+  ranked.forEach((i, pos) => {
+    if (relevant.has(i)) { hits++; dcg += 1 / Math.log2(pos + 2); }
+  });
+  let idcg = 0;
+  for (let pos = 0; pos < Math.min(k, relevant.size); pos++) idcg += 1 / Math.log2(pos + 2);
+  return { precision: hits / k, recall: hits / relevant.size, ndcg: idcg ? dcg / idcg : 0 };
+}
+
+async function evaluateModel(model, split, k = 10) {
+  const { rmse, mae } = ratingErrors(model, split.test);
+
+  // Per-user train history (to exclude) and relevant test items (to find).
+  const seen = new Map(), favourite = new Map(), relevant = new Map();
+  for (const n of split.train) {
+    const r = ratings[n];
+    const u = userIdToIndex.get(r.userId), i = itemIdToIndex.get(r.itemId);
+    if (!seen.has(u)) seen.set(u, new Set());
+    seen.get(u).add(i);
+    const fav = favourite.get(u);
+    if (!fav || r.rating > fav.rating) favourite.set(u, { i, rating: r.rating });
+  }
+  for (const n of split.test) {
+    const r = ratings[n];
+    if (r.rating < RELEVANT_RATING) continue;
+    const u = userIdToIndex.get(r.userId);
+    if (!relevant.has(u)) relevant.set(u, new Set());
+    relevant.get(u).add(itemIdToIndex.get(r.itemId));
+  }
+
+  const I = model.Q.length;
+  const scores = new Float32Array(I);
+  const sums = {
+    predictions: { precision: 0, recall: 0, ndcg: 0 },
+    similar: { precision: 0, recall: 0, ndcg: 0 }
+  };
+  let users = 0, similarUsers = 0;
+
+  for (const [u, rel] of relevant) {
+    const exclude = seen.get(u) || new Set();
+
+    for (let i = 0; i < I; i++) scores[i] = predictWith(model, u, i);
+    addInto(sums.predictions, rankingMetrics(topKIndices(scores, k, exclude), rel, k));
+    users++;
+
+    const fav = favourite.get(u);
+    if (fav) {
+      const qf = model.Qunit[fav.i];
+      for (let i = 0; i < I; i++) scores[i] = dot(qf, model.Qunit[i]);
+      addInto(sums.similar, rankingMetrics(topKIndices(scores, k, exclude), rel, k));
+      similarUsers++;
+    }
+
+    if (users % 100 === 0) await new Promise(res => setTimeout(res, 0)); // keep the page responsive
+  }
+
+  return {
+    rmse,
+    mae,
+    k,
+    usersEvaluated: users,
+    predictions: averageOf(sums.predictions, users),
+    similar: averageOf(sums.similar, similarUsers)
+  };
+}
+
+function addInto(acc, m) { for (const key in acc) acc[key] += m[key]; }
+function averageOf(acc, n) {
+  const out = {};
+  for (const key in acc) out[key] = n ? acc[key] / n : 0;
+  return out;
+}
+
+/*** UI ***/
+function readEvaluationConfig() {
+  const val = (id) => document.getElementById(id).value;
+  return {
+    strategy: val('eval-split'),
+    testFraction: Number(val('eval-test')) || 0.1,
+    validationFraction: Math.max(0, Number(val('eval-val')) || 0),
+    holdout: Math.max(1, Math.round(Number(val('eval-holdout')) || 1)),
+    k: Math.max(1, Math.round(Number(val('eval-k')) || 10)),
+    seed: Math.round(Number(val('eval-seed')) || 42)
+  };
+}
+
+async function runEvaluation() {
+  if (mfRun) {
+    setStatus("Wait for the current training run to finish before evaluating.");
+    return;
+  }
+  const btn = document.getElementById('eval-btn');
+  const config = readEvaluationConfig();
+  const hyperparams = readHyperparams();
+
+  if (btn) btn.disabled = true;
+  setTrainingControls(true);
+  try {
+    const split = splitRatings(config);
+    setStatus(`Evaluating: training on ${split.train.length} ratings, holding out ${split.test.length}…`);
+
+    const model = await fitMF(hyperparams, split.train, null, "Evaluation training");
+    if (!model) {
+      setStatus("Evaluation cancelled.");
+      return;
+    }
+
+    setStatus("Evaluating: scoring held-out ratings…");
+    const metrics = await evaluateModel(model, split, config.k);
+    const validation = split.validation.length ? ratingErrors(model, split.validation) : null;
+
+    evaluationRuns.push({
+      run: evaluationRuns.length + 1,
+      at: new Date().toISOString(),
+      split: { ...config, sizes: { train: split.train.length, validation: split.validation.length, test: split.test.length } },
+      hyperparams,
+      validation,
+      metrics
+    });
+    renderEvaluationRuns();
+    setStatus(`Evaluation done — test RMSE ${metrics.rmse.toFixed(4)}, NDCG@${config.k} ${metrics.predictions.ndcg.toFixed(4)}.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Evaluation failed: ${err.message}`);
+  } finally {
+    if (btn) btn.disabled = false;
+    if (!mfRun) setTrainingControls(false);
+  }
+}
+
+function renderEvaluationRuns() {
+  const tbody = document.querySelector('#metrics-table tbody');
+  const exportBtn = document.getElementById('eval-export-btn');
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  for (const run of evaluationRuns) {
+    const { metrics, split, hyperparams } = run;
+    for (const source of ['predictions', 'similar']) {
+      const m = metrics[source];
+      const tr = document.createElement('tr');
+      const cells = [
+        `#${run.run}`,
+        `${split.strategy} · K=${hyperparams.k}`,
+        source,
+        metrics.rmse.toFixed(4),
+        metrics.mae.toFixed(4),
+        m.precision.toFixed(4),
+        m.recall.toFixed(4),
+        m.ndcg.toFixed(4)
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+  }
+
+  const kLabel = evaluationRuns.length ? evaluationRuns[evaluationRuns.length - 1].metrics.k : 'K';
+  document.querySelectorAll('#metrics-table .at-k').forEach(el => { el.textContent = `@${kLabel}`; });
+  if (exportBtn) exportBtn.disabled = evaluationRuns.length === 0;
+}
+
+function exportEvaluationRuns() {
+  if (!evaluationRuns.length) return;
+  const payload = {
+    dataset: { ratings: ratings.length, users: userIdToIndex.size, items: itemIdToIndex.size },
+    relevantRating: RELEVANT_RATING,
+    runs: evaluationRuns
+  };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `hw3-evaluation-${Date.now()}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
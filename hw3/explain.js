@@ -0,0 +1,126 @@
+/* explain.js
+ * -----------------------------------------
+ * "Why was this recommended?" details for every result.
+ *
+ * A recommendation is explained against its anchors — the movies it is justified by:
+ * the selected movie in item-to-item mode, or the movies a user (or onboarding visitor)
+ * rated highly in personalized mode. For each result we report:
+ *   - the nearest anchors, by MF latent cosine (genre cosine when a movie has no latent vector)
+ *   - genres shared with the nearest anchor
+ *   - how many users in `ratings` rated both the anchor and the result
+ *   - the latent dimensions that contribute most to cosine(anchor, result), i.e. the largest
+ *     terms Qunit[a][d] · Qunit[j][d] of the dot product
+ */
+
+const EXPLAIN_ANCHORS = 3;
+const EXPLAIN_DIMS = 3;
+const LIKED_RATING = 4;
+
+let _ratersByItem = null; // Map(itemId -> Set(userId)), built on first use
+
+function ratersOf(itemId) {
+  if (!_ratersByItem) {
+    _ratersByItem = new Map();
+    for (const r of ratings) {
+      if (!_ratersByItem.has(r.itemId)) _ratersByItem.set(r.itemId, new Set());
+      _ratersByItem.get(r.itemId).add(r.userId);
+    }
+  }
+  return _ratersByItem.get(itemId) || new Set();
+}
+
+function coRatedCount(aId, bId) {
+  const a = ratersOf(aId), b = ratersOf(bId);
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let n = 0;
+  for (const u of small) if (large.has(u)) n++;
+  return n;
+}
+
+/* Anchors for personalized mode: the user's liked movies (or all of them if none reach 4★). */
+function likedAnchors(userRatings) {
+  const liked = userRatings.filter(r => r.rating >= LIKED_RATING);
+  return (liked.length ? liked : userRatings).map(r => r.itemId);
+}
+
+function latentVector(itemId) {
+  const i = itemIdToIndex.get(itemId);
+  return trainedOK && i != null && Qunit.length ? Qunit[i] : null;
+}
+
+function explainRecommendation(itemId, anchorIds) {
+  const item = getMovieById(itemId);
+  const qj = latentVector(itemId);
+
+  const anchors = [];
+  for (const aId of anchorIds) {
+    if (aId === itemId) continue;
+    const anchor = getMovieById(aId);
+    if (!anchor) continue;
+    const qa = latentVector(aId);
+    anchors.push({
+      itemId: aId,
+      title: anchor.title,
+      latentSim: qa && qj ? dot(qa, qj) : null,
+      genreSim: item ? cosineSimilarity(anchor.vector, item.vector) : 0,
+      sharedGenres: item ? anchor.genres.filter(g => item.genres.includes(g)) : [],
+      qa
+    });
+  }
+
+  const closeness = (a) => (a.latentSim != null ? a.latentSim : a.genreSim);
+  anchors.sort((a, b) => closeness(b) - closeness(a));
+  const nearest = anchors.slice(0, EXPLAIN_ANCHORS);
+  for (const a of nearest) a.coRated = coRatedCount(a.itemId, itemId);
+
+  // Per-dimension terms of cosine(nearest anchor, item) in latent space.
+  let latentDims = [];
+  if (nearest.length && nearest[0].qa && qj) {
+    const qa = nearest[0].qa;
+    latentDims = Array.from(qa, (v, d) => ({ dim: d, contribution: v * qj[d] }))
+      .sort((a, b) => b.contribution - a.contribution)
+      .slice(0, EXPLAIN_DIMS);
+  }
+
+  return {
+    itemId,
+    sharedGenres: nearest.length ? nearest[0].sharedGenres : [],
+    coRated: nearest.length ? nearest[0].coRated : 0,
+    anchors: nearest.map(({ qa, ...rest }) => rest),
+    latentDims
+  };
+}
+
+/* Collapsible <details> block rendered under a result <li>. */
+function renderExplanation(expl) {
+  const details = document.createElement('details');
+  details.className = 'why';
+  const summary = document.createElement('summary');
+  summary.textContent = "Why this?";
+  details.appendChild(summary);
+
+  const ul = document.createElement('ul');
+  const line = (text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    ul.appendChild(li);
+  };
+
+  if (!expl.anchors.length) {
+    line("No anchor movies to compare against.");
+  }
+  for (const a of expl.anchors) {
+    const sim = a.latentSim != null ? `latent cosine ${a.latentSim.toFixed(2)}` : `genre cosine ${a.genreSim.toFixed(2)}`;
+    line(`Because you liked “${a.title}” (${sim}, co-rated by ${a.coRated} user${a.coRated === 1 ? '' : 's'})`);
+  }
+  line(expl.sharedGenres.length
+    ? `Shares genres: ${expl.sharedGenres.join(', ')}`
+    : "Shares no genres with the nearest anchor");
+  if (expl.latentDims.length) {
+    const dims = expl.latentDims.map(d => `#${d.dim + 1} (${d.contribution >= 0 ? '+' : ''}${d.contribution.toFixed(2)})`);
+    line(`Strongest latent dimensions: ${dims.join(', ')}`);
+  }
+
+  details.appendChild(ul);
+  return details;
+}
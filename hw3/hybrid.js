@@ -0,0 +1,126 @@
+/* hybrid.js
+ * -----------------------------------------
+ * Hybrid item-to-item engine: one score per candidate movie j for a seed movie s,
+ *
+ *     score(s, j) = w_c · content(s, j) + w_l · latent(s, j) + w_p · popularity(j)
+ *
+ *   content     cosine over the 18-D binary genre vectors (as in hwweek2), in [0, 1]
+ *   latent      cosine of the MF item factors, dot(Qunit[s], Qunit[j]), in [-1, 1]
+ *   popularity  log(1 + #ratings(j)) / log(1 + max #ratings), a prior in [0, 1]
+ *
+ * Weights come from the sliders and are normalized to sum to 1.
+ * Movies without ratings are absent from itemIdToIndex and so have no latent vector; for them
+ * (or for every candidate when the seed itself has none) the latent term falls back to the
+ * content similarity and the result is flagged, so nothing is silently dropped.
+ */
+
+const HYBRID_DEFAULTS = { content: 30, latent: 60, popularity: 10 }; // slider positions (0-100)
+
+let _itemRatingCounts = null;
+let _maxLogCount = 1;
+
+/**
+ * Cosine Similarity over genre vectors:
+ * cosine = dot(A, B) / (||A|| * ||B||); if either norm is 0, treat similarity as 0.
+ */
+function cosineSimilarity(aVec, bVec) {
+  let d = 0, a2 = 0, b2 = 0;
+  for (let i = 0; i < aVec.length; i++) {
+    const a = aVec[i], b = bVec[i];
+    d += a * b;
+    a2 += a * a;
+    b2 += b * b;
+  }
+  const denom = Math.sqrt(a2) * Math.sqrt(b2);
+  return denom === 0 ? 0 : d / denom;
+}
+
+/* Popularity prior in [0, 1]; log-damped so blockbusters don't swamp the blend. */
+function popularityPrior(itemId) {
+  if (!_itemRatingCounts) {
+    _itemRatingCounts = new Map();
+    for (const r of ratings) _itemRatingCounts.set(r.itemId, (_itemRatingCounts.get(r.itemId) || 0) + 1);
+    let max = 0;
+    for (const c of _itemRatingCounts.values()) if (c > max) max = c;
+    _maxLogCount = Math.log1p(max) || 1;
+  }
+  return Math.log1p(_itemRatingCounts.get(itemId) || 0) / _maxLogCount;
+}
+
+function readHybridWeights() {
+  const val = (id, fallback) => {
+    const el = document.getElementById(id);
+    const v = el ? Number(el.value) : NaN;
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+  };
+  const raw = {
+    content: val('w-content', HYBRID_DEFAULTS.content),
+    latent: val('w-latent', HYBRID_DEFAULTS.latent),
+    popularity: val('w-popularity', HYBRID_DEFAULTS.popularity)
+  };
+  const total = raw.content + raw.latent + raw.popularity;
+  if (total === 0) return { content: 0, latent: 1, popularity: 0 };
+  return { content: raw.content / total, latent: raw.latent / total, popularity: raw.popularity / total };
+}
+
+function describeHybridWeights(w) {
+  const pct = (x) => `${Math.round(x * 100)}%`;
+  return `hybrid: ${pct(w.content)} genres, ${pct(w.latent)} MF latent, ${pct(w.popularity)} popularity`;
+}
+
+/* Top-k hybrid neighbours of `itemId`. Each result carries its weighted components in `parts`
+ * and `fallback: true` when the latent term was replaced by content similarity. */
+function hybridSimilarItems(itemId, k = 5, weights = readHybridWeights()) {
+  const seed = movies.find(m => m.id === itemId);
+  if (!seed) return [];
+
+  const s = itemIdToIndex.get(itemId);
+  const seedLatent = trainedOK && s != null && Qunit.length ? Qunit[s] : null;
+
+  const scored = [];
+  for (const m of movies) {
+    if (m.id === itemId) continue;
+
+    const content = cosineSimilarity(seed.vector, m.vector);
+    const j = itemIdToIndex.get(m.id);
+    const hasLatent = seedLatent && j != null;
+    const latent = hasLatent ? dot(seedLatent, Qunit[j]) : content;
+    const popularity = popularityPrior(m.id);
+
+    const parts = {
+      content: weights.content * content,
+      latent: weights.latent * latent,
+      popularity: weights.popularity * popularity
+    };
+    scored.push({
+      itemId: m.id,
+      title: m.title,
+      sim: parts.content + parts.latent + parts.popularity,
+      parts,
+      fallback: !hasLatent
+    });
+  }
+
+  scored.sort((a, b) => b.sim - a.sim);
+  return scored.slice(0, k);
+}
+
+/* "genres 0.21 · latent 0.44 · popularity 0.07" under a result title. */
+function renderContributions(parts, fallback) {
+  const small = document.createElement('small');
+  small.className = 'parts';
+  const latentLabel = fallback ? 'latent→genres' : 'latent';
+  small.textContent =
+    `genres ${parts.content.toFixed(2)} · ${latentLabel} ${parts.latent.toFixed(2)} · popularity ${parts.popularity.toFixed(2)}`;
+  if (fallback) small.title = "No MF vector for this pair (movie has no ratings); genre similarity stands in for the latent term.";
+  return small;
+}
+
+/* Keep the percentage labels next to each slider in sync. */
+function updateHybridLabels() {
+  const w = readHybridWeights();
+  for (const key of ['content', 'latent', 'popularity']) {
+    const out = document.getElementById(`w-${key}-out`);
+    if (out) out.textContent = `${Math.round(w[key] * 100)}%`;
+  }
+}
@@ -0,0 +1,228 @@
+/* mf-worker.js
+ * -----------------------------------------
+ * Dedicated Web Worker that owns Matrix Factorization training (Funk-SVD with biases).
+ * The page hands over the rating triplets once; the worker keeps mu, bu, bi, P and Q in
+ * typed arrays so SGD runs off the main thread and the UI never stalls, even on all of u.data.
+ *
+ * Messages page → worker:
+ *   { type: 'load', users: Int32Array, items: Int32Array, values: Float32Array, numUsers, numItems }
+ *   { type: 'train', runId, params, rows?, validationRows? }   // also used to retrain
+ *     params: { k, epochs, lr, reg, shuffle, lrDecay?, patience?, minDelta? }
+ *     rows (Uint32Array) optionally restricts training to those triplet indices, e.g. a train split.
+ *     validationRows (Uint32Array) enables early stopping: after each epoch the validation RMSE is
+ *     measured, the best weights are kept, and training stops once it has not improved by
+ *     minDelta for `patience` epochs (patience 0 = never stop early, still keep the best epoch).
+ *   { type: 'pause' } | { type: 'resume' } | { type: 'cancel' }
+ *
+ * Messages worker → page:
+ *   { type: 'progress', runId, epoch, epochs, rmse, valRmse?, lr }
+ *   { type: 'paused', runId } | { type: 'resumed', runId }
+ *   { type: 'done', runId, k, mu, bu, bi, P, Q, Qunit,       // flat Float32Arrays (row-major), transferred
+ *     epochsRun, bestEpoch, bestValRmse }                   // bestValRmse is null without validation
+ *   { type: 'cancelled', runId }
+ *   { type: 'error', runId, message }
+ */
+
+const YIELD_EVERY = 20000; // Triplets between yields so pause/cancel messages get processed
+
+let data = null;      // { users, items, values, numUsers, numItems }
+let active = null;    // { runId, cancelled, paused, resume: Function|null }
+
+self.onmessage = (ev) => {
+  const msg = ev.data || {};
+  switch (msg.type) {
+    case 'load':
+      data = {
+        users: msg.users,
+        items: msg.items,
+        values: msg.values,
+        numUsers: msg.numUsers,
+        numItems: msg.numItems
+      };
+      break;
+    case 'train':
+      // A new train request supersedes any run in flight (retrain with new hyperparameters).
+      if (active) cancelActive();
+      train(msg.runId, msg.params || {}, msg.rows || null, msg.validationRows || null);
+      break;
+    case 'pause':
+      if (active && !active.paused) {
+        active.paused = true;
+        self.postMessage({ type: 'paused', runId: active.runId });
+      }
+      break;
+    case 'resume':
+      if (active && active.paused) {
+        active.paused = false;
+        self.postMessage({ type: 'resumed', runId: active.runId });
+        if (active.resume) { const r = active.resume; active.resume = null; r(); }
+      }
+      break;
+    case 'cancel':
+      if (active) cancelActive();
+      break;
+  }
+};
+
+function cancelActive() {
+  active.cancelled = true;
+  if (active.resume) { const r = active.resume; active.resume = null; r(); }
+  active = null;
+}
+
+/* Give the worker's event loop a turn; blocks here while paused. */
+async function checkpoint(run) {
+  await new Promise(res => setTimeout(res, 0));
+  while (run.paused && !run.cancelled) {
+    await new Promise(res => { run.resume = res; });
+  }
+  return !run.cancelled;
+}
+
+function randSmall() { return Math.random() * 0.1 - 0.05; }
+
+/* RMSE of the current weights over the given triplet indices. */
+function rmseOn(rows, model) {
+  const { users, items, values } = data;
+  const { K, mu, bu, bi, P, Q } = model;
+  let sq = 0;
+  for (let n = 0; n < rows.length; n++) {
+    const idx = rows[n];
+    const u = users[idx], i = items[idx];
+    let d = 0;
+    for (let k = 0; k < K; k++) d += P[u * K + k] * Q[i * K + k];
+    const e = values[idx] - (mu + bu[u] + bi[i] + d);
+    sq += e * e;
+  }
+  return Math.sqrt(sq / Math.max(1, rows.length));
+}
+
+async function train(runId, params, rows, validationRows) {
+  const run = { runId, cancelled: false, paused: false, resume: null };
+  active = run;
+
+  try {
+    if (!data || !data.values.length || data.numUsers === 0 || data.numItems === 0) {
+      throw new Error("Empty dataset after parsing. Check u.item / u.data.");
+    }
+    if (rows && !rows.length) throw new Error("Training split is empty.");
+
+    const K = params.k;
+    const EPOCHS = params.epochs;
+    const LR = params.lr;
+    const REG = params.reg;
+    const LR_DECAY = params.lrDecay > 0 ? params.lrDecay : 1;   // lr_epoch = LR * LR_DECAY^(epoch-1)
+    const PATIENCE = params.patience > 0 ? params.patience : 0;
+    const MIN_DELTA = params.minDelta > 0 ? params.minDelta : 0;
+    const { users, items, values, numUsers: U, numItems: I } = data;
+    const N = rows ? rows.length : values.length;
+
+    // Visit order over the training triplets; shuffled per epoch instead of the data itself.
+    const order = new Uint32Array(N);
+    for (let n = 0; n < N; n++) order[n] = rows ? rows[n] : n;
+
+    // Global mean: the baseline every prediction starts from.
+    let sum = 0;
+    for (let n = 0; n < N; n++) sum += values[order[n]];
+    const mu = sum / N;
+
+    // Biases start at 0; latent factors get small random values to break symmetry.
+    const bu = new Float32Array(U);
+    const bi = new Float32Array(I);
+    const P = new Float32Array(U * K);
+    const Q = new Float32Array(I * K);
+    for (let n = 0; n < P.length; n++) P[n] = randSmall();
+    for (let n = 0; n < Q.length; n++) Q[n] = randSmall();
+
+    // Early stopping bookkeeping: snapshot of the best weights seen on validation.
+    const validate = validationRows && validationRows.length > 0;
+    let best = null, bestValRmse = Infinity, bestEpoch = 0, epochsRun = 0;
+
+    for (let epoch = 1; epoch <= EPOCHS; epoch++) {
+      // Learning-rate decay: large steps early, finer steps as the model settles.
+      const lr = LR * Math.pow(LR_DECAY, epoch - 1);
+      if (params.shuffle) {
+        for (let n = N - 1; n > 0; n--) {
+          const j = (Math.random() * (n + 1)) | 0;
+          const t = order[n]; order[n] = order[j]; order[j] = t;
+        }
+      }
+
+      let sqErr = 0;
+      for (let n = 0; n < N; n++) {
+        const idx = order[n];
+        const u = users[idx], i = items[idx], r = values[idx];
+        const pu = u * K, qi = i * K;
+
+        let d = 0;
+        for (let k = 0; k < K; k++) d += P[pu + k] * Q[qi + k];
+        const e = r - (mu + bu[u] + bi[i] + d);
+        sqErr += e * e;
+
+        bu[u] += lr * (e - REG * bu[u]);
+        bi[i] += lr * (e - REG * bi[i]);
+
+        for (let k = 0; k < K; k++) {
+          const p = P[pu + k], q = Q[qi + k];
+          P[pu + k] = p + lr * (e * q - REG * p);
+          Q[qi + k] = q + lr * (e * p - REG * q);
+        }
+
+        if ((n + 1) % YIELD_EVERY === 0 && !(await checkpoint(run))) {
+          self.postMessage({ type: 'cancelled', runId });
+          return;
+        }
+      }
+
+      epochsRun = epoch;
+      const rmse = Math.sqrt(sqErr / N);
+      const valRmse = validate ? rmseOn(validationRows, { K, mu, bu, bi, P, Q }) : null;
+      self.postMessage({ type: 'progress', runId, epoch, epochs: EPOCHS, rmse, valRmse, lr });
+      if (!(await checkpoint(run))) {
+        self.postMessage({ type: 'cancelled', runId });
+        return;
+      }
+
+      if (validate) {
+        if (valRmse < bestValRmse - MIN_DELTA) {
+          bestValRmse = valRmse;
+          bestEpoch = epoch;
+          best = { bu: bu.slice(), bi: bi.slice(), P: P.slice(), Q: Q.slice() };
+        } else if (PATIENCE && epoch - bestEpoch >= PATIENCE) {
+          break; // validation RMSE stopped improving
+        }
+      }
+    }
+
+    // Roll back to the best validation epoch if later epochs overfit.
+    if (best && bestEpoch < epochsRun) {
+      bu.set(best.bu);
+      bi.set(best.bi);
+      P.set(best.P);
+      Q.set(best.Q);
+    }
+    if (!validate) bestEpoch = epochsRun;
+
+    // Unit-length copy of Q so cosine similarity on the page is a plain dot product.
+    const Qunit = new Float32Array(I * K);
+    for (let i = 0; i < I; i++) {
+      let s = 0;
+      for (let k = 0; k < K; k++) s += Q[i * K + k] * Q[i * K + k];
+      const n = Math.sqrt(s);
+      if (n === 0) continue;
+      for (let k = 0; k < K; k++) Qunit[i * K + k] = Q[i * K + k] / n;
+    }
+
+    self.postMessage(
+      {
+        type: 'done', runId, k: K, mu, bu, bi, P, Q, Qunit,
+        epochsRun, bestEpoch, bestValRmse: validate ? bestValRmse : null
+      },
+      [bu.buffer, bi.buffer, P.buffer, Q.buffer, Qunit.buffer]
+    );
+  } catch (err) {
+    self.postMessage({ type: 'error', runId, message: err.message });
+  } finally {
+    if (active === run) active = null;
+  }
+}
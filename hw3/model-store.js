@@ -0,0 +1,326 @@
+/* model-store.js
+ * -----------------------------------------
+ * Persistence for trained MF models.
+ *
+ *  - IndexedDB: every served model is saved under a single "current" record together with its
+ *    id maps, hyperparameters and the dataset fingerprint from data.js. On startup the record is
+ *    restored instead of retraining when the fingerprint still matches; otherwise the model is
+ *    flagged as stale and retraining is offered.
+ *  - Files: the served model can be downloaded as compact binary (.hw3mf) or JSON and uploaded
+ *    again later.
+ *
+ * Stored models carry their own user/item id lists, so rows are remapped by MovieLens id when
+ * they are adopted; a model is only usable if it covers every user and item currently loaded.
+ *
+ * Binary layout (little-endian):
+ *   "HW3MF" (5 bytes) | version u8 | header length u32 | header JSON (UTF-8) | zero padding to 4
+ *   userIds i32[U] | itemIds i32[I] | bu f32[U] | bi f32[I] | P f32[U*K] | Q f32[I*K]
+ */
+
+const MODEL_DB = 'hw3-mf';
+const MODEL_STORE = 'models';
+const MODEL_KEY = 'current';
+const MODEL_FORMAT = 'hw3-mf';
+const MODEL_VERSION = 1;
+const MODEL_MAGIC = 'HW3MF';
+
+/*** Snapshot <-> served model ***/
+function flattenRows(rows, k) {
+  const out = new Float32Array(rows.length * k);
+  rows.forEach((row, r) => out.set(row, r * k));
+  return out;
+}
+
+/* Plain, serializable snapshot of the served model. */
+function snapshotServedModel() {
+  const k = Q.length ? Q[0].length : 0;
+  return {
+    format: MODEL_FORMAT,
+    version: MODEL_VERSION,
+    fingerprint: servedModelInfo ? servedModelInfo.fingerprint : datasetFingerprint,
+    savedAt: new Date().toISOString(),
+    hyperparams: servedModelInfo ? servedModelInfo.params : null,
+    trainedAt: servedModelInfo ? servedModelInfo.trainedAt : null,
+    k,
+    mu,
+    userIds: Int32Array.from(indexToUserId),
+    itemIds: Int32Array.from(indexToItemId),
+    bu: Float32Array.from(bu),
+    bi: Float32Array.from(bi),
+    P: flattenRows(P, k),
+    Q: flattenRows(Q, k)
+  };
+}
+
+/* Throws unless the snapshot's arrays have the lengths its user/item counts and k imply. */
+function checkSnapshotShape(snap) {
+  const k = snap.k;
+  if (!Number.isInteger(k) || k < 1) throw new Error(`Model file has an invalid factor count (k = ${k}).`);
+  const U = snap.userIds.length, I = snap.itemIds.length;
+  if (snap.numUsers != null && snap.numUsers !== U) throw new Error(`Model file lists ${U} users but its header says ${snap.numUsers}.`);
+  if (snap.numItems != null && snap.numItems !== I) throw new Error(`Model file lists ${I} movies but its header says ${snap.numItems}.`);
+  const expected = { bu: U, bi: I, P: U * k, Q: I * k };
+  for (const [name, length] of Object.entries(expected)) {
+    if (snap[name].length !== length) {
+      throw new Error(`Model file is corrupt: ${name} has ${snap[name].length} values, expected ${length}.`);
+    }
+  }
+}
+
+/* Reorder a snapshot's rows to the current id → index maps and normalize Q for cosine.
+ * Throws when the snapshot is malformed or does not cover the loaded users/items. */
+function modelFromSnapshot(snap) {
+  if (snap.format !== MODEL_FORMAT) throw new Error("Not an hw3 MF model file.");
+  if (snap.version > MODEL_VERSION) throw new Error(`Model format v${snap.version} is newer than this app supports.`);
+  if (snap.version !== MODEL_VERSION) throw new Error(`Unknown model format version ${snap.version}.`);
+  checkSnapshotShape(snap);
+
+  const k = snap.k;
+  const rowOf = (ids) => new Map(Array.from(ids, (id, r) => [id, r]));
+  const userRow = rowOf(snap.userIds);
+  const itemRow = rowOf(snap.itemIds);
+
+  const U = userIdToIndex.size, I = itemIdToIndex.size;
+  const buNew = new Float32Array(U), biNew = new Float32Array(I);
+  const flatP = new Float32Array(U * k), flatQ = new Float32Array(I * k), flatQunit = new Float32Array(I * k);
+
+  for (const [userId, u] of userIdToIndex) {
+    const r = userRow.get(userId);
+    if (r == null) throw new Error(`Model has no factors for user ${userId}.`);
+    buNew[u] = snap.bu[r];
+    flatP.set(snap.P.subarray(r * k, (r + 1) * k), u * k);
+  }
+  for (const [itemId, i] of itemIdToIndex) {
+    const r = itemRow.get(itemId);
+    if (r == null) throw new Error(`Model has no factors for movie ${itemId}.`);
+    biNew[i] = snap.bi[r];
+    const q = snap.Q.subarray(r * k, (r + 1) * k);
+    flatQ.set(q, i * k);
+    const n = Math.sqrt(dot(q, q));
+    if (n > 0) for (let d = 0; d < k; d++) flatQunit[i * k + d] = q[d] / n;
+  }
+
+  return unpackModel({ k, mu: snap.mu, bu: buNew, bi: biNew, P: flatP, Q: flatQ, Qunit: flatQunit });
+}
+
+function adoptSnapshot(snap) {
+  const model = modelFromSnapshot(snap);
+  installModel(model);
+  servedModelInfo = { params: snap.hyperparams, trainedAt: snap.trainedAt, fingerprint: snap.fingerprint };
+  if (snap.hyperparams) applyHyperparamInputs(snap.hyperparams);
+  trainedOK = true;
+}
+
+function applyHyperparamInputs(params) {
+  const set = (id, v) => { const el = document.getElementById(id); if (el && v != null) el.value = String(v); };
+  set('hp-k', params.k);
+  set('hp-epochs', params.epochs);
+  set('hp-lr', params.lr);
+  set('hp-reg', params.reg);
+  set('hp-decay', params.lrDecay);
+}
+
+/*** IndexedDB ***/
+function openModelDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error("IndexedDB is not available.")); return; }
+    const req = indexedDB.open(MODEL_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(MODEL_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function modelDbRequest(mode, fn) {
+  const db = await openModelDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(MODEL_STORE, mode);
+      const req = fn(tx.objectStore(MODEL_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function saveServedModel() {
+  await modelDbRequest('readwrite', store => store.put(snapshotServedModel(), MODEL_KEY));
+}
+
+/* Restore the saved model on startup. Resolves:
+ *   'fresh' – saved model matches the loaded dataset and is now served
+ *   'stale' – dataset changed since it was saved; served if its ids still cover the data
+ *   'none'  – nothing usable saved (or IndexedDB unavailable) */
+async function restoreSavedModel() {
+  let snap;
+  try {
+    snap = await modelDbRequest('readonly', store => store.get(MODEL_KEY));
+  } catch (err) {
+    console.warn('Could not read saved model:', err);
+    return 'none';
+  }
+  if (!snap) return 'none';
+
+  const stale = snap.fingerprint !== datasetFingerprint;
+  try {
+    adoptSnapshot(snap);
+  } catch (err) {
+    console.warn('Saved model does not fit the loaded data:', err);
+    return stale ? 'stale' : 'none';
+  }
+  return stale ? 'stale' : 'fresh';
+}
+
+function showStaleNotice(show) {
+  const el = document.getElementById('stale-notice');
+  if (el) el.hidden = !show;
+}
+
+/*** File export ***/
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function splitSnapshot(snap) {
+  const { userIds, itemIds, bu: b_u, bi: b_i, P: flatP, Q: flatQ, ...header } = snap;
+  return { header, arrays: [userIds, itemIds, b_u, b_i, flatP, flatQ] };
+}
+
+function encodeModelBinary(snap) {
+  const { header, arrays } = splitSnapshot(snap);
+  const headerBytes = new TextEncoder().encode(JSON.stringify({
+    ...header, numUsers: snap.userIds.length, numItems: snap.itemIds.length
+  }));
+  const prefix = 5 + 1 + 4;
+  const dataStart = Math.ceil((prefix + headerBytes.length) / 4) * 4;
+  const dataBytes = arrays.reduce((n, a) => n + a.byteLength, 0);
+
+  const buf = new ArrayBuffer(dataStart + dataBytes);
+  const bytes = new Uint8Array(buf);
+  for (let c = 0; c < MODEL_MAGIC.length; c++) bytes[c] = MODEL_MAGIC.charCodeAt(c);
+  bytes[5] = MODEL_VERSION;
+  new DataView(buf).setUint32(6, headerBytes.length, true);
+  bytes.set(headerBytes, prefix);
+
+  let offset = dataStart;
+  for (const a of arrays) {
+    bytes.set(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), offset);
+    offset += a.byteLength;
+  }
+  return buf;
+}
+
+function decodeModelBinary(buf) {
+  const view = new DataView(buf);
+  const version = view.getUint8(5);
+  if (version !== MODEL_VERSION) {
+    throw new Error(version > MODEL_VERSION
+      ? `Model format v${version} is newer than this app supports.`
+      : `Unknown model format version ${version}.`);
+  }
+  const headerLength = view.getUint32(6, true);
+  if (10 + headerLength > buf.byteLength) throw new Error("Model file is truncated.");
+  const prefix = 5 + 1 + 4;
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buf, prefix, headerLength)));
+  const { numUsers: U, numItems: I, k } = header;
+  if (![U, I, k].every(n => Number.isInteger(n) && n >= 0)) throw new Error("Model file header is corrupt.");
+
+  let offset = Math.ceil((prefix + headerLength) / 4) * 4;
+  const take = (Ctor, n) => {
+    if (offset + n * 4 > buf.byteLength) throw new Error("Model file is truncated.");
+    const out = new Ctor(buf.slice(offset, offset + n * 4));
+    offset += n * 4;
+    return out;
+  };
+  return {
+    ...header,
+    userIds: take(Int32Array, U),
+    itemIds: take(Int32Array, I),
+    bu: take(Float32Array, U),
+    bi: take(Float32Array, I),
+    P: take(Float32Array, U * k),
+    Q: take(Float32Array, I * k)
+  };
+}
+
+function encodeModelJSON(snap) {
+  const { header } = splitSnapshot(snap);
+  return JSON.stringify({
+    ...header,
+    userIds: Array.from(snap.userIds),
+    itemIds: Array.from(snap.itemIds),
+    bu: Array.from(snap.bu),
+    bi: Array.from(snap.bi),
+    P: Array.from(snap.P),
+    Q: Array.from(snap.Q)
+  });
+}
+
+function decodeModelJSON(text) {
+  const obj = JSON.parse(text);
+  return {
+    ...obj,
+    userIds: Int32Array.from(obj.userIds || []),
+    itemIds: Int32Array.from(obj.itemIds || []),
+    bu: Float32Array.from(obj.bu || []),
+    bi: Float32Array.from(obj.bi || []),
+    P: Float32Array.from(obj.P || []),
+    Q: Float32Array.from(obj.Q || [])
+  };
+}
+
+function isBinaryModel(buf) {
+  if (buf.byteLength < 10) return false;
+  const bytes = new Uint8Array(buf, 0, 5);
+  return String.fromCharCode(...bytes) === MODEL_MAGIC;
+}
+
+/*** UI actions ***/
+function exportModel(kind) {
+  if (!trainedOK) {
+    setStatus("No trained model to export yet.");
+    return;
+  }
+  const snap = snapshotServedModel();
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (kind === 'json') {
+    downloadBlob(new Blob([encodeModelJSON(snap)], { type: 'application/json' }), `hw3-mf-${stamp}.json`);
+  } else {
+    downloadBlob(new Blob([encodeModelBinary(snap)], { type: 'application/octet-stream' }), `hw3-mf-${stamp}.hw3mf`);
+  }
+}
+
+async function importModelFile(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+  input.value = "";
+
+  if (mfRun) {
+    setStatus("Wait for the current training run to finish before importing a model.");
+    return;
+  }
+  try {
+    const buf = await file.arrayBuffer();
+    const snap = isBinaryModel(buf) ? decodeModelBinary(buf) : decodeModelJSON(new TextDecoder().decode(buf));
+    adoptSnapshot(snap);
+    const stale = snap.fingerprint !== datasetFingerprint;
+    showStaleNotice(stale);
+    await saveServedModel().catch(err => console.warn('Could not save imported model:', err));
+    setStatus(stale
+      ? `Imported "${file.name}", but it was trained on different data — retraining is recommended.`
+      : `Imported "${file.name}". Model ready.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not import "${file.name}": ${err.message}`);
+  }
+}
@@ -0,0 +1,223 @@
+/* onboarding.js
+ * -----------------------------------------
+ * Cold-start onboarding: a visitor who is not in u.data rates a handful of movies and gets
+ * personalized results without retraining the model.
+ *
+ * Fold-in: with the item side frozen (mu, bi, Q from the served model), the visitor's vector p
+ * and bias b are the ridge-regression solution of
+ *
+ *     minimize  Σ_i (r_i − mu − b_i − b − p·q_i)²  +  λ (‖p‖² + b²)
+ *
+ * over the rated items i. Stacking x = [p; b] and a_i = [q_i; 1] gives the (K+1)×(K+1) normal
+ * equations (AᵀA + λI) x = Aᵀy with y_i = r_i − mu − b_i, solved exactly with a Cholesky
+ * factorization (the matrix is symmetric positive definite for λ > 0).
+ *
+ * Only the ratings are stored (localStorage), not the vector: after a retrain the fold-in is
+ * simply recomputed against the new Q.
+ */
+
+const ONBOARDING_KEY = 'hw3.onboardingRatings';
+const ONBOARDING_MIN = 5;
+const ONBOARDING_MAX = 15;
+const FOLD_IN_LAMBDA = 0.5; // ridge strength; keeps a 5-rating profile from overfitting K factors
+
+let onboardingRatings = []; // [{ itemId, rating }]
+
+function loadOnboardingRatings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ONBOARDING_KEY) || '[]');
+    onboardingRatings = Array.isArray(parsed)
+      ? parsed.filter(r => Number.isFinite(r.itemId) && r.rating >= MIN_STARS && r.rating <= MAX_STARS)
+      : [];
+  } catch (err) {
+    console.warn('Ignoring unreadable onboarding ratings:', err);
+    onboardingRatings = [];
+  }
+}
+
+function saveOnboardingRatings() {
+  try {
+    localStorage.setItem(ONBOARDING_KEY, JSON.stringify(onboardingRatings));
+  } catch (err) {
+    console.warn('Could not persist onboarding ratings:', err);
+  }
+}
+
+/*** Linear algebra ***/
+/* Solve A x = b for symmetric positive-definite A (array of rows) via Cholesky: A = L Lᵀ. */
+function solveSPD(A, b) {
+  const n = b.length;
+  const L = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (s <= 0) throw new Error("Fold-in system is not positive definite.");
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  // Forward substitution L z = b, then back substitution Lᵀ x = z.
+  const z = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let s = b[i];
+    for (let k = 0; k < i; k++) s -= L[i][k] * z[k];
+    z[i] = s / L[i][i];
+  }
+  const x = new Float64Array(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = z[i];
+    for (let k = i + 1; k < n; k++) s -= L[k][i] * x[k];
+    x[i] = s / L[i][i];
+  }
+  return x;
+}
+
+/* Fold a new user into the frozen item factors. Returns { pu, bias, used } or null when none of
+ * the rated movies are known to the model. */
+function foldInUser(userRatings, lambda = FOLD_IN_LAMBDA) {
+  const rows = userRatings
+    .map(r => ({ i: itemIdToIndex.get(r.itemId), rating: r.rating }))
+    .filter(r => r.i != null);
+  if (!rows.length || !Q.length) return null;
+
+  const K1 = Q[0].length + 1;
+  const A = Array.from({ length: K1 }, () => new Float64Array(K1));
+  const rhs = new Float64Array(K1);
+
+  for (const { i, rating } of rows) {
+    const q = Q[i];
+    const y = rating - mu - bi[i];
+    for (let a = 0; a < K1; a++) {
+      const fa = a < K1 - 1 ? q[a] : 1;
+      rhs[a] += fa * y;
+      for (let b = 0; b < K1; b++) {
+        const fb = b < K1 - 1 ? q[b] : 1;
+        A[a][b] += fa * fb;
+      }
+    }
+  }
+  for (let a = 0; a < K1; a++) A[a][a] += lambda;
+
+  const x = solveSPD(A, rhs);
+  return { pu: x.subarray(0, K1 - 1), bias: x[K1 - 1], used: rows.length };
+}
+
+/*** UI ***/
+function initOnboarding() {
+  loadOnboardingRatings();
+
+  const sel = document.getElementById('onboard-movie');
+  if (sel) {
+    sel.innerHTML = "";
+    const usable = movies.filter(m => itemIdToIndex.has(m.id)).sort((a, b) => a.title.localeCompare(b.title));
+    for (const m of usable) {
+      const opt = document.createElement('option');
+      opt.value = String(m.id);
+      opt.textContent = m.title;
+      sel.appendChild(opt);
+    }
+  }
+  renderOnboardingList();
+}
+
+function addOnboardingRating() {
+  const itemId = Number(document.getElementById('onboard-movie').value);
+  const rating = Number(document.getElementById('onboard-stars').value);
+  if (!Number.isFinite(itemId) || !(rating >= MIN_STARS && rating <= MAX_STARS)) return;
+
+  const existing = onboardingRatings.find(r => r.itemId === itemId);
+  if (existing) {
+    existing.rating = rating; // re-rating a movie just updates it
+  } else if (onboardingRatings.length >= ONBOARDING_MAX) {
+    setStatus(`You can rate up to ${ONBOARDING_MAX} movies. Remove one to add another.`);
+    return;
+  } else {
+    onboardingRatings.push({ itemId, rating });
+  }
+  saveOnboardingRatings();
+  renderOnboardingList();
+}
+
+function removeOnboardingRating(itemId) {
+  onboardingRatings = onboardingRatings.filter(r => r.itemId !== itemId);
+  saveOnboardingRatings();
+  renderOnboardingList();
+}
+
+function clearOnboardingRatings() {
+  onboardingRatings = [];
+  saveOnboardingRatings();
+  renderOnboardingList();
+}
+
+function renderOnboardingList() {
+  const ul = document.getElementById('onboard-list');
+  const count = document.getElementById('onboard-count');
+  const go = document.getElementById('onboard-go-btn');
+  if (!ul) return;
+  ul.innerHTML = "";
+
+  for (const { itemId, rating } of onboardingRatings) {
+    const li = document.createElement('li');
+    const spanTitle = document.createElement('span');
+    spanTitle.textContent = getMovieTitleById(itemId) || `Item ${itemId}`;
+
+    const right = document.createElement('span');
+    right.className = 'onboard-actions';
+    const stars = document.createElement('span');
+    stars.textContent = starGlyphs(rating);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'link-btn';
+    remove.textContent = "Remove";
+    remove.setAttribute('aria-label', `Remove rating for ${spanTitle.textContent}`);
+    remove.addEventListener('click', () => removeOnboardingRating(itemId));
+    right.appendChild(stars);
+    right.appendChild(remove);
+
+    li.appendChild(spanTitle);
+    li.appendChild(right);
+    ul.appendChild(li);
+  }
+
+  const n = onboardingRatings.length;
+  if (count) {
+    count.textContent = n < ONBOARDING_MIN
+      ? `${n} rated — rate at least ${ONBOARDING_MIN - n} more (up to ${ONBOARDING_MAX}).`
+      : `${n} rated (up to ${ONBOARDING_MAX}).`;
+  }
+  if (go) go.disabled = n < ONBOARDING_MIN;
+}
+
+function getOnboardingRecommendations() {
+  if (onboardingRatings.length < ONBOARDING_MIN) {
+    setStatus(`Rate at least ${ONBOARDING_MIN} movies first.`);
+    return;
+  }
+  if (!trainedOK) {
+    setStatus("The model is still training — fold-in needs the learned item factors.");
+    return;
+  }
+
+  try {
+    const folded = foldInUser(onboardingRatings);
+    if (!folded) {
+      setStatus("None of your rated movies are known to the model.");
+      return;
+    }
+    const seen = new Set(onboardingRatings.map(r => itemIdToIndex.get(r.itemId)).filter(i => i != null));
+    const recs = rankUnseenItems(folded.pu, folded.bias, seen, USER_TOP_N);
+    renderUserRecommendations(
+      `Top picks for you, based on ${folded.used} ratings (predicted rating):`,
+      recs,
+      likedAnchors(onboardingRatings)
+    );
+  } catch (err) {
+    console.error(err);
+    setStatus(`Could not compute your recommendations: ${err.message}`);
+  }
+}
@@ -1,15 +1,20 @@
 /* script.js
  * -----------------------------------------
  * Matrix Factorization (Funk-SVD with biases) recommender, trained client-side.
- * (unchanged MF core; additions at render layer to scale & color-code scores)
+ * SGD runs in mf-worker.js; this file drives the worker and serves similarities
+ * from the weights it posts back. Score colouring/scaling lives in the render layer.
  */
 
 const K = 20;
 const EPOCHS = 12;
 const LR = 0.01;
 const REG = 0.05;
+const LR_DECAY = 1;      // per-epoch multiplier on LR (1 = constant learning rate)
 const SHUFFLE = true;
-const YIELD_EVERY = 5000;
+
+const MIN_STARS = 1;     // MovieLens rating scale
+const MAX_STARS = 5;
+const USER_TOP_N = 10;
 
 let mu = 0;
 let bu = [];
@@ -18,25 +23,43 @@ let P = [];
 let Q = [];
 let Qunit = [];
 let trainedOK = false;
+let servedModelInfo = null; // { params, trainedAt, fingerprint } of the model being served
 
 let indexToItemId = [];
 let indexToUserId = [];
 
+// Training runs in mf-worker.js; the page only sends commands and receives progress + weights.
+let mfWorker = null;
+let mfRun = null;      // { runId, resolve, reject } for the run in flight
+let mfPaused = false;
+let nextRunId = 1;
+
 window.onload = async () => {
   setStatus("Loading data…");
   await loadData();
+  buildIndexLookups();
   populateMoviesDropdown();
+  populateUsersDropdown();
+  initOnboarding();
+  updateHybridLabels();
+  fillHyperparamInputs();
+
+  // Reuse the model saved by a previous visit when it was trained on this exact dataset.
+  const restored = await restoreSavedModel();
+  if (restored === 'fresh') {
+    setStatus("Loaded saved model. Select a movie to get recommendations.");
+    return;
+  }
+  if (restored === 'stale') {
+    showStaleNotice(true);
+    setStatus(trainedOK
+      ? "u.item / u.data changed since the saved model was trained. Serving it anyway — retraining is recommended."
+      : "u.item / u.data changed since the saved model was trained. Retrain to get MF recommendations.");
+    return;
+  }
 
   setStatus("Training Matrix Factorization model…");
-  try {
-    await trainMF();
-    setStatus("Model ready. Select a movie to get recommendations.");
-    trainedOK = true;
-  } catch (err) {
-    console.error(err);
-    setStatus(`Training failed: ${err.message}`);
-    trainedOK = false;
-  }
+  await runTraining(readHyperparams());
 };
 
 function setStatus(msg) {
@@ -44,102 +67,270 @@ function setStatus(msg) {
   if (el) el.textContent = msg;
 }
 
+/* Every movie is listed: titles without ratings have no latent vector, but the hybrid engine
+ * still serves them through genre (content) similarity. */
 function populateMoviesDropdown() {
   const sel = document.getElementById('movie-select');
   sel.innerHTML = "";
 
-  const usable = movies.filter(m => itemIdToIndex.has(m.id));
-  usable.sort((a, b) => a.title.localeCompare(b.title));
+  const sorted = [...movies].sort((a, b) => a.title.localeCompare(b.title));
 
-  for (const m of usable) {
+  for (const m of sorted) {
     const opt = document.createElement('option');
     opt.value = String(m.id);
-    opt.textContent = m.title;
+    opt.textContent = itemIdToIndex.has(m.id) ? m.title : `${m.title} (no ratings)`;
     sel.appendChild(opt);
   }
 
-  if (usable.length === 0) {
-    setStatus("No movies available from the ratings subset. Increase MAX_RATINGS in data.js and reload.");
+  if (sorted.length === 0) {
+    setStatus("No movies available. Check u.item and reload.");
   }
 }
 
-/*** Math helpers ***/
-function randSmall() { return Math.random() * 0.1 - 0.05; }
-function dot(a, b) { let s = 0; for (let k = 0; k < a.length; k++) s += a[k] * b[k]; return s; }
-function l2norm(v) { let s = 0; for (let k = 0; k < v.length; k++) s += v[k] * v[k]; return Math.sqrt(s); }
-function fisherYatesInPlace(arr){ for (let i=arr.length-1;i>0;i--){ const j=(Math.random()*(i+1))|0; [arr[i],arr[j]]=[arr[j],arr[i]];} return arr; }
-function nextAnimationFrame(){ return new Promise(res=>requestAnimationFrame(res)); }
+/* Users ordered by id; the label shows how much history each one has. */
+function populateUsersDropdown() {
+  const sel = document.getElementById('user-select');
+  if (!sel) return;
+  sel.innerHTML = "";
 
-/*** Training ***/
-async function trainMF() {
-  const U = userIdToIndex.size;
-  const I = itemIdToIndex.size;
-  if (!ratings.length || U === 0 || I === 0) {
-    throw new Error("Empty dataset after parsing. Check u.item / u.data and MAX_RATINGS cap.");
+  const counts = new Map();
+  for (const r of ratings) counts.set(r.userId, (counts.get(r.userId) || 0) + 1);
+
+  const ids = indexToUserId.filter(id => id != null).sort((a, b) => a - b);
+  for (const id of ids) {
+    const opt = document.createElement('option');
+    opt.value = String(id);
+    opt.textContent = `User ${id} (${counts.get(id) || 0} ratings)`;
+    sel.appendChild(opt);
   }
+}
 
-  indexToItemId = [];
-  indexToUserId = [];
-  for (const [itemId, idx] of itemIdToIndex.entries()) indexToItemId[idx] = itemId;
-  for (const [userId, idx] of userIdToIndex.entries()) indexToUserId[idx] = userId;
+/*** Math helpers ***/
+function dot(a, b) { let s = 0; for (let k = 0; k < a.length; k++) s += a[k] * b[k]; return s; }
+
+/* Split a flat row-major Float32Array into per-row views (no copy), so P[u] / Q[i] keep working. */
+function rowViews(flat, rows, k) {
+  return Array.from({ length: rows }, (_, r) => flat.subarray(r * k, (r + 1) * k));
+}
 
-  let sum = 0;
-  for (const r of ratings) sum += r.rating;
-  mu = sum / ratings.length;
+/*** Training controls ***/
+function readHyperparams() {
+  const num = (id, fallback) => {
+    const el = document.getElementById(id);
+    const v = el ? Number(el.value) : NaN;
+    return Number.isFinite(v) && v > 0 ? v : fallback;
+  };
+  return {
+    k: Math.round(num('hp-k', K)),
+    epochs: Math.round(num('hp-epochs', EPOCHS)),
+    lr: num('hp-lr', LR),
+    reg: num('hp-reg', REG),
+    lrDecay: Math.min(1, num('hp-decay', LR_DECAY)),
+    shuffle: SHUFFLE
+  };
+}
 
-  bu = new Array(U).fill(0);
-  bi = new Array(I).fill(0);
-  P = Array.from({ length: U }, () => Array.from({ length: K }, randSmall));
-  Q = Array.from({ length: I }, () => Array.from({ length: K }, randSmall));
+function fillHyperparamInputs() {
+  const set = (id, v) => { const el = document.getElementById(id); if (el && !el.value) el.value = String(v); };
+  set('hp-k', K);
+  set('hp-epochs', EPOCHS);
+  set('hp-lr', LR);
+  set('hp-reg', REG);
+  set('hp-decay', LR_DECAY);
+}
 
-  const triplets = ratings.map(({ userId, itemId, rating }) => ({
-    u: userIdToIndex.get(userId),
-    i: itemIdToIndex.get(itemId),
-    r: rating
-  }));
+function setTrainingControls(running, paused = false) {
+  const pause = document.getElementById('pause-btn');
+  const cancel = document.getElementById('cancel-btn');
+  if (pause) {
+    pause.disabled = !running;
+    pause.textContent = paused ? "Resume" : "Pause";
+  }
+  if (cancel) cancel.disabled = !running;
+}
 
-  for (let epoch = 1; epoch <= EPOCHS; epoch++) {
-    if (SHUFFLE) fisherYatesInPlace(triplets);
+/* Train with the given hyperparameters and report the outcome in #status.
+ * A cancelled run keeps whatever model was being served before it. */
+async function runTraining(params) {
+  setTrainingControls(true);
+  try {
+    const ok = await trainMF(params);
+    if (ok === null) return; // superseded by a newer run, which reports for itself
+    if (ok) {
+      trainedOK = true;
+      showStaleNotice(false);
+      setStatus("Model ready. Select a movie to get recommendations.");
+      saveServedModel().catch(err => console.warn('Could not save model to IndexedDB:', err));
+    } else {
+      setStatus(trainedOK
+        ? "Training cancelled — still serving the previous model."
+        : "Training cancelled. Showing popularity-based results until a model is trained.");
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus(`Training failed: ${err.message}`);
+    trainedOK = false;
+  } finally {
+    if (!mfRun) setTrainingControls(false);
+  }
+}
 
-    let sqErr = 0, count = 0, sinceYield = 0;
+function retrainModel() {
+  setStatus("Retraining with new hyperparameters…");
+  runTraining(readHyperparams());
+}
 
-    for (const { u, i, r } of triplets) {
-      const pu = P[u];
-      const qi = Q[i];
-      const r_hat = mu + bu[u] + bi[i] + dot(pu, qi);
-      const e = r - r_hat;
+function togglePauseTraining() {
+  if (!mfWorker || !mfRun) return;
+  mfWorker.postMessage({ type: mfPaused ? 'resume' : 'pause' });
+}
 
-      sqErr += e*e; count++;
+function cancelTraining() {
+  if (mfWorker && mfRun) mfWorker.postMessage({ type: 'cancel' });
+}
 
-      bu[u] += LR * (e - REG * bu[u]);
-      bi[i] += LR * (e - REG * bi[i]);
+/*** Training (delegated to mf-worker.js) ***/
+function getWorker() {
+  if (mfWorker) return mfWorker;
+  if (typeof Worker === 'undefined') throw new Error("Web Workers are not supported in this browser.");
+
+  mfWorker = new Worker('mf-worker.js');
+  mfWorker.onmessage = onWorkerMessage;
+  mfWorker.onerror = (ev) => {
+    const run = mfRun;
+    mfRun = null;
+    if (run) run.reject(new Error(ev.message || "Training worker crashed."));
+  };
+
+  // Ship the rating triplets once as compact typed arrays; later runs reuse them.
+  const n = ratings.length;
+  const users = new Int32Array(n);
+  const items = new Int32Array(n);
+  const values = new Float32Array(n);
+  for (let t = 0; t < n; t++) {
+    const r = ratings[t];
+    users[t] = userIdToIndex.get(r.userId);
+    items[t] = itemIdToIndex.get(r.itemId);
+    values[t] = r.rating;
+  }
+  mfWorker.postMessage(
+    { type: 'load', users, items, values, numUsers: userIdToIndex.size, numItems: itemIdToIndex.size },
+    [users.buffer, items.buffer, values.buffer]
+  );
+  return mfWorker;
+}
 
-      for (let k = 0; k < K; k++) {
-        const p = pu[k], q = qi[k];
-        pu[k] = p + LR * (e * q - REG * p);
-        qi[k] = q + LR * (e * p - REG * q);
-      }
+function onWorkerMessage(ev) {
+  const msg = ev.data;
+  const run = mfRun;
+  if (!run || msg.runId !== run.runId) return; // stale message from a superseded run
 
-      sinceYield++;
-      if (sinceYield >= YIELD_EVERY) { sinceYield = 0; await nextAnimationFrame(); }
+  switch (msg.type) {
+    case 'progress': {
+      const val = msg.valRmse == null ? "" : `, validation RMSE ≈ ${msg.valRmse.toFixed(4)}`;
+      setStatus(`${run.label} epoch ${msg.epoch}/${msg.epochs} complete — RMSE ≈ ${msg.rmse.toFixed(4)}${val}`);
+      break;
     }
+    case 'paused':
+      mfPaused = true;
+      setTrainingControls(true, true);
+      setStatus("Training paused.");
+      break;
+    case 'resumed':
+      mfPaused = false;
+      setTrainingControls(true, false);
+      setStatus("Training resumed…");
+      break;
+    case 'done':
+      mfRun = null;
+      run.resolve(unpackModel(msg));
+      break;
+    case 'cancelled':
+      mfRun = null;
+      run.resolve(false);
+      break;
+    case 'error':
+      mfRun = null;
+      run.reject(new Error(msg.message));
+      break;
+  }
+}
+
+/* Train on all ratings and serve the result. Resolves true when a model was trained and
+ * installed, false when the run was cancelled, and null when a newer run superseded it. */
+async function trainMF(params = readHyperparams()) {
+  const model = await fitMF(params);
+  if (!model) return model;
+  installModel(model);
+  servedModelInfo = { params, trainedAt: new Date().toISOString(), fingerprint: datasetFingerprint };
+  return true;
+}
 
-    const rmse = Math.sqrt(sqErr / Math.max(1, count));
-    setStatus(`Training epoch ${epoch}/${EPOCHS} complete — RMSE ≈ ${rmse.toFixed(4)}`);
-    await nextAnimationFrame();
+/* Run one training job in the worker without touching the served model.
+ * `rows` optionally restricts training to those indices of `ratings` (e.g. a train split);
+ * `validationRows` turns on per-epoch validation RMSE and early stopping (see mf-worker.js).
+ * Resolves the fitted model, false when cancelled, or null when superseded. */
+function fitMF(params, rows = null, validationRows = null, label = "Training") {
+  const U = userIdToIndex.size;
+  const I = itemIdToIndex.size;
+  if (!ratings.length || U === 0 || I === 0) {
+    return Promise.reject(new Error("Empty dataset after parsing. Check u.item / u.data and MAX_RATINGS cap."));
+  }
+
+  buildIndexLookups();
+
+  let worker;
+  try {
+    worker = getWorker();
+  } catch (err) {
+    return Promise.reject(err);
   }
 
-  // Normalize item vectors for cosine similarity in latent space
-  Qunit = Array.from({ length: Q.length }, (_, i) => {
-    const v = Q[i];
-    const n = l2norm(v);
-    if (n === 0) return Array.from({ length: K }, () => 0);
-    const out = new Array(K);
-    for (let k = 0; k < K; k++) out[k] = v[k] / n;
-    return out;
+  // Starting a run while another is active retrains: the worker drops the old run.
+  if (mfRun) { mfRun.resolve(null); mfRun = null; }
+
+  return new Promise((resolve, reject) => {
+    mfPaused = false;
+    const runId = nextRunId++;
+    mfRun = { runId, resolve, reject, label };
+    worker.postMessage({ type: 'train', runId, params, rows, validationRows });
   });
 }
 
+/* Reverse lookups (matrix row → MovieLens id) for the index maps built in data.js. */
+function buildIndexLookups() {
+  indexToItemId = [];
+  indexToUserId = [];
+  for (const [itemId, idx] of itemIdToIndex.entries()) indexToItemId[idx] = itemId;
+  for (const [userId, idx] of userIdToIndex.entries()) indexToUserId[idx] = userId;
+}
+
+/* Weights posted by the worker as a model object. Rows are views into the transferred buffers. */
+function unpackModel(msg) {
+  const { k, mu: globalMean, bu: userBias, bi: itemBias, P: flatP, Q: flatQ, Qunit: flatQunit } = msg;
+  return {
+    k,
+    epochsRun: msg.epochsRun,
+    bestEpoch: msg.bestEpoch,
+    bestValRmse: msg.bestValRmse,
+    mu: globalMean,
+    bu: userBias,
+    bi: itemBias,
+    P: rowViews(flatP, userBias.length, k),
+    Q: rowViews(flatQ, itemBias.length, k),
+    Qunit: rowViews(flatQunit, itemBias.length, k)
+  };
+}
+
+function installModel(model) {
+  mu = model.mu;
+  bu = model.bu;
+  bi = model.bi;
+  P = model.P;
+  Q = model.Q;
+  Qunit = model.Qunit;
+}
+
 /*** Similarity & Recommendations ***/
 function topKSimilarItems(itemId, k = 5) {
   const i = itemIdToIndex.get(itemId);
@@ -160,6 +351,45 @@ function topKSimilarItems(itemId, k = 5) {
   });
 }
 
+/* Full MF prediction r̂_ui = mu + b_u + b_i + p_u · q_i, for user/item matrix indices. */
+function predictRating(u, i) {
+  return mu + bu[u] + bi[i] + dot(P[u], Q[i]);
+}
+
+function clampStars(x) { return Math.max(MIN_STARS, Math.min(MAX_STARS, x)); }
+
+/* Rank every item the user has not rated yet by predicted rating.
+ * Unlike topKSimilarItems, this uses the user's own factors P[u] and bias bu[u]. */
+function recommendForUser(userId, k = 10) {
+  const u = userIdToIndex.get(userId);
+  if (u == null || !Q.length) return [];
+
+  const seen = new Set();
+  for (const r of ratings) if (r.userId === userId) seen.add(itemIdToIndex.get(r.itemId));
+
+  return rankUnseenItems(P[u], bu[u], seen, k);
+}
+
+/* Score items for any user vector (a trained row of P or a folded-in visitor) and return the
+ * top-k not in `seen` (a Set of item indices). */
+function rankUnseenItems(pu, userBias, seen, k) {
+  const preds = [];
+  for (let i = 0; i < Q.length; i++) {
+    if (seen.has(i)) continue;
+    preds.push({ i, predicted: mu + userBias + bi[i] + dot(pu, Q[i]) });
+  }
+
+  preds.sort((a, b) => b.predicted - a.predicted);
+  return preds.slice(0, k).map(({ i, predicted }) => {
+    const id = indexToItemId[i];
+    return { itemId: id, title: getMovieTitleById(id) || `Item ${id}`, predicted: clampStars(predicted) };
+  });
+}
+
+function getMovieById(id) {
+  return movies.find(m => m.id === id) || null;
+}
+
 function getMovieTitleById(id) {
   for (const m of movies) if (m.id === id) return m.title;
   return null;
@@ -182,6 +412,17 @@ function styleScoreElement(el, sim) {
   el.title = `Similarity: ${sim.toFixed(3)} (0=red, 1=green)`;
 }
 
+/* Predicted stars (1..5) reuse the similarity palette: 1★ → red, 3★ → yellow, 5★ → green. */
+function styleStarElement(el, stars) {
+  styleScoreElement(el, (stars - 3) / 2);
+  el.title = `Predicted rating: ${stars.toFixed(2)} / ${MAX_STARS}`;
+}
+
+function starGlyphs(stars) {
+  const full = Math.round(stars);
+  return '★'.repeat(full) + '☆'.repeat(MAX_STARS - full);
+}
+
 /* One-time legend under the results to show the palette */
 function ensureLegend() {
   if (document.getElementById('legend')) return;
@@ -218,7 +459,11 @@ function clearResults() {
   if (legend) legend.remove(); // re-add each time for clarity
 }
 
-function renderRecommendations(baseTitle, recs) {
+/* recs: [{ itemId, title, sim, parts?, fallback? }] — `parts` (weighted hybrid components) is
+ * shown as a breakdown line under the title; `anchors` (movie ids) feed the "Why this?" details.
+ * Baseline results ({ itemId, title, score, baseline }) get a neutral badge and no palette;
+ * a null baseTitle means they were not ranked against a seed movie. */
+function renderRecommendations(baseTitle, recs, method = "MF latent-space cosine", anchors = []) {
   const ul = document.getElementById('recommendations');
   const p = document.getElementById('result');
   clearResults();
@@ -228,21 +473,60 @@ function renderRecommendations(baseTitle, recs) {
     return;
   }
 
-  if (p) p.textContent = `Movies similar to “${baseTitle}” (MF latent-space cosine):`;
+  if (p) {
+    p.textContent = baseTitle == null
+      ? `Top movies overall (${method}):`
+      : `Movies similar to “${baseTitle}” (${method}):`;
+  }
 
-  // Add the palette legend (red→yellow→green)
+  // Add the palette legend (red→yellow→green); baselines are not colored by it
+  if (!recs[0].baseline) ensureLegend();
+
+  for (const { itemId, title, sim, parts, fallback, baseline, score } of recs) {
+    const li = document.createElement('li');
+    const spanTitle = document.createElement('span');
+    let spanScore;
+    spanTitle.textContent = title;
+    if (parts) spanTitle.appendChild(renderContributions(parts, fallback));
+    if (baseline) {
+      spanScore = renderBaselineBadge({ score, baseline });
+    } else {
+      spanScore = document.createElement('span');
+      spanScore.textContent = sim.toFixed(3);
+      spanScore.className = 'badge'; // base pill styling
+      styleScoreElement(spanScore, sim); // <-- color & size based on similarity
+    }
+    li.appendChild(spanTitle);
+    li.appendChild(spanScore);
+    if (anchors.length) li.appendChild(renderExplanation(explainRecommendation(itemId, anchors)));
+    ul.appendChild(li);
+  }
+}
+
+function renderUserRecommendations(heading, recs, anchors = []) {
+  const ul = document.getElementById('recommendations');
+  const p = document.getElementById('result');
+  clearResults();
+
+  if (!recs.length) {
+    if (p) p.textContent = "No recommendations available for this user.";
+    return;
+  }
+
+  if (p) p.textContent = heading;
   ensureLegend();
 
-  for (const { title, sim } of recs) {
+  for (const { itemId, title, predicted } of recs) {
     const li = document.createElement('li');
     const spanTitle = document.createElement('span');
     const spanScore = document.createElement('span');
     spanTitle.textContent = title;
-    spanScore.textContent = sim.toFixed(3);
-    spanScore.className = 'badge'; // base pill styling
-    styleScoreElement(spanScore, sim); // <-- color & size based on similarity
+    spanScore.textContent = `${starGlyphs(predicted)} ${predicted.toFixed(2)}`;
+    spanScore.className = 'badge';
+    styleStarElement(spanScore, predicted);
     li.appendChild(spanTitle);
     li.appendChild(spanScore);
+    if (anchors.length) li.appendChild(renderExplanation(explainRecommendation(itemId, anchors)));
     ul.appendChild(li);
   }
 }
@@ -259,27 +543,41 @@ async function getRecommendations() {
 
   if (!trainedOK) {
     const fallback = popularFallback(movieId, 5);
-    renderRecommendations(title, fallback);
+    renderRecommendations(title, fallback, `fallback: ${BASELINES[selectedBaseline()].label}`);
+    return;
+  }
+
+  const weights = readHybridWeights();
+  const recs = hybridSimilarItems(movieId, 5, weights);
+  renderRecommendations(title, recs, describeHybridWeights(weights), [movieId]);
+}
+
+async function getUserRecommendations() {
+  const sel = document.getElementById('user-select');
+  if (!sel || sel.options.length === 0) {
+    setStatus("No users loaded. Check data files.");
+    return;
+  }
+  const userId = Number(sel.value);
+  if (!trainedOK) {
+    const kind = selectedBaseline();
+    const seen = ratings.filter(r => r.userId === userId).map(r => r.itemId);
+    renderRecommendations(null, baselineTopK(kind, seen, USER_TOP_N), `fallback: ${BASELINES[kind].label}`);
+    setStatus(`No model yet — showing the ${BASELINES[kind].label} fallback; personalized results need the learned user factors.`);
     return;
   }
 
-  const recs = topKSimilarItems(movieId, 5);
-  renderRecommendations(title, recs);
+  const recs = recommendForUser(userId, USER_TOP_N);
+  const anchors = likedAnchors(ratings.filter(r => r.userId === userId));
+  renderUserRecommendations(`Top picks for user ${userId} (predicted rating, unseen movies only):`, recs, anchors);
 }
 
 /*** Popularity fallback ***/
+/* Baseline ranking (baselines.js) while no model is available; the seed itself is skipped. */
 function popularFallback(excludeItemId, k = 5) {
-  const counts = new Map();
-  for (const r of ratings) counts.set(r.itemId, (counts.get(r.itemId) || 0) + 1);
-  const arr = [];
-  for (const [id, c] of counts.entries()) { if (id !== excludeItemId) arr.push({ id, c }); }
-  arr.sort((a, b) => b.c - a.c);
-  const top = arr.slice(0, k).map(({ id }) => ({
-    itemId: id,
-    title: getMovieTitleById(id) || `Item ${id}`,
-    sim: 0 // fallback, shows as red/small
-  }));
-  setStatus("Showing popularity-based fallback (model unavailable).");
+  const kind = selectedBaseline();
+  const top = baselineTopK(kind, [excludeItemId], k);
+  setStatus(`Showing the ${BASELINES[kind].label} fallback (model unavailable).`);
   return top;
 }
 
@@ -0,0 +1,175 @@
+/* tuning.js
+ * -----------------------------------------
+ * Hyperparameter search for the Funk-SVD model.
+ *
+ * Each candidate configuration (K, LR, REG, LR decay) is trained in the worker on the train
+ * split from the evaluation panel, with the validation split driving early stopping: training
+ * halts once validation RMSE has not improved for `patience` epochs, and the best epoch is kept.
+ *
+ *   grid   – every combination of the listed K / LR / REG / decay values
+ *   random – `trials` draws: K uniform between the smallest and largest listed value,
+ *            LR and REG log-uniform over their listed ranges, decay picked from the list
+ *
+ * The leaderboard ranks configurations by best validation RMSE. The winner is then retrained
+ * on all ratings for its best epoch count and installed as the served model, so
+ * topKSimilarItems answers from its P / Q / Qunit.
+ */
+
+let tuningResults = [];
+let tuningActive = false;
+
+function parseNumberList(text) {
+  return String(text || '')
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter(v => Number.isFinite(v) && v > 0);
+}
+
+function readSearchConfig() {
+  const val = (id) => document.getElementById(id).value;
+  return {
+    mode: val('tune-mode'),
+    ks: parseNumberList(val('tune-k')).map(v => Math.round(v)),
+    lrs: parseNumberList(val('tune-lr')),
+    regs: parseNumberList(val('tune-reg')),
+    decays: parseNumberList(val('tune-decay')).map(v => Math.min(1, v)),
+    trials: Math.max(1, Math.round(Number(val('tune-trials')) || 8)),
+    maxEpochs: Math.max(1, Math.round(Number(val('tune-epochs')) || 40)),
+    patience: Math.max(0, Math.round(Number(val('tune-patience')) || 0)),
+    seed: Math.round(Number(val('eval-seed')) || 42)
+  };
+}
+
+/* Candidate list of { k, lr, reg, lrDecay } for the chosen search mode. */
+function buildCandidates(cfg) {
+  if (!cfg.ks.length || !cfg.lrs.length || !cfg.regs.length) {
+    throw new Error("List at least one value each for K, learning rate and regularization.");
+  }
+  const decays = cfg.decays.length ? cfg.decays : [1];
+
+  if (cfg.mode === 'grid') {
+    const out = [];
+    for (const k of cfg.ks) for (const lr of cfg.lrs) for (const reg of cfg.regs) for (const lrDecay of decays) {
+      out.push({ k, lr, reg, lrDecay });
+    }
+    return out;
+  }
+
+  const rng = mulberry32(cfg.seed);
+  const span = (vals) => [Math.min(...vals), Math.max(...vals)];
+  const logUniform = ([lo, hi]) => Math.exp(Math.log(lo) + rng() * (Math.log(hi) - Math.log(lo)));
+  const [kLo, kHi] = span(cfg.ks);
+  const out = [];
+  for (let t = 0; t < cfg.trials; t++) {
+    out.push({
+      k: kLo + Math.floor(rng() * (kHi - kLo + 1)),
+      lr: logUniform(span(cfg.lrs)),
+      reg: logUniform(span(cfg.regs)),
+      lrDecay: decays[Math.floor(rng() * decays.length)]
+    });
+  }
+  return out;
+}
+
+async function runHyperparamSearch() {
+  if (mfRun || tuningActive) {
+    setStatus("Wait for the current training run to finish before searching.");
+    return;
+  }
+
+  const btn = document.getElementById('tune-btn');
+  tuningActive = true;
+  if (btn) btn.disabled = true;
+  setTrainingControls(true);
+
+  try {
+    const cfg = readSearchConfig();
+    const candidates = buildCandidates(cfg);
+    const split = splitRatings(readEvaluationConfig());
+    if (!split.validation.length) {
+      throw new Error("Set a validation fraction above 0 in the evaluation panel; early stopping needs it.");
+    }
+
+    tuningResults = [];
+    renderLeaderboard();
+    let skipped = 0;
+
+    for (let c = 0; c < candidates.length; c++) {
+      const params = { ...candidates[c], epochs: cfg.maxEpochs, patience: cfg.patience, shuffle: SHUFFLE };
+      const model = await fitMF(params, split.train, split.validation, `Config ${c + 1}/${candidates.length}:`);
+      if (!model) {
+        setStatus("Search cancelled. The served model is unchanged.");
+        return;
+      }
+      // A config whose validation RMSE never improved (e.g. SGD diverged at a high LR) has no
+      // usable epoch: leave it off the leaderboard rather than ranking an Infinity/NaN score.
+      if (!Number.isFinite(model.bestValRmse) || !(model.bestEpoch >= 1)) {
+        skipped++;
+        continue;
+      }
+      tuningResults.push({
+        ...candidates[c],
+        bestEpoch: model.bestEpoch,
+        epochsRun: model.epochsRun,
+        valRmse: model.bestValRmse
+      });
+      tuningResults.sort((a, b) => a.valRmse - b.valRmse);
+      renderLeaderboard();
+    }
+
+    if (!tuningResults.length) {
+      setStatus(`Search found no usable config: validation RMSE never improved for any of the ${candidates.length} tried (try a lower learning rate). The served model is unchanged.`);
+      return;
+    }
+    const winner = tuningResults[0];
+    const note = skipped ? ` (${skipped} diverging config${skipped === 1 ? '' : 's'} skipped)` : '';
+    applyWinningConfig(winner);
+    setStatus(`Best config K=${winner.k}, LR=${formatHp(winner.lr)}, REG=${formatHp(winner.reg)}${note} — retraining on all ratings…`);
+    await runTraining({ k: winner.k, lr: winner.lr, reg: winner.reg, lrDecay: winner.lrDecay, epochs: winner.bestEpoch, shuffle: SHUFFLE });
+  } catch (err) {
+    console.error(err);
+    setStatus(`Search failed: ${err.message}`);
+  } finally {
+    tuningActive = false;
+    if (btn) btn.disabled = false;
+    if (!mfRun) setTrainingControls(false);
+  }
+}
+
+/* Copy the winner into the training inputs so a later "Retrain" reproduces it. */
+function applyWinningConfig(w) {
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.value = String(v); };
+  set('hp-k', w.k);
+  set('hp-epochs', Math.max(1, w.bestEpoch));
+  set('hp-lr', formatHp(w.lr));
+  set('hp-reg', formatHp(w.reg));
+  set('hp-decay', w.lrDecay);
+}
+
+function formatHp(x) { return Number(x.toPrecision(3)); }
+
+function renderLeaderboard() {
+  const tbody = document.querySelector('#leaderboard tbody');
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  tuningResults.forEach((r, rank) => {
+    const tr = document.createElement('tr');
+    if (rank === 0) tr.className = 'winner';
+    const cells = [
+      String(rank + 1),
+      String(r.k),
+      String(formatHp(r.lr)),
+      String(formatHp(r.reg)),
+      String(r.lrDecay),
+      `${r.bestEpoch}/${r.epochsRun}`,
+      r.valRmse.toFixed(4)
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+}
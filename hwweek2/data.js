@@ -3,14 +3,15 @@
    Exposes:
      - global arrays: movies, ratings
      - async function loadData()
-     - helper: getMovieById(id), getRatingsCount(itemId)
+     - helper: getMovieById(id), getRatingsCount(itemId), getCoRatedCount(aId, bId)
 */
 
 let movies = [];   // [{ id:Number, title:String, genres:[String], vector:[0/1 x 18] }]
 let ratings = [];  // [{ userId:Number, itemId:Number, rating:Number, timestamp:Number }]
 
-// Internal aggregate map for rating counts per item
+// Internal aggregate maps: rating counts per item, and the set of users who rated each item
 const _ratingCounts = new Map();
+const _ratersByItem = new Map();
 
 /**
  * Genres as 18-D vector (exclude "unknown"). Order matters and must match vector order.
@@ -96,6 +97,7 @@ function parseItemData(text) {
 function parseRatingData(text) {
   ratings = [];
   _ratingCounts.clear();
+  _ratersByItem.clear();
 
   const lines = text.split('\n');
   for (const rawLine of lines) {
@@ -114,6 +116,8 @@ function parseRatingData(text) {
 
     // Aggregate count
     _ratingCounts.set(itemId, (_ratingCounts.get(itemId) || 0) + 1);
+    if (!_ratersByItem.has(itemId)) _ratersByItem.set(itemId, new Set());
+    _ratersByItem.get(itemId).add(userId);
   }
 }
 
@@ -126,3 +130,13 @@ function getMovieById(id) {
 function getRatingsCount(itemId) {
   return _ratingCounts.get(itemId) || 0;
 }
+
+/** Helper: number of users who rated both items. */
+function getCoRatedCount(aId, bId) {
+  const a = _ratersByItem.get(aId), b = _ratersByItem.get(bId);
+  if (!a || !b) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let n = 0;
+  for (const u of small) if (large.has(u)) n++;
+  return n;
+}
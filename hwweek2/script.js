@@ -33,6 +33,79 @@ function setResult(message) {
   if (el) el.textContent = message;
 }
 
+function clearRecommendations() {
+  const ul = document.getElementById('recommendations');
+  if (ul) ul.innerHTML = '';
+}
+
+/* ======= Explanations ======= */
+/**
+ * Why a movie was recommended: the anchor it was matched against (the liked movie),
+ * the genres they share, and how many users in `ratings` rated both.
+ */
+function explainRecommendation(likedMovie, rec) {
+  return {
+    anchor: likedMovie.title,
+    similarity: rec.score,
+    sharedGenres: likedMovie.genres.filter(g => rec.genres.includes(g)),
+    coRated: getCoRatedCount(likedMovie.id, rec.id)
+  };
+}
+
+/** Collapsible <details> block listing the explanation. */
+function renderExplanation(expl) {
+  const details = document.createElement('details');
+  details.className = 'why';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Why this?';
+  details.appendChild(summary);
+
+  const ul = document.createElement('ul');
+  const lines = [
+    `Because you liked "${expl.anchor}" (genre cosine ${expl.similarity.toFixed(2)})`,
+    expl.sharedGenres.length ? `Shares genres: ${expl.sharedGenres.join(', ')}` : 'Shares no genres',
+    `Co-rated by ${expl.coRated} user${expl.coRated === 1 ? '' : 's'}`
+  ];
+  for (const text of lines) {
+    const li = document.createElement('li');
+    li.textContent = text;
+    ul.appendChild(li);
+  }
+  details.appendChild(ul);
+  return details;
+}
+
+/** One <li> per recommendation: title + genres, score pill, and the explanation. */
+function renderRecommendations(likedMovie, recs) {
+  const ul = document.getElementById('recommendations');
+  if (!ul) return;
+  clearRecommendations();
+
+  for (const rec of recs) {
+    const li = document.createElement('li');
+    li.className = 'recommendation-item';
+
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'recommendation-title';
+    title.textContent = rec.title;
+    const genres = document.createElement('div');
+    genres.className = 'genres';
+    genres.textContent = rec.genres.join(', ') || 'No genres listed';
+    info.appendChild(title);
+    info.appendChild(genres);
+
+    const score = document.createElement('span');
+    score.className = 'similarity-score';
+    score.textContent = rec.score.toFixed(2);
+
+    li.appendChild(info);
+    li.appendChild(score);
+    li.appendChild(renderExplanation(explainRecommendation(likedMovie, rec)));
+    ul.appendChild(li);
+  }
+}
+
 /* ======= Populate dropdown ======= */
 function populateMoviesDropdown() {
   const select = document.getElementById('movie-select');
@@ -61,6 +134,7 @@ function populateMoviesDropdown() {
 async function getRecommendations() {
   try {
     showSpinner(true);
+    clearRecommendations();
 
     const select = document.getElementById('movie-select');
     const value = select ? select.value : '';
@@ -102,8 +176,8 @@ async function getRecommendations() {
       return;
     }
 
-    const lines = top.map(t => `${t.title} (${t.score.toFixed(2)})`);
-    setResult(`Because you liked "${likedMovie.title}", we recommend: ${lines.join(', ')}`);
+    setResult(`Because you liked "${likedMovie.title}", we recommend:`);
+    renderRecommendations(likedMovie, top);
   } catch (err) {
     console.error('[getRecommendations] Error:', err);
     setResult('An unexpected error occurred while computing recommendations. See console for details.');
@@ -0,0 +1,207 @@
+/* als.mjs
+ * -----------------------------------------
+ * Alternating least squares: fix the item factors and solve every user's factors exactly (a
+ * K×K ridge regression each), then the other way round; each half-step can only lower the
+ * objective, so there is no learning rate to tune.
+ *
+ *   als           explicit ratings, ALS-WR (Zhou et al. 2008): minimize
+ *                 Σ_(u,i) rated (r_ui − mu − P[u]·Q[i])² + λ (n_u ||P[u]||² + n_i ||Q[i]||²)
+ *                 with n_u, n_i the row's rating count — predicts ratings
+ *   implicit-als  implicit feedback (Hu, Koren & Volinsky 2008): every (u, i) pair is scored,
+ *                 preference 1 for rated movies and 0 otherwise, with confidence
+ *                 c_ui = 1 + α · r_ui for rated ones (the stars say how sure we are) and 1 for
+ *                 the rest; minimize Σ_(u,i) c_ui (p_ui − P[u]·Q[i])² + λ (||P||² + ||Q||²)
+ *                 — ranks movies, scores are not ratings
+ *
+ * The implicit solve uses the Y^T Y + Y^T (C_u − I) Y identity, so each row costs
+ * O(n_u · K² + K³) instead of touching every movie.
+ */
+
+import { MatrixFactorizationRecommender, ratingArrays, randomFactors, checkFinite, nextTick } from './matrix-factorization.mjs';
+import { buildRatingMatrix } from './knn.mjs';
+import { mulberry32 } from './rng.mjs';
+
+export const ALS_DEFAULTS = {
+  k: 20,
+  iterations: 10,
+  reg: 0.1,
+  seed: 42,
+  yieldEvery: 256   // rows solved between yields
+};
+
+export const IMPLICIT_ALS_DEFAULTS = {
+  ...ALS_DEFAULTS,
+  iterations: 8,
+  reg: 0.5,
+  alpha: 1          // confidence per star: c = 1 + alpha · rating
+};
+
+/**
+ * Solve A x = b for a symmetric positive-definite K×K matrix given by its lower triangle
+ * (row-major). A is overwritten by its Cholesky factor and b by the solution.
+ */
+function choleskySolve(A, b, K) {
+  for (let j = 0; j < K; j++) {
+    let s = A[j * K + j];
+    for (let k = 0; k < j; k++) s -= A[j * K + k] * A[j * K + k];
+    if (!(s > 0)) throw new Error("ALS normal equations are not positive definite; increase reg.");
+    const d = Math.sqrt(s);
+    A[j * K + j] = d;
+    for (let i = j + 1; i < K; i++) {
+      let t = A[i * K + j];
+      for (let k = 0; k < j; k++) t -= A[i * K + k] * A[j * K + k];
+      A[i * K + j] = t / d;
+    }
+  }
+  for (let i = 0; i < K; i++) {
+    let t = b[i];
+    for (let k = 0; k < i; k++) t -= A[i * K + k] * b[k];
+    b[i] = t / A[i * K + i];
+  }
+  for (let i = K - 1; i >= 0; i--) {
+    let t = b[i];
+    for (let k = i + 1; k < K; k++) t -= A[k * K + i] * b[k];
+    b[i] = t / A[i * K + i];
+  }
+}
+
+/** Add w · f fᵀ to the lower triangle of A, f being row c of F. */
+function addOuter(A, F, c, K, w) {
+  const fc = c * K;
+  for (let a = 0; a < K; a++) {
+    const fa = w * F[fc + a];
+    for (let d = 0; d <= a; d++) A[a * K + d] += fa * F[fc + d];
+  }
+}
+
+/** Lower triangle of Fᵀ F over all rows of F. */
+function gram(F, rows, K) {
+  const G = new Float64Array(K * K);
+  for (let c = 0; c < rows; c++) addOuter(G, F, c, K, 1);
+  return G;
+}
+
+/**
+ * One half-step: for every row r of `rows` (CSR over the other side's indices), solve
+ *   (base + Σ_c w_rc F[c] F[c]ᵀ + λ_r I) x = Σ_c t_rc F[c]
+ * into out[r]. `entry(value)` gives [w, t] for a stored rating; `lambda(n)` the ridge for a
+ * row with n ratings; `base` (lower triangle) may be null.
+ */
+async function solveRows(rows, F, out, K, { base, entry, lambda, yieldEvery }) {
+  const R = rows.ptr.length - 1;
+  const A = new Float64Array(K * K), b = new Float64Array(K);
+  for (let r = 0; r < R; r++) {
+    if (base) A.set(base);
+    else A.fill(0);
+    b.fill(0);
+    const start = rows.ptr[r], end = rows.ptr[r + 1];
+    for (let n = start; n < end; n++) {
+      const c = rows.cols[n];
+      const [w, t] = entry(rows.vals[n]);
+      if (w) addOuter(A, F, c, K, w);
+      for (let f = 0; f < K; f++) b[f] += t * F[c * K + f];
+    }
+    const lam = lambda(end - start);
+    for (let f = 0; f < K; f++) A[f * K + f] += lam;
+    choleskySolve(A, b, K);
+    for (let f = 0; f < K; f++) out[r * K + f] = b[f];
+    if (yieldEvery > 0 && (r + 1) % yieldEvery === 0) await nextTick();
+  }
+}
+
+function dot(P, u, Q, i, K) {
+  let d = 0;
+  for (let f = 0; f < K; f++) d += P[u * K + f] * Q[i * K + f];
+  return d;
+}
+
+export class ALSRecommender extends MatrixFactorizationRecommender {
+  static id = 'als';
+  static label = 'ALS matrix factorization (explicit)';
+
+  /**
+   * @param {object} options  ALS_DEFAULTS overrides, plus
+   *   onProgress({ epoch, epochs, rmse }) called after every iteration
+   */
+  constructor(options = {}) {
+    super({ ...ALS_DEFAULTS, ...options });
+  }
+
+  async train(dataset) {
+    const { k: K, iterations, reg, seed, yieldEvery, onProgress } = this.options;
+    const U = dataset.userIds.length, I = dataset.itemIds.length;
+    const { N, users, items, values, mu } = ratingArrays(dataset);
+    const { byUser, byItem } = buildRatingMatrix(dataset);
+
+    const rng = mulberry32(seed);
+    const P = randomFactors(U * K, rng), Q = randomFactors(I * K, rng);
+    const step = {
+      base: null,
+      entry: (r) => [1, r - mu],
+      lambda: (n) => reg * Math.max(1, n),
+      yieldEvery
+    };
+
+    for (let epoch = 1; epoch <= iterations; epoch++) {
+      await solveRows(byUser, Q, P, K, step);
+      await solveRows(byItem, P, Q, K, step);
+
+      let sq = 0;
+      for (let n = 0; n < N; n++) {
+        const e = values[n] - mu - dot(P, users[n], Q, items[n], K);
+        sq += e * e;
+      }
+      const rmse = Math.sqrt(sq / N);
+      checkFinite(rmse, epoch);
+      if (onProgress) onProgress({ epoch, epochs: iterations, rmse });
+      await nextTick();
+    }
+
+    return { K, mu, bu: new Float32Array(U), bi: new Float32Array(I), P, Q };
+  }
+}
+
+export class ImplicitALSRecommender extends MatrixFactorizationRecommender {
+  static id = 'implicit-als';
+  static label = 'Implicit-feedback ALS (weighted)';
+  static predictsRatings = false;
+
+  /**
+   * @param {object} options  IMPLICIT_ALS_DEFAULTS overrides, plus
+   *   onProgress({ epoch, epochs, loss }) called after every iteration; loss is the
+   *   confidence-weighted squared error on the rated pairs, per rating
+   */
+  constructor(options = {}) {
+    super({ ...IMPLICIT_ALS_DEFAULTS, ...options });
+  }
+
+  async train(dataset) {
+    const { k: K, iterations, reg, alpha, seed, yieldEvery, onProgress } = this.options;
+    const U = dataset.userIds.length, I = dataset.itemIds.length;
+    const { N, users, items, values } = ratingArrays(dataset);
+    const { byUser, byItem } = buildRatingMatrix(dataset);
+
+    const rng = mulberry32(seed);
+    const P = randomFactors(U * K, rng), Q = randomFactors(I * K, rng);
+    // Rated pair: confidence c = 1 + α·r on top of the c = 1 every pair gets in the Gram matrix.
+    const entry = (r) => [alpha * r, 1 + alpha * r];
+    const lambda = () => reg;
+
+    for (let epoch = 1; epoch <= iterations; epoch++) {
+      await solveRows(byUser, Q, P, K, { base: gram(Q, I, K), entry, lambda, yieldEvery });
+      await solveRows(byItem, P, Q, K, { base: gram(P, U, K), entry, lambda, yieldEvery });
+
+      let loss = 0;
+      for (let n = 0; n < N; n++) {
+        const e = 1 - dot(P, users[n], Q, items[n], K);
+        loss += (1 + alpha * values[n]) * e * e;
+      }
+      loss /= N;
+      checkFinite(loss, epoch, 'loss');
+      if (onProgress) onProgress({ epoch, epochs: iterations, loss });
+      await nextTick();
+    }
+
+    return { K, mu: 0, bu: new Float32Array(U), bi: new Float32Array(I), P, Q };
+  }
+}
@@ -0,0 +1,187 @@
+/* baselines.mjs
+ * -----------------------------------------
+ * Non-personalized baselines: one global score per movie, the same whatever the seed.
+ *
+ *   most-rated        number of ratings
+ *   bayesian-average  damped mean (C·m + Σ ratings) / (C + n): the movie's mean shrunk toward
+ *                     the prior mean m (default: the global mean) with prior weight C, so a
+ *                     single 5★ rating cannot top the chart
+ *   trending          time-decayed rating count Σ 0.5^(age / halfLife), ages measured from the
+ *                     newest timestamp in the data (or `now`); undated ratings count 1
+ *
+ * They are Recommenders in their own right (similar movies = the chart minus the seed, user
+ * picks = the chart minus what the user has seen) and the fallback when a trained strategy
+ * cannot be fitted. Results carry `baseline: true` so pages can label them instead of
+ * showing the score as a similarity.
+ */
+
+import { Recommender, rankTopK, duplicateKey } from './recommender.mjs';
+import { DAY, latestTimestamp, ratingWeight } from './temporal.mjs';
+
+export const BASELINE_DEFAULTS = {
+  priorWeight: 20,     // C: how many "virtual" ratings at the prior mean
+  priorMean: null,     // m: defaults to the dataset's global mean rating
+  halfLifeDays: 30,    // trending: a rating's weight halves every halfLifeDays
+  now: null            // trending: reference time in epoch seconds; default newest rating
+};
+
+/** The strategy used when a trained one fails to fit. */
+export const FALLBACK_BASELINE = 'bayesian-average';
+
+class BaselineRecommender extends Recommender {
+  constructor(options = {}) {
+    super({ ...BASELINE_DEFAULTS, ...options });
+    this.scores = null; // itemId -> score
+  }
+
+  async fit(dataset) {
+    await super.fit(dataset);
+    this.scores = this.scoreItems(dataset);
+    return this;
+  }
+
+  /** @returns {Map<number, number>} score per rated movie */
+  scoreItems(dataset) {
+    throw new Error(`${this.label} does not implement scoreItems().`);
+  }
+
+  requireScores() {
+    if (!this.scores) throw new Error(`${this.label}: call fit(dataset) first.`);
+    return this.scores;
+  }
+
+  candidateIds() {
+    return this.requireFitted().itemIds;
+  }
+
+  /** Baselines have no notion of item-item similarity. */
+  similarity() {
+    return 0;
+  }
+
+  itemScore(itemId) {
+    return this.requireScores().get(itemId) ?? 0;
+  }
+
+  /** The chart, leaving out `excluded` ids and catalog duplicates of `excludedKeys` movies. */
+  chart(k, excluded = new Set(), excludedKeys = []) {
+    const ds = this.requireFitted();
+    const keys = new Set(excludedKeys.map(id => ds.getMovie(id)).filter(Boolean).map(duplicateKey));
+    const scored = [];
+    for (const id of this.candidateIds()) {
+      if (excluded.has(id)) continue;
+      const movie = ds.getMovie(id);
+      if (keys.size && movie && keys.has(duplicateKey(movie))) continue;
+      scored.push({ itemId: id, title: ds.title(id), score: this.itemScore(id), baseline: true });
+    }
+    return rankTopK(scored, k, ds);
+  }
+
+  similarItems(itemId, k = 10) {
+    return this.chart(k, new Set([itemId]), [itemId]);
+  }
+
+  recommendForUser(userId, k = 10) {
+    const history = this.requireFitted().userRatings(userId);
+    return this.chart(k, new Set(history.map(r => r.itemId)));
+  }
+
+  /** Aggregation does not apply: every candidate has one score. */
+  recommendFromBasket({ liked, disliked = [] }, k = 10) {
+    const seeds = [...liked, ...disliked];
+    return this.chart(k, new Set(seeds), seeds);
+  }
+
+  /** One line on where the movie's score comes from, instead of anchors. */
+  describe(itemId) {
+    return '';
+  }
+
+  explain(itemId) {
+    return { itemId, anchors: [], sharedGenres: [], coRated: 0, baseline: this.describe(itemId) };
+  }
+
+  /** Score as shown on a result badge. */
+  formatScore(score) {
+    return score.toFixed(2);
+  }
+}
+
+export class MostRatedRecommender extends BaselineRecommender {
+  static id = 'most-rated';
+  static label = 'Most rated (baseline)';
+
+  scoreItems(dataset) {
+    return new Map(dataset.itemIds.map(id => [id, dataset.ratingCount(id)]));
+  }
+
+  describe(itemId) {
+    return `Rated by ${this.itemScore(itemId)} users`;
+  }
+
+  formatScore(score) {
+    return `${score} ratings`;
+  }
+}
+
+export class BayesianAverageRecommender extends BaselineRecommender {
+  static id = 'bayesian-average';
+  static label = 'Bayesian average rating (baseline)';
+
+  scoreItems(dataset) {
+    const { priorWeight: C } = this.options;
+    this.priorMean = this.options.priorMean ?? globalMean(dataset);
+    const scores = new Map();
+    for (const id of dataset.itemIds) {
+      const n = dataset.ratingCount(id);
+      scores.set(id, (C * this.priorMean + dataset.averageRating(id) * n) / (C + n));
+    }
+    return scores;
+  }
+
+  describe(itemId) {
+    const ds = this.requireFitted();
+    const n = ds.ratingCount(itemId), avg = ds.averageRating(itemId);
+    return `Bayesian average ${this.itemScore(itemId).toFixed(2)}★: mean ${avg != null ? avg.toFixed(2) : '–'}★ ` +
+      `from ${n} rating${n === 1 ? '' : 's'}, shrunk toward ${this.priorMean.toFixed(2)}★ (prior weight ${this.options.priorWeight})`;
+  }
+
+  formatScore(score) {
+    return `${score.toFixed(2)} ★`;
+  }
+}
+
+export class TrendingRecommender extends BaselineRecommender {
+  static id = 'trending';
+  static label = 'Trending (baseline)';
+
+  scoreItems(dataset) {
+    const { halfLifeDays } = this.options;
+    const now = this.options.now ?? latestTimestamp(dataset);
+    const scores = new Map(dataset.itemIds.map(id => [id, 0]));
+    // Ratings within one half-life; undated ones count fully and as recent, as in ratingWeights.
+    this.recent = new Map(dataset.itemIds.map(id => [id, 0]));
+    dataset.forEachRating((userId, itemId, rating, timestamp) => {
+      scores.set(itemId, scores.get(itemId) + ratingWeight(timestamp, now, halfLifeDays));
+      if (!timestamp || now - timestamp <= halfLifeDays * DAY) this.recent.set(itemId, this.recent.get(itemId) + 1);
+    });
+    return scores;
+  }
+
+  describe(itemId) {
+    const ds = this.requireFitted();
+    const { halfLifeDays } = this.options;
+    return `Trend score ${this.itemScore(itemId).toFixed(1)}: ${this.recent.get(itemId) ?? 0} of ` +
+      `${ds.ratingCount(itemId)} ratings in the last ${halfLifeDays} days of the data (half-life ${halfLifeDays} days)`;
+  }
+
+  formatScore(score) {
+    return `${score.toFixed(1)} trend`;
+  }
+}
+
+function globalMean(dataset) {
+  let sum = 0;
+  dataset.forEachRating((userId, itemId, rating) => { sum += rating; });
+  return dataset.numRatings ? sum / dataset.numRatings : 0;
+}
@@ -0,0 +1,88 @@
+/* bpr.mjs
+ * -----------------------------------------
+ * Bayesian Personalized Ranking (Rendle et al. 2009): learn to rank every movie a user rated
+ * above the ones they did not, instead of predicting stars. Each SGD step draws a rated pair
+ * (u, i) and a negative j the user has not rated (uniformly, by rejection), and ascends
+ *
+ *     ln σ(x_uij) − λ (||P[u]||² + ||Q[i]||² + ||Q[j]||² + b_i² + b_j²)
+ *     x_uij = P[u] · (Q[i] − Q[j]) + b_i − b_j
+ *
+ * One epoch draws as many triples as there are ratings. Scores only order movies; they are
+ * not ratings.
+ */
+
+import { MatrixFactorizationRecommender, ratingArrays, randomFactors, checkFinite, nextTick } from './matrix-factorization.mjs';
+import { mulberry32 } from './rng.mjs';
+
+export const BPR_DEFAULTS = {
+  k: 20,
+  epochs: 20,
+  lr: 0.05,
+  reg: 0.01,
+  seed: 42,
+  yieldEvery: 20000
+};
+
+export class BPRRecommender extends MatrixFactorizationRecommender {
+  static id = 'bpr';
+  static label = 'BPR ranking factorization';
+  static predictsRatings = false;
+
+  /**
+   * @param {object} options  BPR_DEFAULTS overrides, plus
+   *   onProgress({ epoch, epochs, loss, lr }) after every epoch; loss is the mean −ln σ(x_uij)
+   */
+  constructor(options = {}) {
+    super({ ...BPR_DEFAULTS, ...options });
+  }
+
+  async train(dataset) {
+    const { k: K, epochs, lr, reg, seed, yieldEvery, onProgress } = this.options;
+    const U = dataset.userIds.length, I = dataset.itemIds.length;
+    const { N, users, items } = ratingArrays(dataset);
+    if (I < 2) throw new Error("BPR needs at least two rated movies.");
+
+    const rated = Array.from({ length: U }, () => new Set());
+    for (let n = 0; n < N; n++) rated[users[n]].add(items[n]);
+
+    const rng = mulberry32(seed);
+    const P = randomFactors(U * K, rng, 0.1), Q = randomFactors(I * K, rng, 0.1);
+    const bi = new Float32Array(I);
+
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+      let loss = 0;
+      for (let s = 0; s < N; s++) {
+        const n = (rng() * N) | 0;
+        const u = users[n], i = items[n];
+        if (rated[u].size >= I) continue; // rated everything: no negative to draw
+        let j;
+        do j = (rng() * I) | 0; while (rated[u].has(j));
+
+        const pu = u * K, qi = i * K, qj = j * K;
+        let x = bi[i] - bi[j];
+        for (let f = 0; f < K; f++) x += P[pu + f] * (Q[qi + f] - Q[qj + f]);
+        // d/dx ln σ(x) = σ(−x); stable −ln σ(x) = ln(1 + e^(−x))
+        const g = 1 / (1 + Math.exp(x));
+        loss += x > 0 ? Math.log1p(Math.exp(-x)) : -x + Math.log1p(Math.exp(x));
+
+        bi[i] += lr * (g - reg * bi[i]);
+        bi[j] += lr * (-g - reg * bi[j]);
+        for (let f = 0; f < K; f++) {
+          const p = P[pu + f], a = Q[qi + f], b = Q[qj + f];
+          P[pu + f] += lr * (g * (a - b) - reg * p);
+          Q[qi + f] += lr * (g * p - reg * a);
+          Q[qj + f] += lr * (-g * p - reg * b);
+        }
+
+        if (yieldEvery > 0 && (s + 1) % yieldEvery === 0) await nextTick();
+      }
+
+      loss /= N;
+      checkFinite(loss, epoch, 'loss');
+      if (onProgress) onProgress({ epoch, epochs, loss, lr });
+      await nextTick();
+    }
+
+    return { K, mu: 0, bu: new Float32Array(U), bi, P, Q };
+  }
+}
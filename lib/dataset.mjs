@@ -0,0 +1,178 @@
+/* dataset.mjs
+ * -----------------------------------------
+ * The in-memory dataset every recommender fits on, plus genre helpers.
+ * Parsing file formats lives in formats.mjs; reading files/URLs lives in loader.mjs.
+ *
+ *   movies:  [{ id, title, year, releaseDate, imdbUrl, genres: [String], vector: [0/1 x 18] }]
+ *   ratings: [{ userId, itemId, rating, timestamp }]
+ */
+
+/**
+ * Genres as an 18-D vector. u.item has 19 flags [unknown, Action, ..., Western];
+ * "unknown" is skipped, so the vector order is exactly this list.
+ */
+export const GENRES_18 = [
+  "Action", "Adventure", "Animation", "Children's", "Comedy", "Crime",
+  "Documentary", "Drama", "Fantasy", "Film-Noir", "Horror", "Musical",
+  "Mystery", "Romance", "Sci-Fi", "Thriller", "War", "Western"
+];
+
+/** 18-D 0/1 vector for a list of genre names; names outside GENRES_18 are ignored. */
+export function genreVector(genres) {
+  return GENRES_18.map(g => (genres.includes(g) ? 1 : 0));
+}
+
+/** Release year from a "Title (1995)" title or a "01-Jan-1995" date; null when absent. */
+export function parseYear(title, releaseDate = '') {
+  const m = /\((\d{4})\)\s*$/.exec(title) || /(\d{4})\s*$/.exec(releaseDate);
+  return m ? Number(m[1]) : null;
+}
+
+/** Rating scale [min, max] assumed when a source does not name one (MovieLens 100k and 1M). */
+export const DEFAULT_RATING_SCALE = [1, 5];
+
+/**
+ * Parsed movies and ratings plus the lookups every recommender needs.
+ * `scale` is the [min, max] rating scale of the source file; predictions are clamped to it.
+ * Users and rated items get contiguous indices (first-seen order) for matrix models.
+ *
+ * Ratings come either as an array of rating objects or as streamed RatingColumns
+ * (stream.mjs). Columns stay the storage: the indexes are built from them directly, bulk
+ * passes go through forEachRating(), and rating objects are only made for the rows someone
+ * asks for (userRatings). Reading `ratings` builds every row once and releases the columns,
+ * so a dataset never holds both.
+ */
+export class Dataset {
+  constructor(movies, ratings, { scale = DEFAULT_RATING_SCALE } = {}) {
+    this.movies = movies;
+    this.scale = scale;
+    this.movieById = new Map(movies.map(m => [m.id, m]));
+    const columnar = !Array.isArray(ratings);
+    this.columns = columnar ? ratings : null;
+    this.rows = columnar ? new Array(ratings.length) : ratings; // filled on demand when columnar
+
+    this.userIndex = new Map();   // userId -> 0..U-1
+    this.itemIndex = new Map();   // itemId -> 0..I-1 (rated items only)
+    this.userIds = [];            // index -> userId
+    this.itemIds = [];            // index -> itemId
+    this.rowsByUser = new Map();      // userId -> [row number]
+    this.ratingsByUser = new Map();   // userId -> [rating], built on first userRatings()
+    this.ratersByItem = new Map();    // itemId -> Set(userId)
+    this.ratingSumByItem = new Map(); // itemId -> sum of its ratings
+
+    this.forEachRating((userId, itemId, rating, timestamp, n) => {
+      if (!this.userIndex.has(userId)) {
+        this.userIndex.set(userId, this.userIds.length);
+        this.userIds.push(userId);
+        this.rowsByUser.set(userId, []);
+      }
+      if (!this.itemIndex.has(itemId)) {
+        this.itemIndex.set(itemId, this.itemIds.length);
+        this.itemIds.push(itemId);
+        this.ratersByItem.set(itemId, new Set());
+        this.ratingSumByItem.set(itemId, 0);
+      }
+      this.rowsByUser.get(userId).push(n);
+      this.ratersByItem.get(itemId).add(userId);
+      this.ratingSumByItem.set(itemId, this.ratingSumByItem.get(itemId) + rating);
+    });
+  }
+
+  /** Build from streamed RatingColumns (stream.mjs) without turning them into objects. */
+  static fromColumns(movies, columns, options) {
+    return new Dataset(movies, columns, options);
+  }
+
+  /** Number of ratings. */
+  get numRatings() {
+    return this.rows.length;
+  }
+
+  /** Every rating as an object, in file order (builds them all, then drops the columns). */
+  get ratings() {
+    if (this.columns) {
+      for (let n = 0; n < this.rows.length; n++) this.row(n);
+      this.columns = null;
+    }
+    return this.rows;
+  }
+
+  /** Rating object of row n; the same object on every call. */
+  row(n) {
+    return this.rows[n] || (this.rows[n] = this.columns.get(n));
+  }
+
+  /** fn(userId, itemId, rating, timestamp, n) for every rating, without building objects. */
+  forEachRating(fn) {
+    const c = this.columns;
+    if (c) {
+      for (let n = 0; n < c.length; n++) fn(c.userIds[n], c.itemIds[n], c.ratings[n], c.timestamps[n], n);
+    } else {
+      this.rows.forEach((r, n) => fn(r.userId, r.itemId, r.rating, r.timestamp, n));
+    }
+  }
+
+  /** `value` clamped to the rating scale. */
+  clampRating(value) {
+    return Math.min(this.scale[1], Math.max(this.scale[0], value));
+  }
+
+  getMovie(id) {
+    return this.movieById.get(id) || null;
+  }
+
+  title(id) {
+    const m = this.movieById.get(id);
+    return m ? m.title : `Item ${id}`;
+  }
+
+  ratingCount(itemId) {
+    const raters = this.ratersByItem.get(itemId);
+    return raters ? raters.size : 0;
+  }
+
+  /** Mean rating of a movie; null when nobody rated it. */
+  averageRating(itemId) {
+    const n = this.ratingCount(itemId);
+    return n ? this.ratingSumByItem.get(itemId) / n : null;
+  }
+
+  /** Counts of 1★..5★ ratings of a movie (other values rounded and clamped to the scale). */
+  ratingHistogram(itemId) {
+    if (!this.histograms) {
+      this.histograms = new Map(); // itemId -> [n1, n2, n3, n4, n5], built on first use
+      this.forEachRating((userId, id, rating) => {
+        if (!this.histograms.has(id)) this.histograms.set(id, [0, 0, 0, 0, 0]);
+        this.histograms.get(id)[Math.min(5, Math.max(1, Math.round(rating))) - 1]++;
+      });
+    }
+    return this.histograms.get(itemId) || [0, 0, 0, 0, 0];
+  }
+
+  userRatings(userId) {
+    let list = this.ratingsByUser.get(userId);
+    if (!list) {
+      const rows = this.rowsByUser.get(userId);
+      if (!rows) return [];
+      list = rows.map(n => this.row(n));
+      this.ratingsByUser.set(userId, list);
+    }
+    return list;
+  }
+
+  /** Number of ratings a user made, without building their rating objects. */
+  userRatingCount(userId) {
+    const rows = this.rowsByUser.get(userId);
+    return rows ? rows.length : 0;
+  }
+
+  /** Number of users who rated both items. */
+  coRatedCount(aId, bId) {
+    const a = this.ratersByItem.get(aId), b = this.ratersByItem.get(bId);
+    if (!a || !b) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let n = 0;
+    for (const u of small) if (large.has(u)) n++;
+    return n;
+  }
+}
@@ -0,0 +1,151 @@
+/* diversity.mjs
+ * -----------------------------------------
+ * Re-ranking for less monotonous lists, and list-level beyond-accuracy metrics.
+ *
+ * Diversity is measured on genres, the same way for every strategy, so lists from different
+ * strategies stay comparable: the distance of two movies is 1 − Jaccard(genres), computed on
+ * 18-bit genre masks.
+ *
+ *   rerankDiverse     Maximal Marginal Relevance (Carbonell & Goldstein 1998): repeatedly pick
+ *                     argmax  λ · relevance(i) − (1 − λ) · max_{j picked} similarity(i, j)
+ *                     with relevance min-max scaled to [0, 1]; optionally at most
+ *                     `maxPerGenre` movies of any one genre
+ *   listMetrics       intra-list diversity and novelty of one list
+ *   CoverageTracker   catalog coverage over every list shown
+ */
+
+import { GENRES_18 } from './dataset.mjs';
+
+export const DIVERSITY_DEFAULTS = {
+  lambda: 1,          // 1 = pure relevance (no re-ranking), 0 = pure diversity
+  maxPerGenre: null,  // e.g. 3: no genre appears in more than 3 picked movies
+  depth: 200          // positions filled by MMR (from the whole list); the rest keeps its order
+};
+
+const masks = new WeakMap(); // movie -> genre bitmask
+
+function genreMask(movie) {
+  let mask = masks.get(movie);
+  if (mask === undefined) {
+    mask = 0;
+    for (let g = 0; g < GENRES_18.length; g++) if (movie.vector[g]) mask |= 1 << g;
+    masks.set(movie, mask);
+  }
+  return mask;
+}
+
+function popcount(x) {
+  let n = 0;
+  for (; x; x &= x - 1) n++;
+  return n;
+}
+
+/** Genre Jaccard similarity of two movies via their bitmasks; 0 when both have no genres. */
+export function genreOverlap(a, b) {
+  const ma = genreMask(a), mb = genreMask(b);
+  const union = popcount(ma | mb);
+  return union === 0 ? 0 : popcount(ma & mb) / union;
+}
+
+/**
+ * Re-rank a ranked list ([{ itemId, score, ... }], best first) by MMR. The first `depth`
+ * positions are chosen greedily from the whole list (O(depth · n)); the entries not chosen
+ * follow in their original order.
+ * @param {object} options  DIVERSITY_DEFAULTS overrides
+ * @returns a new list of the same entries
+ */
+export function rerankDiverse(recs, dataset, options = {}) {
+  const { lambda, maxPerGenre, depth } = { ...DIVERSITY_DEFAULTS, ...options };
+  if (lambda >= 1 && !maxPerGenre) return recs.slice();
+
+  const movies = recs.map(r => dataset.getMovie(r.itemId));
+  let lo = Infinity, hi = -Infinity;
+  for (const r of recs) {
+    if (r.score < lo) lo = r.score;
+    if (r.score > hi) hi = r.score;
+  }
+  const relevance = recs.map(r => (hi > lo ? (r.score - lo) / (hi - lo) : 1));
+
+  const maxSim = new Float64Array(recs.length); // max similarity to anything picked so far
+  const taken = new Uint8Array(recs.length);
+  const genreCounts = new Array(GENRES_18.length).fill(0);
+  let full = 0; // genres that reached maxPerGenre
+  const fits = (i) => !maxPerGenre || !movies[i] || (genreMask(movies[i]) & full) === 0;
+
+  const out = [];
+  const slots = Math.min(depth, recs.length);
+  while (out.length < slots) {
+    let best = -1, bestValue = -Infinity, fallback = -1;
+    for (let i = 0; i < recs.length; i++) {
+      if (taken[i]) continue;
+      if (fallback < 0) fallback = i;
+      if (!fits(i)) continue;
+      const value = lambda * relevance[i] - (1 - lambda) * maxSim[i];
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    }
+    // Genre caps can rule out everything left; then the rest follows in relevance order.
+    if (best < 0) best = fallback;
+    taken[best] = 1;
+    out.push(recs[best]);
+    const picked = movies[best];
+    if (!picked) continue;
+    for (let g = 0; g < GENRES_18.length; g++) {
+      if (picked.vector[g] && ++genreCounts[g] >= maxPerGenre) full |= 1 << g;
+    }
+    for (let i = 0; i < recs.length; i++) {
+      if (taken[i] || !movies[i]) continue;
+      const s = genreOverlap(picked, movies[i]);
+      if (s > maxSim[i]) maxSim[i] = s;
+    }
+  }
+  for (let i = 0; i < recs.length; i++) if (!taken[i]) out.push(recs[i]);
+  return out;
+}
+
+/**
+ * Beyond-accuracy metrics of one list of item ids.
+ *   diversity  mean pairwise genre distance 1 − Jaccard, in [0, 1] (0 for fewer than 2 movies)
+ *   novelty    mean self-information −log2(raters(i) / users): higher means less popular
+ *   genres     number of distinct genres covered
+ */
+export function listMetrics(itemIds, dataset) {
+  const movies = itemIds.map(id => dataset.getMovie(id)).filter(Boolean);
+  let distance = 0, pairs = 0;
+  for (let a = 0; a < movies.length; a++) {
+    for (let b = a + 1; b < movies.length; b++) {
+      distance += 1 - genreOverlap(movies[a], movies[b]);
+      pairs++;
+    }
+  }
+  const users = Math.max(1, dataset.userIds.length);
+  let info = 0;
+  for (const m of movies) info += -Math.log2(Math.max(1, dataset.ratingCount(m.id)) / users);
+  let mask = 0;
+  for (const m of movies) mask |= genreMask(m);
+  return {
+    diversity: pairs ? distance / pairs : 0,
+    novelty: movies.length ? info / movies.length : 0,
+    genres: popcount(mask)
+  };
+}
+
+/** Catalog coverage: the share of the catalog that appeared in any list recorded so far. */
+export class CoverageTracker {
+  constructor(catalogSize) {
+    this.catalogSize = catalogSize;
+    this.seen = new Set();
+    this.lists = 0;
+  }
+
+  record(itemIds) {
+    for (const id of itemIds) this.seen.add(id);
+    this.lists++;
+  }
+
+  get coverage() {
+    return this.catalogSize ? this.seen.size / this.catalogSize : 0;
+  }
+}
@@ -0,0 +1,81 @@
+/* evaluation.mjs
+ * -----------------------------------------
+ * Offline evaluation of a Recommender fitted on a split's `train` dataset (e.g. temporalSplit):
+ *
+ *   rmse / mae      rating error on the held-out ratings the strategy can predict
+ *                   (strategies with predict() on the star scale: Funk-SVD, ALS, k-NN;
+ *                   not the ranking objectives, whose scores are no ratings), with each
+ *                   prediction clamped to the dataset's rating scale (train.scale) as shown
+ *                   to users and as hw3 scores it
+ *   precision@k     share of the top-k that the user went on to like (≥ LIKED_RATING) in test
+ *   recall@k        share of the user's liked test movies found in the top-k
+ *   hitRate         share of users with at least one such movie in the top-k
+ *
+ * Ranking metrics cover users who have training history and liked something in test, the first
+ * `maxUsers` of them by id.
+ */
+
+import { LIKED_RATING } from './recommender.mjs';
+
+export const EVALUATION_DEFAULTS = {
+  k: 10,
+  maxUsers: 200
+};
+
+const nextTick = () => new Promise(res => setTimeout(res, 0));
+
+/**
+ * @param {Recommender} recommender  fitted on split.train
+ * @param {{ train, test }} split
+ * @param {object} options  EVALUATION_DEFAULTS overrides, plus onProgress({ done, total })
+ */
+export async function evaluateRecommender(recommender, { train, test }, options = {}) {
+  const { k, maxUsers, onProgress } = { ...EVALUATION_DEFAULTS, ...options };
+
+  let sq = 0, abs = 0, predicted = 0;
+  if (typeof recommender.predict === 'function' && recommender.predictsRatings !== false) {
+    for (const r of test) {
+      const p = recommender.predict(r.userId, r.itemId);
+      if (p == null || !Number.isFinite(p)) continue;
+      const e = r.rating - train.clampRating(p);
+      sq += e * e;
+      abs += Math.abs(e);
+      predicted++;
+    }
+  }
+
+  const likedByUser = new Map(); // userId -> Set(itemId) liked in test
+  for (const r of test) {
+    if (r.rating < LIKED_RATING || !train.userIndex.has(r.userId)) continue;
+    if (!likedByUser.has(r.userId)) likedByUser.set(r.userId, new Set());
+    likedByUser.get(r.userId).add(r.itemId);
+  }
+  const users = [...likedByUser.keys()].sort((a, b) => a - b).slice(0, maxUsers);
+
+  let precision = 0, recall = 0, hits = 0;
+  for (let n = 0; n < users.length; n++) {
+    const liked = likedByUser.get(users[n]);
+    const top = recommender.recommendForUser(users[n], k);
+    let found = 0;
+    for (const r of top) if (liked.has(r.itemId)) found++;
+    precision += found / k;
+    recall += found / liked.size;
+    if (found) hits++;
+    if (onProgress && (n + 1) % 20 === 0) {
+      onProgress({ done: n + 1, total: users.length });
+      await nextTick();
+    }
+  }
+
+  const u = users.length || 1;
+  return {
+    k,
+    users: users.length,
+    predicted,
+    rmse: predicted ? Math.sqrt(sq / predicted) : null,
+    mae: predicted ? abs / predicted : null,
+    precision: precision / u,
+    recall: recall / u,
+    hitRate: hits / u
+  };
+}
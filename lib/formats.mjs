@@ -0,0 +1,451 @@
+/* formats.mjs
+ * -----------------------------------------
+ * Dataset file formats beyond hard-coded u.item / u.data. Each format knows how to recognize a
+ * sample of its text and how to parse it into the shapes dataset.mjs uses:
+ *
+ *   ml-100k-items    u.item      id|title|release|video release|IMDb URL|19 genre flags
+ *   ml-100k-ratings  u.data      user \t item \t rating \t timestamp
+ *   ml-1m-movies     movies.dat  MovieID::Title::Genre|Genre
+ *   ml-1m-ratings    ratings.dat UserID::MovieID::Rating::Timestamp
+ *   ml-latest-movies movies.csv  movieId,title,genres   (header; quoted titles; Genre|Genre)
+ *   ml-latest-ratings ratings.csv userId,movieId,rating,timestamp   (header; half stars)
+ *
+ * Ratings formats also carry the `mapping` they correspond to, so the streaming parser
+ * (stream.mjs) can read them line by line.
+ *
+ * Anything else is treated as a delimited ratings file: the delimiter and header are sniffed,
+ * columns are guessed from header names, and the caller can override the mapping
+ * ({ user, item, rating, timestamp } column indices) before parsing.
+ *
+ * Every parser takes an optional { report, file } (validation.mjs): rejected lines are recorded
+ * with their 1-based line number instead of being dropped silently, and a strict report makes
+ * the first bad line throw.
+ */
+
+import { GENRES_18, DEFAULT_RATING_SCALE, genreVector, parseYear } from './dataset.mjs';
+import { looksMisdecoded, checkRating, RatingChecker } from './validation.mjs';
+
+const SAMPLE_LINES = 20;
+export const DELIMITERS = ['::', '\t', ',', ';', '|'];
+const GENRE_ALIASES = { "Children": "Children's" }; // ML-latest spells it without the apostrophe
+const NO_GENRES = '(no genres listed)';
+
+function sampleLines(text, n = SAMPLE_LINES) {
+  const out = [];
+  let start = 0;
+  while (out.length < n && start < text.length) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    const line = text.slice(start, end).replace(/\r$/, '');
+    if (line.trim()) out.push(line);
+    start = end + 1;
+  }
+  return out;
+}
+
+/** Non-blank lines with their 1-based line numbers. */
+function* numberedLines(text) {
+  const lines = text.split(/\r?\n/);
+  for (let n = 0; n < lines.length; n++) {
+    if (lines[n].trim()) yield [lines[n], n + 1];
+  }
+}
+
+/** Physical lines in a file, not counting the empty one after a final newline. */
+function lineCount(text) {
+  const n = text.split('\n').length;
+  return text.endsWith('\n') ? n - 1 : n;
+}
+
+/**
+ * Shared movie checks: id, title, duplicate ids and title encoding. Returns false when the
+ * line has to be skipped.
+ */
+function acceptMovie(ctx, line, id, title) {
+  const { report, file, seen } = ctx;
+  if (!Number.isFinite(id)) {
+    if (report) report.add('bad-id', file, line);
+    return false;
+  }
+  if (!title) {
+    if (report) report.add('missing-title', file, line, `movie ${id}`);
+    return false;
+  }
+  if (seen.has(id)) {
+    if (report) report.add('duplicate-item', file, line, `movie ${id}`);
+    return false;
+  }
+  seen.add(id);
+  if (report && looksMisdecoded(title)) report.add('encoding', file, line, title);
+  return true;
+}
+
+const isNum = (s) => s !== undefined && s.trim() !== '' && Number.isFinite(Number(s));
+
+/** Split one CSV line, honoring "quoted, fields" and "" escapes. */
+export function splitCSVLine(line, delimiter = ',') {
+  if (delimiter !== ',' || !line.includes('"')) return line.split(delimiter);
+  const out = [];
+  let field = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      out.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  out.push(field);
+  return out;
+}
+
+/** "Action|Children" → ["Action", "Children's"]; genres outside GENRES_18 are kept in the list only. */
+function parseGenreList(text) {
+  if (!text || text.trim() === NO_GENRES) return [];
+  return text.split('|').map(g => g.trim()).filter(Boolean).map(g => GENRE_ALIASES[g] || g);
+}
+
+function movieFromGenreList(id, title, genreText) {
+  const genres = parseGenreList(genreText);
+  return {
+    id,
+    title,
+    year: parseYear(title),
+    releaseDate: '',
+    imdbUrl: '',
+    genres,
+    vector: genreVector(genres)
+  };
+}
+
+const U_ITEM_FIELDS = 5 + 19;   // id|title|release|video release|IMDb URL + 19 genre flags
+const FIRST_GENRE_FIELD = 6;    // flags start with "unknown" at 5, which GENRES_18 skips
+
+/** Parse u.item: id | title | release date | video release date | IMDb URL | 19 genre flags. */
+export function parseItems(text, { report = null, file = 'u.item' } = {}) {
+  const ctx = { report, file, seen: new Set() };
+  const movies = [];
+  for (const [line, n] of numberedLines(text)) {
+    const parts = line.split('|');
+    if (parts.length !== U_ITEM_FIELDS && report) {
+      report.add('column-count', file, n, `${parts.length} fields, expected ${U_ITEM_FIELDS}`);
+    }
+    const id = Number(parts[0]);
+    const title = (parts[1] || '').trim();
+    if (!acceptMovie(ctx, n, id, title)) continue;
+
+    const flags = parts.slice(5, U_ITEM_FIELDS);
+    if (report && (flags.length !== 19 || !flags.every(f => f.trim() === '0' || f.trim() === '1'))) {
+      report.add('genre-width', file, n, `movie ${id}`);
+    }
+
+    const genres = [];
+    const vector = new Array(GENRES_18.length);
+    for (let g = 0; g < GENRES_18.length; g++) {
+      const flag = Number(parts[FIRST_GENRE_FIELD + g]) === 1 ? 1 : 0;
+      vector[g] = flag;
+      if (flag) genres.push(GENRES_18[g]);
+    }
+
+    const releaseDate = (parts[2] || '').trim();
+    movies.push({
+      id,
+      title,
+      year: parseYear(title, releaseDate),
+      releaseDate,
+      imdbUrl: (parts[4] || '').trim(),
+      genres,
+      vector
+    });
+  }
+  if (report) report.countLines(file, lineCount(text));
+  return movies;
+}
+
+function parseDatMovies(text, { report = null, file = 'movies.dat' } = {}) {
+  const ctx = { report, file, seen: new Set() };
+  const movies = [];
+  for (const [line, n] of numberedLines(text)) {
+    const parts = line.split('::');
+    if (parts.length !== 3) {
+      if (report) report.add('column-count', file, n, `${parts.length} fields, expected 3`);
+      if (parts.length < 2) continue;
+    }
+    const [id, title, genres] = parts;
+    if (!acceptMovie(ctx, n, isNum(id) ? Number(id) : NaN, (title || '').trim())) continue;
+    movies.push(movieFromGenreList(Number(id), title.trim(), genres));
+  }
+  if (report) report.countLines(file, lineCount(text));
+  return movies;
+}
+
+function parseCSVMovies(text, { report = null, file = 'movies.csv' } = {}) {
+  const ctx = { report, file, seen: new Set() };
+  const lines = numberedLines(text);
+  const first = lines.next().value;
+  const header = splitCSVLine(first ? first[0] : '').map(h => h.trim().toLowerCase());
+  const col = (name, fallback) => (header.includes(name) ? header.indexOf(name) : fallback);
+  const idCol = col('movieid', 0), titleCol = col('title', 1), genreCol = col('genres', 2);
+
+  const movies = [];
+  for (const [line, n] of lines) {
+    const parts = splitCSVLine(line);
+    if (parts.length !== header.length) {
+      if (report) report.add('column-count', file, n, `${parts.length} fields, expected ${header.length}`);
+      if (parts.length <= titleCol) continue;
+    }
+    const id = isNum(parts[idCol]) ? Number(parts[idCol]) : NaN;
+    const title = (parts[titleCol] || '').trim();
+    if (!acceptMovie(ctx, n, id, title)) continue;
+    movies.push(movieFromGenreList(id, title, parts[genreCol]));
+  }
+  if (report) report.countLines(file, lineCount(text));
+  return movies;
+}
+
+/*** Format registry ***/
+/**
+ * Line-based formats are recognized when most sampled lines fit, so a file with a few malformed
+ * lines is still detected and its problems end up in the validation report.
+ */
+function mostLines(lines, test) {
+  return lines.filter(test).length * 2 > lines.length;
+}
+
+export const FORMATS = [
+  {
+    id: 'ml-100k-items',
+    kind: 'items',
+    label: 'MovieLens 100k u.item',
+    detect: (lines) => mostLines(lines, (l) => {
+      const p = l.split('|');
+      return p.length >= 5 + GENRES_18.length + 1 && isNum(p[0]) && p.slice(-19).every(f => f === '0' || f === '1');
+    }),
+    parse: parseItems
+  },
+  {
+    id: 'ml-100k-ratings',
+    kind: 'ratings',
+    label: 'MovieLens 100k u.data',
+    detect: (lines) => mostLines(lines, (l) => {
+      const p = l.split('\t');
+      return p.length >= 3 && p.slice(0, 3).every(isNum);
+    }),
+    mapping: { delimiter: '\t', hasHeader: false, columns: { user: 0, item: 1, rating: 2, timestamp: 3 }, scale: [1, 5] },
+    parse(text, opts) { return parseMappedRatings(text, this.mapping, { file: 'u.data', ...opts }); }
+  },
+  {
+    id: 'ml-1m-movies',
+    kind: 'items',
+    label: 'MovieLens 1M movies.dat',
+    detect: (lines) => mostLines(lines, (l) => {
+      const p = l.split('::');
+      return p.length === 3 && isNum(p[0]) && !isNum(p[1]);
+    }),
+    parse: parseDatMovies
+  },
+  {
+    id: 'ml-1m-ratings',
+    kind: 'ratings',
+    label: 'MovieLens 1M ratings.dat',
+    detect: (lines) => mostLines(lines, (l) => {
+      const p = l.split('::');
+      return p.length >= 3 && p.slice(0, 3).every(isNum);
+    }),
+    mapping: { delimiter: '::', hasHeader: false, columns: { user: 0, item: 1, rating: 2, timestamp: 3 }, scale: [1, 5] },
+    parse(text, opts) { return parseMappedRatings(text, this.mapping, { file: 'ratings.dat', ...opts }); }
+  },
+  {
+    id: 'ml-latest-movies',
+    kind: 'items',
+    label: 'MovieLens latest movies.csv',
+    detect: (lines) => /^movieid,title,genres\s*$/i.test(lines[0] || ''),
+    parse: parseCSVMovies
+  },
+  {
+    id: 'ml-latest-ratings',
+    kind: 'ratings',
+    label: 'MovieLens latest ratings.csv',
+    detect: (lines) => /^userid,movieid,rating(,timestamp)?\s*$/i.test(lines[0] || ''),
+    mapping: { delimiter: ',', hasHeader: true, columns: { user: 0, item: 1, rating: 2, timestamp: 3 }, scale: [0.5, 5] },
+    parse(text, opts) { return parseMappedRatings(text, this.mapping, { file: 'ratings.csv', ...opts }); }
+  }
+];
+
+export function getFormat(id) {
+  const format = FORMATS.find(f => f.id === id);
+  if (!format) throw new Error(`Unknown dataset format "${id}". Known: ${FORMATS.map(f => f.id).join(', ')}`);
+  return format;
+}
+
+/**
+ * Recognize a file from the first lines of its text, optionally restricted to one kind
+ * ('items' | 'ratings'). Returns the format, or null when nothing matches.
+ */
+export function detectFormat(text, kind = null) {
+  const lines = sampleLines(text);
+  if (!lines.length) return null;
+  return FORMATS.find(f => (!kind || f.kind === kind) && f.detect(lines)) || null;
+}
+
+/*** Arbitrary delimited rating files ***/
+const COLUMN_PATTERNS = {
+  user: /^(user|userid|user_id|uid|customer)/i,
+  item: /^(item|itemid|item_id|movie|movieid|movie_id|film|iid)/i,
+  rating: /^(rating|score|stars|value|grade)/i,
+  timestamp: /^(timestamp|time|date|ts|when)/i
+};
+
+/**
+ * Sniff the delimiter and header of a delimited file; pass `delimiter` to force one.
+ * @returns {{ delimiter, hasHeader, header: string[]|null, columnCount, preview: string[][] }}
+ */
+export function sniffDelimited(text, delimiter = null) {
+  const lines = sampleLines(text);
+  let best = { delimiter: delimiter || ',', score: -1 };
+  for (const d of delimiter ? [] : DELIMITERS) {
+    const counts = lines.map(l => splitCSVLine(l, d).length);
+    // A good delimiter splits every line into the same number (> 1) of fields.
+    const consistent = counts.every(c => c === counts[0]) && counts[0] > 1;
+    const score = consistent ? counts[0] : 0;
+    if (score > best.score) best = { delimiter: d, score };
+  }
+
+  const rows = lines.map(l => splitCSVLine(l, best.delimiter).map(f => f.trim()));
+  const hasHeader = rows.length > 0 && rows[0].some(f => !isNum(f));
+  return {
+    delimiter: best.delimiter,
+    hasHeader,
+    header: hasHeader ? rows[0] : null,
+    columnCount: rows.length ? rows[0].length : 0,
+    preview: rows.slice(hasHeader ? 1 : 0, hasHeader ? 6 : 5)
+  };
+}
+
+/**
+ * Guess { user, item, rating, timestamp } column indices from header names, falling back to
+ * the MovieLens order 0, 1, 2, 3. timestamp is -1 when there is no such column.
+ */
+export function guessColumnMapping(sniffed) {
+  const mapping = { user: 0, item: 1, rating: 2, timestamp: sniffed.columnCount > 3 ? 3 : -1 };
+  if (!sniffed.header) return mapping;
+  for (const [key, pattern] of Object.entries(COLUMN_PATTERNS)) {
+    const at = sniffed.header.findIndex(h => pattern.test(h.replace(/\s+/g, '')));
+    if (at !== -1) mapping[key] = at;
+  }
+  return mapping;
+}
+
+/*
+ * Ratings are stored in typed columns (stream.mjs): ids in Int32Array, timestamps in
+ * Uint32Array. Values outside them would be truncated or wrapped (merging different users or
+ * movies), so they are rejected or reported instead.
+ */
+const MAX_ID = 0x7fffffff;
+const MAX_TIMESTAMP = 0xffffffff;
+const isId = (x) => Number.isInteger(x) && x >= 0 && x <= MAX_ID;
+
+/** Timestamps may be epoch seconds or anything Date.parse understands; NaN when unreadable. */
+function parseTimestamp(value) {
+  if (isNum(value)) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : NaN;
+}
+
+/**
+ * Line parser for a column mapping: (line, lineNumber) → { userId, itemId, rating, timestamp },
+ * or null for rows that cannot be used (too few columns, ids that are not whole numbers from 0
+ * to 2³¹−1, ratings that are not numbers or fall outside mapping.scale). Timestamps that are
+ * unreadable or outside 1970–2106 are stored as 0 (unknown). All of these go to `report`.
+ */
+export function ratingLineParser({ delimiter, columns, scale = DEFAULT_RATING_SCALE }, { report = null, file = 'ratings' } = {}) {
+  const { user, item, rating, timestamp = -1 } = columns;
+  const needed = Math.max(user, item, rating) + 1;
+  const [minRating, maxRating] = scale;
+  return (line, n) => {
+    const parts = splitCSVLine(line, delimiter);
+    if (parts.length < needed) {
+      if (report) report.add('column-count', file, n, `${parts.length} fields, expected at least ${needed}`);
+      return null;
+    }
+    if (!isNum(parts[user]) || !isNum(parts[item])) {
+      if (report) report.add('bad-id', file, n);
+      return null;
+    }
+    const userId = Number(parts[user]), itemId = Number(parts[item]);
+    if (!isId(userId) || !isId(itemId)) {
+      if (report) report.add('id-range', file, n, `user ${parts[user].trim()}, movie ${parts[item].trim()}`);
+      return null;
+    }
+    const value = isNum(parts[rating]) ? Number(parts[rating]) : NaN;
+    if (report) {
+      if (!checkRating(report, file, n, value, minRating, maxRating)) return null;
+    } else if (!(value >= minRating && value <= maxRating)) {
+      return null;
+    }
+
+    let ts = 0;
+    if (timestamp >= 0 && parts[timestamp] !== undefined && parts[timestamp].trim() !== '') {
+      ts = parseTimestamp(parts[timestamp].trim());
+      if (!Number.isFinite(ts)) {
+        if (report) report.add('bad-timestamp', file, n, parts[timestamp]);
+        ts = 0;
+      } else if (ts < 0 || ts > MAX_TIMESTAMP) {
+        if (report) report.add('timestamp-range', file, n, parts[timestamp]);
+        ts = 0;
+      } else {
+        ts = Math.floor(ts);
+      }
+    }
+    return { userId, itemId, rating: value, timestamp: ts };
+  };
+}
+
+/**
+ * Parse a delimited ratings file with an explicit column mapping.
+ * @param {{ delimiter, hasHeader, columns: { user, item, rating, timestamp }, scale? }} mapping
+ * @param {{ report?, file?, knownItemIds?: Set }} opts  duplicate (user, movie) pairs are always
+ *   dropped (first one kept); a report counts them and flags ratings for movies outside knownItemIds
+ */
+export function parseMappedRatings(text, mapping, { report = null, file = 'ratings', knownItemIds = null } = {}) {
+  const parse = ratingLineParser(mapping, { report, file });
+  const checker = new RatingChecker(report, file, knownItemIds);
+  const ratings = [];
+  let skipHeader = !!mapping.hasHeader;
+  for (const [line, n] of numberedLines(text)) {
+    if (skipHeader) { skipHeader = false; continue; }
+    const r = parse(line, n);
+    if (r && checker.check(n, r.userId, r.itemId)) {
+      checker.keep(r.userId, r.itemId);
+      ratings.push(r);
+    }
+  }
+  if (report) report.countLines(file, lineCount(text));
+  return ratings;
+}
+
+/** Parse u.data: user id \t item id \t rating \t timestamp. */
+export function parseRatings(text, opts = {}) {
+  return getFormat('ml-100k-ratings').parse(text, opts);
+}
+
+/** Stand-in catalog for a ratings file that came without a movies file. */
+export function placeholderMovies(itemIds) {
+  const ids = [...new Set(itemIds)].sort((a, b) => a - b);
+  return ids.map(id => ({
+    id,
+    title: `Item ${id}`,
+    year: null,
+    releaseDate: '',
+    imdbUrl: '',
+    genres: [],
+    vector: genreVector([])
+  }));
+}
@@ -0,0 +1,91 @@
+/* funk-svd.mjs
+ * -----------------------------------------
+ * Collaborative strategy from hw3: Matrix Factorization with biases (Funk-SVD), trained by SGD.
+ *
+ *     r̂(u, i) = mu + b_u + b_i + P[u] · Q[i]
+ *
+ * Similarity, user recommendations and explanations come from MatrixFactorizationRecommender
+ * (matrix-factorization.mjs). Training yields to the event loop every `yieldEvery` triplets
+ * so a page stays responsive. Runs are reproducible for a given `seed`.
+ *
+ * With `halfLifeDays` set, each rating's error is weighted by its time decay (temporal.mjs),
+ * so recent tastes dominate; regularization is not weighted.
+ */
+
+import { MatrixFactorizationRecommender, ratingArrays, randomFactors, checkFinite, nextTick } from './matrix-factorization.mjs';
+import { mulberry32, shuffleInPlace } from './rng.mjs';
+import { ratingWeights } from './temporal.mjs';
+
+export const MF_DEFAULTS = {
+  k: 20,
+  epochs: 12,
+  lr: 0.01,
+  reg: 0.05,
+  lrDecay: 1,        // lr_epoch = lr * lrDecay^(epoch-1)
+  shuffle: true,
+  seed: 42,
+  yieldEvery: 20000,
+  halfLifeDays: null // time decay of rating weights; null = every rating counts fully
+};
+
+export class FunkSVDRecommender extends MatrixFactorizationRecommender {
+  static id = 'funk-svd';
+  static label = 'Funk-SVD latent cosine (hw3)';
+
+  /**
+   * @param {object} options  MF_DEFAULTS overrides, plus
+   *   onProgress({ epoch, epochs, rmse, lr }) called after every epoch
+   */
+  constructor(options = {}) {
+    super({ ...MF_DEFAULTS, ...options });
+  }
+
+  async train(dataset) {
+    const { k: K, epochs, lr: LR, reg: REG, lrDecay, shuffle, seed, yieldEvery, halfLifeDays, onProgress } = this.options;
+    const U = dataset.userIds.length, I = dataset.itemIds.length;
+    const { N, users, items, values, mu } = ratingArrays(dataset);
+    const weights = ratingWeights(dataset, halfLifeDays);
+
+    const rng = mulberry32(seed);
+    const bu = new Float32Array(U), bi = new Float32Array(I);
+    const P = randomFactors(U * K, rng), Q = randomFactors(I * K, rng);
+
+    const order = new Uint32Array(N);
+    for (let n = 0; n < N; n++) order[n] = n;
+
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+      const lr = LR * Math.pow(lrDecay > 0 ? lrDecay : 1, epoch - 1);
+      if (shuffle) shuffleInPlace(order, rng);
+
+      let sq = 0;
+      for (let n = 0; n < N; n++) {
+        const idx = order[n];
+        const u = users[idx], i = items[idx];
+        const pu = u * K, qi = i * K;
+
+        let d = 0;
+        for (let f = 0; f < K; f++) d += P[pu + f] * Q[qi + f];
+        const e = values[idx] - (mu + bu[u] + bi[i] + d);
+        sq += e * e;
+        const g = weights ? e * weights[idx] : e;
+
+        bu[u] += lr * (g - REG * bu[u]);
+        bi[i] += lr * (g - REG * bi[i]);
+        for (let f = 0; f < K; f++) {
+          const p = P[pu + f], q = Q[qi + f];
+          P[pu + f] += lr * (g * q - REG * p);
+          Q[qi + f] += lr * (g * p - REG * q);
+        }
+
+        if (yieldEvery > 0 && (n + 1) % yieldEvery === 0) await nextTick();
+      }
+
+      const rmse = Math.sqrt(sq / N);
+      checkFinite(rmse, epoch);
+      if (onProgress) onProgress({ epoch, epochs, rmse, lr });
+      await nextTick();
+    }
+
+    return { K, mu, bu, bi, P, Q };
+  }
+}
@@ -0,0 +1,26 @@
+/* genre-cosine.mjs
+ * -----------------------------------------
+ * Content-based strategy from hwweek2: cosine similarity over the 18-D binary genre vectors,
+ * dot(A, B) / (||A|| * ||B||), with 0 for movies that have no genre flags. The genre vectors
+ * double as item vectors, so baskets can use Rocchio centroids.
+ */
+
+import { Recommender, AGGREGATIONS } from './recommender.mjs';
+import { cosineSimilarity } from './similarity.mjs';
+
+export class GenreCosineRecommender extends Recommender {
+  static id = 'genre-cosine';
+  static label = 'Genre cosine (hwweek2)';
+  static aggregations = AGGREGATIONS;
+
+  itemVector(itemId) {
+    const m = this.requireFitted().getMovie(itemId);
+    return m ? m.vector : null;
+  }
+
+  similarity(aId, bId) {
+    const ds = this.requireFitted();
+    const a = ds.getMovie(aId), b = ds.getMovie(bId);
+    return a && b ? cosineSimilarity(a.vector, b.vector) : 0;
+  }
+}
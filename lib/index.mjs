@@ -0,0 +1,60 @@
+/* index.mjs
+ * -----------------------------------------
+ * Public entry point of the shared recommender core, plus the strategy registry the unified
+ * page (app/) builds its dropdown from. A new strategy is a Recommender subclass added here.
+ */
+
+import { JaccardRecommender } from './jaccard.mjs';
+import { GenreCosineRecommender } from './genre-cosine.mjs';
+import { FunkSVDRecommender } from './funk-svd.mjs';
+import { ALSRecommender, ImplicitALSRecommender } from './als.mjs';
+import { BPRRecommender } from './bpr.mjs';
+import { ItemKNNRecommender, UserKNNRecommender } from './knn.mjs';
+import { MostRatedRecommender, BayesianAverageRecommender, TrendingRecommender } from './baselines.mjs';
+
+export * from './dataset.mjs';
+export * from './formats.mjs';
+export * from './loader.mjs';
+export * from './stream.mjs';
+export * from './validation.mjs';
+export * from './search.mjs';
+export * from './results.mjs';
+export * from './diversity.mjs';
+export * from './temporal.mjs';
+export * from './evaluation.mjs';
+export * from './similarity.mjs';
+export * from './rng.mjs';
+export * from './top-k.mjs';
+export * from './similarity-index.mjs';
+export * from './projection.mjs';
+export * from './recommender.mjs';
+export { JaccardRecommender, GenreCosineRecommender, FunkSVDRecommender, ItemKNNRecommender, UserKNNRecommender };
+export { MF_DEFAULTS } from './funk-svd.mjs';
+export { ALSRecommender, ImplicitALSRecommender, BPRRecommender };
+export { ALS_DEFAULTS, IMPLICIT_ALS_DEFAULTS } from './als.mjs';
+export { BPR_DEFAULTS } from './bpr.mjs';
+export { MatrixFactorizationRecommender } from './matrix-factorization.mjs';
+export { MostRatedRecommender, BayesianAverageRecommender, TrendingRecommender };
+export { BASELINE_DEFAULTS, FALLBACK_BASELINE } from './baselines.mjs';
+export { KNN_DEFAULTS, KNN_SIMILARITIES, NeighborIndex, buildRatingMatrix, buildNeighborIndex } from './knn.mjs';
+
+/** Registered strategies, in dropdown order. */
+export const STRATEGIES = [
+  JaccardRecommender,
+  GenreCosineRecommender,
+  FunkSVDRecommender,
+  ALSRecommender,
+  ImplicitALSRecommender,
+  BPRRecommender,
+  ItemKNNRecommender,
+  UserKNNRecommender,
+  MostRatedRecommender,
+  BayesianAverageRecommender,
+  TrendingRecommender
+];
+
+export function createRecommender(id, options = {}) {
+  const Strategy = STRATEGIES.find(S => S.id === id);
+  if (!Strategy) throw new Error(`Unknown strategy "${id}". Known: ${STRATEGIES.map(S => S.id).join(', ')}`);
+  return new Strategy(options);
+}
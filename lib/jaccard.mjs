@@ -0,0 +1,19 @@
+/* jaccard.mjs
+ * -----------------------------------------
+ * Content-based strategy from week2: Jaccard similarity over each movie's set of genres,
+ * |A ∩ B| / |A ∪ B|, in [0, 1].
+ */
+
+import { Recommender } from './recommender.mjs';
+import { jaccardSimilarity } from './similarity.mjs';
+
+export class JaccardRecommender extends Recommender {
+  static id = 'jaccard';
+  static label = 'Genre Jaccard (week2)';
+
+  similarity(aId, bId) {
+    const ds = this.requireFitted();
+    const a = ds.getMovie(aId), b = ds.getMovie(bId);
+    return a && b ? jaccardSimilarity(a.genres, b.genres) : 0;
+  }
+}
@@ -0,0 +1,451 @@
+/* knn.mjs
+ * -----------------------------------------
+ * Neighborhood collaborative filtering over the rating matrix: item-item and user-user k-NN.
+ *
+ * Similarity between two rows a, b of the matrix (items for item-kNN, users for user-kNN) is
+ * computed over the columns both rated, after centering each rating:
+ *
+ *   adjusted-cosine  subtract the mean of the *other* dimension (item-kNN: the user's mean,
+ *                    user-kNN: the item's mean) — the classic Sarwar et al. item measure
+ *   pearson          subtract the row's own mean (item-kNN: the item's mean, user-kNN: the user's)
+ *
+ *     sim(a, b) = Σ x_ac · y_bc / (sqrt(Σ x_ac²) · sqrt(Σ y_bc²))        c co-rated by a and b
+ *
+ * Shrinkage damps pairs with little support: sim · n / (n + λ) for n co-ratings, and pairs
+ * with fewer than `minCoRated` co-ratings score 0.
+ *
+ * fit() precomputes a sparse NeighborIndex — the `indexSize` most similar positive neighbors of
+ * every row, in CSR form — so similarItems is a lookup and recommendForUser only touches the
+ * neighbors of what the user rated. Predictions are mean-centered weighted averages:
+ *
+ *   item-kNN  r̂(u, i) = r̄_i + Σ_j s_ij (r_uj − r̄_j) / Σ_j |s_ij|    j ∈ neighbors(i) rated by u
+ *   user-kNN  r̂(u, i) = r̄_u + Σ_v s_uv (r_vi − r̄_v) / Σ_v |s_uv|    v ∈ neighbors(u) who rated i
+ *
+ * With `halfLifeDays` set, each rating's term (and its share of the denominator) is scaled by
+ * its time decay (temporal.mjs), so recently rated movies weigh more; similarities are not decayed.
+ */
+
+import { Recommender, rankTopK } from './recommender.mjs';
+import { ratingWeights } from './temporal.mjs';
+
+export const KNN_DEFAULTS = {
+  similarity: 'adjusted-cosine', // or 'pearson'
+  shrinkage: 25,
+  minCoRated: 2,
+  neighbors: 30,   // neighbors used per prediction
+  minSupport: 3,   // recommendForUser skips items predicted from fewer neighbors
+  indexSize: 50,   // neighbors stored per row in the index
+  halfLifeDays: null // time decay of ratings when scoring; null = every rating counts fully
+};
+
+export const KNN_SIMILARITIES = ['adjusted-cosine', 'pearson'];
+
+const EXPLAIN_NEIGHBORS = 3;
+const YIELD_ROWS = 64; // rows between yields while building the index
+
+const nextTick = () => new Promise(res => setTimeout(res, 0));
+
+/*** Sparse rating matrix ***/
+/**
+ * Compressed sparse rows: row r holds cols[ptr[r]..ptr[r+1]) (ascending) and their vals, plus
+ * their decay weights `wts` when `weights` is given (else null).
+ */
+function buildCSR(numRows, rowOf, colOf, values, weights = null) {
+  const ptr = new Uint32Array(numRows + 1);
+  for (let n = 0; n < rowOf.length; n++) ptr[rowOf[n] + 1]++;
+  for (let r = 0; r < numRows; r++) ptr[r + 1] += ptr[r];
+
+  const cols = new Int32Array(rowOf.length);
+  const vals = new Float32Array(rowOf.length);
+  const wts = weights ? new Float32Array(rowOf.length) : null;
+  const fill = ptr.slice(0, numRows);
+  for (let n = 0; n < rowOf.length; n++) {
+    const at = fill[rowOf[n]]++;
+    cols[at] = colOf[n];
+    vals[at] = values[n];
+    if (wts) wts[at] = weights[n];
+  }
+
+  // Sort each row by column so two rows can be merged for exact pair similarities.
+  for (let r = 0; r < numRows; r++) {
+    const start = ptr[r], end = ptr[r + 1];
+    const order = Array.from({ length: end - start }, (_, n) => start + n).sort((a, b) => cols[a] - cols[b]);
+    const c = order.map(n => cols[n]), v = order.map(n => vals[n]);
+    if (wts) wts.set(order.map(n => wts[n]), start);
+    cols.set(c, start);
+    vals.set(v, start);
+  }
+
+  const means = new Float32Array(numRows);
+  for (let r = 0; r < numRows; r++) {
+    let s = 0;
+    for (let n = ptr[r]; n < ptr[r + 1]; n++) s += vals[n];
+    means[r] = ptr[r + 1] > ptr[r] ? s / (ptr[r + 1] - ptr[r]) : 0;
+  }
+  return { ptr, cols, vals, wts, means };
+}
+
+/**
+ * Users × items and items × users views of `dataset.ratings`, indexed like the Dataset.
+ * `weights` (aligned with the ratings, see ratingWeights) are carried along as `wts`.
+ */
+export function buildRatingMatrix(dataset, weights = null) {
+  const N = dataset.numRatings;
+  const users = new Int32Array(N), items = new Int32Array(N), values = new Float32Array(N);
+  let sum = 0;
+  dataset.forEachRating((userId, itemId, rating, timestamp, n) => {
+    users[n] = dataset.userIndex.get(userId);
+    items[n] = dataset.itemIndex.get(itemId);
+    values[n] = rating;
+    sum += rating;
+  });
+  return {
+    mu: N ? sum / N : 0,
+    byUser: buildCSR(dataset.userIds.length, users, items, values, weights),
+    byItem: buildCSR(dataset.itemIds.length, items, users, values, weights)
+  };
+}
+
+/*** Neighbor index ***/
+/**
+ * Top neighbors of every row in CSR form: row r's neighbors are ids[ptr[r]..ptr[r+1]) with
+ * similarities sims[...], sorted by descending similarity.
+ */
+export class NeighborIndex {
+  constructor(ptr, ids, sims) {
+    this.ptr = ptr;
+    this.ids = ids;
+    this.sims = sims;
+  }
+
+  size(r) {
+    return this.ptr[r + 1] - this.ptr[r];
+  }
+
+  /** [{ index, sim }] neighbors of row r, most similar first. */
+  neighbors(r, limit = Infinity) {
+    const out = [];
+    const end = Math.min(this.ptr[r + 1], this.ptr[r] + limit);
+    for (let n = this.ptr[r]; n < end; n++) out.push({ index: this.ids[n], sim: this.sims[n] });
+    return out;
+  }
+}
+
+/** Centering offset of entry (row, col): see the header for the two measures. */
+function centerFn(measure, rows, cols) {
+  return measure === 'pearson'
+    ? (r) => rows.means[r]
+    : (r, c) => cols.means[c];
+}
+
+/**
+ * Similarities of row `a` to every row sharing a column with it, accumulated through the
+ * transposed matrix in one pass. Calls visit(b, sim) for each b ≠ a with a non-zero score.
+ */
+function scanRow(a, rows, cols, opts, acc, visit) {
+  const { num, da, db, cnt, touched } = acc;
+  const center = centerFn(opts.similarity, rows, cols);
+  touched.length = 0;
+
+  for (let n = rows.ptr[a]; n < rows.ptr[a + 1]; n++) {
+    const c = rows.cols[n];
+    const x = rows.vals[n] - center(a, c);
+    for (let m = cols.ptr[c]; m < cols.ptr[c + 1]; m++) {
+      const b = cols.cols[m];
+      if (b === a) continue;
+      const y = cols.vals[m] - center(b, c);
+      if (cnt[b] === 0) touched.push(b);
+      num[b] += x * y;
+      da[b] += x * x;
+      db[b] += y * y;
+      cnt[b]++;
+    }
+  }
+
+  for (const b of touched) {
+    const denom = Math.sqrt(da[b]) * Math.sqrt(db[b]);
+    if (cnt[b] >= opts.minCoRated && denom > 0) {
+      const sim = (num[b] / denom) * (cnt[b] / (cnt[b] + opts.shrinkage));
+      if (sim !== 0) visit(b, sim);
+    }
+    num[b] = da[b] = db[b] = 0;
+    cnt[b] = 0;
+  }
+}
+
+/** Exact similarity of rows a and b by merging their sorted columns. */
+function pairSimilarity(a, b, rows, cols, opts) {
+  if (a === b) return 1;
+  const center = centerFn(opts.similarity, rows, cols);
+  let i = rows.ptr[a], j = rows.ptr[b];
+  const iEnd = rows.ptr[a + 1], jEnd = rows.ptr[b + 1];
+  let num = 0, da = 0, db = 0, n = 0;
+  while (i < iEnd && j < jEnd) {
+    const ca = rows.cols[i], cb = rows.cols[j];
+    if (ca < cb) { i++; continue; }
+    if (cb < ca) { j++; continue; }
+    const x = rows.vals[i] - center(a, ca);
+    const y = rows.vals[j] - center(b, cb);
+    num += x * y; da += x * x; db += y * y; n++;
+    i++; j++;
+  }
+  const denom = Math.sqrt(da) * Math.sqrt(db);
+  if (n < opts.minCoRated || denom === 0) return 0;
+  return (num / denom) * (n / (n + opts.shrinkage));
+}
+
+/**
+ * Build the NeighborIndex of every row of `rows` (with `cols` its transpose), keeping the
+ * `indexSize` most similar positive neighbors. Yields every YIELD_ROWS rows.
+ */
+export async function buildNeighborIndex(rows, cols, opts, onProgress) {
+  const R = rows.ptr.length - 1;
+  const acc = {
+    num: new Float64Array(R), da: new Float64Array(R), db: new Float64Array(R),
+    cnt: new Uint32Array(R), touched: []
+  };
+  const ptr = new Uint32Array(R + 1);
+  const ids = [], sims = [];
+  const row = [];
+
+  for (let a = 0; a < R; a++) {
+    row.length = 0;
+    scanRow(a, rows, cols, opts, acc, (b, sim) => { if (sim > 0) row.push({ b, sim }); });
+    row.sort((x, y) => y.sim - x.sim);
+    const keep = Math.min(row.length, opts.indexSize);
+    for (let n = 0; n < keep; n++) { ids.push(row[n].b); sims.push(row[n].sim); }
+    ptr[a + 1] = ids.length;
+
+    if ((a + 1) % YIELD_ROWS === 0) {
+      if (onProgress) onProgress({ done: a + 1, total: R });
+      await nextTick();
+    }
+  }
+  if (onProgress) onProgress({ done: R, total: R });
+  return new NeighborIndex(ptr, Int32Array.from(ids), Float32Array.from(sims));
+}
+
+/*** Recommenders ***/
+class KNNRecommender extends Recommender {
+  /**
+   * @param {object} options  KNN_DEFAULTS overrides, plus
+   *   onProgress({ done, total }) while the neighbor index is built
+   */
+  constructor(options = {}) {
+    super({ ...KNN_DEFAULTS, ...options });
+    if (!KNN_SIMILARITIES.includes(this.options.similarity)) {
+      throw new Error(`Unknown k-NN similarity "${this.options.similarity}". Known: ${KNN_SIMILARITIES.join(', ')}`);
+    }
+    this.matrix = null;
+    this.index = null;
+    this.weights = null;         // decay weight per dataset row, or null
+  }
+
+  /** Decay weight of userRatings(userId)[k] in the fitted dataset (1 without decay). */
+  weightOf(userId, k) {
+    return this.weights ? this.weights[this.dataset.rowsByUser.get(userId)[k]] : 1;
+  }
+
+  /** Rating matrix of `dataset`, with decay weights when `halfLifeDays` is set. */
+  buildMatrix(dataset) {
+    this.weights = ratingWeights(dataset, this.options.halfLifeDays);
+    return buildRatingMatrix(dataset, this.weights);
+  }
+
+  requireIndex() {
+    this.requireFitted();
+    if (!this.index) throw new Error(`${this.label}: call fit(dataset) first.`);
+    return this.index;
+  }
+
+  candidateIds() {
+    return this.requireFitted().itemIds;
+  }
+
+  /** Item-item similarity with this engine's measure (exact, not limited to the index). */
+  similarity(aId, bId) {
+    this.requireIndex();
+    const a = this.dataset.itemIndex.get(aId), b = this.dataset.itemIndex.get(bId);
+    if (a == null || b == null) return 0;
+    return pairSimilarity(a, b, this.matrix.byItem, this.matrix.byUser, this.options);
+  }
+
+  /**
+   * Turn accumulated numerators/denominators into ranked, clamped predictions. Items backed by
+   * fewer than `minSupport` neighbors are skipped: a single 5★ neighbor would otherwise rank
+   * an obscure movie first.
+   */
+  rankPredictions(userId, base, num, den, support, k) {
+    const ds = this.dataset;
+    const seen = new Set(ds.userRatings(userId).map(r => r.itemId));
+    const scored = [];
+    for (let i = 0; i < den.length; i++) {
+      if (den[i] === 0 || support[i] < this.options.minSupport) continue;
+      const itemId = ds.itemIds[i];
+      if (seen.has(itemId)) continue;
+      const score = base(i) + num[i] / den[i];
+      scored.push({
+        itemId,
+        title: ds.title(itemId),
+        score,
+        predicted: ds.clampRating(score)
+      });
+    }
+    return rankTopK(scored, k, ds);
+  }
+}
+
+export class ItemKNNRecommender extends KNNRecommender {
+  static id = 'item-knn';
+  static label = 'Item-based k-NN';
+
+  async fit(dataset) {
+    await super.fit(dataset);
+    this.matrix = this.buildMatrix(dataset);
+    this.index = await buildNeighborIndex(this.matrix.byItem, this.matrix.byUser, this.options, this.options.onProgress);
+    return this;
+  }
+
+  /**
+   * Straight from the precomputed index when it holds enough neighbors; longer lists (e.g. every
+   * candidate, for filtering) fall back to exact similarities against the whole catalog.
+   */
+  similarItems(itemId, k = 10) {
+    const index = this.requireIndex();
+    if (k > this.options.indexSize) return super.similarItems(itemId, k);
+    const ds = this.dataset;
+    const i = ds.itemIndex.get(itemId);
+    if (i == null) return [];
+    return index.neighbors(i, k).map(({ index: j, sim }) => ({
+      itemId: ds.itemIds[j],
+      title: ds.title(ds.itemIds[j]),
+      score: sim
+    }));
+  }
+
+  predict(userId, itemId) {
+    const index = this.requireIndex();
+    const ds = this.dataset;
+    const i = ds.itemIndex.get(itemId);
+    if (i == null || !ds.userIndex.has(userId)) return null;
+
+    const history = ds.userRatings(userId);
+    const rated = new Map(history.map((r, k) => [ds.itemIndex.get(r.itemId), k])); // item index -> k
+    const { means } = this.matrix.byItem;
+    let num = 0, den = 0, used = 0;
+    for (const { index: j, sim } of index.neighbors(i)) {
+      const k = rated.get(j);
+      if (k == null) continue;
+      const r = history[k];
+      const w = this.weightOf(userId, k);
+      num += w * sim * (r.rating - means[j]);
+      den += w * Math.abs(sim);
+      if (++used >= this.options.neighbors) break;
+    }
+    return den > 0 ? means[i] + num / den : means[i];
+  }
+
+  /** Each rated item j pushes its residual to its indexed neighbors: O(|history| · indexSize). */
+  recommendForUser(userId, k = 10) {
+    const index = this.requireIndex();
+    const ds = this.dataset;
+    const history = ds.userRatings(userId);
+    if (!history.length) return [];
+
+    const I = ds.itemIds.length;
+    const { means } = this.matrix.byItem;
+    const num = new Float64Array(I), den = new Float64Array(I), used = new Uint16Array(I);
+    // Strongest links first, so the per-item `neighbors` cap keeps the best contributors.
+    const links = [];
+    history.forEach((r, k) => {
+      const j = ds.itemIndex.get(r.itemId);
+      const w = this.weightOf(userId, k);
+      for (const { index: i, sim } of index.neighbors(j)) links.push({ i, sim, w, resid: r.rating - means[j] });
+    });
+    links.sort((a, b) => b.sim - a.sim);
+    for (const { i, sim, w, resid } of links) {
+      if (used[i] >= this.options.neighbors) continue;
+      num[i] += w * sim * resid;
+      den[i] += w * sim;
+      used[i]++;
+    }
+    return this.rankPredictions(userId, (i) => means[i], num, den, used, k);
+  }
+}
+
+export class UserKNNRecommender extends KNNRecommender {
+  static id = 'user-knn';
+  static label = 'User-based k-NN';
+
+  async fit(dataset) {
+    await super.fit(dataset);
+    this.matrix = this.buildMatrix(dataset);
+    this.index = await buildNeighborIndex(this.matrix.byUser, this.matrix.byItem, this.options, this.options.onProgress);
+    return this;
+  }
+
+  /** [{ userId, similarity }] nearest users, from the index. */
+  similarUsers(userId, k = this.options.neighbors) {
+    const index = this.requireIndex();
+    const u = this.dataset.userIndex.get(userId);
+    if (u == null) return [];
+    return index.neighbors(u, k).map(({ index: v, sim }) => ({ userId: this.dataset.userIds[v], similarity: sim }));
+  }
+
+  predict(userId, itemId) {
+    const ds = this.dataset;
+    this.requireIndex();
+    const u = ds.userIndex.get(userId);
+    if (u == null || !ds.itemIndex.has(itemId)) return null;
+
+    const { means } = this.matrix.byUser;
+    let num = 0, den = 0;
+    for (const { userId: vId, similarity: sim } of this.similarUsers(userId)) {
+      const history = ds.userRatings(vId);
+      const k = history.findIndex(x => x.itemId === itemId);
+      if (k < 0) continue;
+      const r = history[k];
+      const w = this.weightOf(vId, k);
+      num += w * sim * (r.rating - means[ds.userIndex.get(vId)]);
+      den += w * Math.abs(sim);
+    }
+    return den > 0 ? means[u] + num / den : means[u];
+  }
+
+  /** Neighbors' residuals on every item they rated: O(neighbors · their history). */
+  recommendForUser(userId, k = 10) {
+    const ds = this.requireFitted();
+    this.requireIndex();
+    const u = ds.userIndex.get(userId);
+    if (u == null) return [];
+
+    const { byUser } = this.matrix;
+    const I = ds.itemIds.length;
+    const num = new Float64Array(I), den = new Float64Array(I), support = new Uint16Array(I);
+    for (const { userId: vId, similarity: sim } of this.similarUsers(userId)) {
+      const v = ds.userIndex.get(vId);
+      for (let n = byUser.ptr[v]; n < byUser.ptr[v + 1]; n++) {
+        const i = byUser.cols[n];
+        const w = byUser.wts ? byUser.wts[n] : 1;
+        num[i] += w * sim * (byUser.vals[n] - byUser.means[v]);
+        den[i] += w * sim;
+        support[i]++;
+      }
+    }
+    return this.rankPredictions(userId, () => byUser.means[u], num, den, support, k);
+  }
+
+  /** Adds the nearest users of `forUser` who rated the item, when given. */
+  explain(itemId, { anchors = [], forUser = null } = {}) {
+    const expl = super.explain(itemId, { anchors });
+    expl.neighborUsers = [];
+    if (forUser != null) {
+      for (const { userId, similarity } of this.similarUsers(forUser)) {
+        const r = this.dataset.userRatings(userId).find(x => x.itemId === itemId);
+        if (r) expl.neighborUsers.push({ userId, similarity, rating: r.rating });
+        if (expl.neighborUsers.length >= EXPLAIN_NEIGHBORS) break;
+      }
+    }
+    return expl;
+  }
+}
@@ -0,0 +1,124 @@
+/* loader.mjs
+ * -----------------------------------------
+ * Reading dataset files into a Dataset, in the browser and in Node.
+ *
+ * A source is a URL (browser), a file path (Node) or a File/Blob (file picker, drag-and-drop).
+ * Formats are detected from the content (formats.mjs) unless given explicitly; a ratings file
+ * in no known format needs a `mapping` (see sniffDelimited / guessColumnMapping).
+ * loadDataset streams the ratings file (stream.mjs); parseDataset works on text already read.
+ * Both collect line-level diagnostics into a ValidationReport (validation.mjs), attached to the
+ * returned Dataset as `dataset.report`; `strict: true` makes the first error throw instead.
+ */
+
+import { Dataset, DEFAULT_RATING_SCALE } from './dataset.mjs';
+import { detectFormat, getFormat, parseMappedRatings, placeholderMovies } from './formats.mjs';
+import { streamRatings, isNode } from './stream.mjs';
+import { ValidationReport } from './validation.mjs';
+
+/**
+ * Decode file bytes as UTF-8, falling back to Windows-1252 (a Latin-1 superset) — the
+ * original MovieLens u.item is Latin-1, so titles like "Misérables" need the fallback.
+ */
+export function decodeText(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+function isBlob(source) {
+  return source && typeof source === 'object' && typeof source.arrayBuffer === 'function';
+}
+
+/** Read a URL (browser), file path (Node) or File/Blob and return its decoded text. */
+export async function readSource(source) {
+  if (isBlob(source)) return decodeText(new Uint8Array(await source.arrayBuffer()));
+  if (isNode()) {
+    const { readFile } = await import('node:fs/promises');
+    return decodeText(await readFile(source));
+  }
+  const resp = await fetch(source);
+  if (!resp.ok) throw new Error(`Failed to load ${source} (${resp.status})`);
+  return decodeText(new Uint8Array(await resp.arrayBuffer()));
+}
+
+/** Display name of a source for messages. */
+export function sourceName(source) {
+  return isBlob(source) ? source.name || 'file' : String(source);
+}
+
+/* { ratings, scale } of a ratings text; scale is the format's or mapping's [min, max]. */
+function parseRatingsText(text, format, mapping, name, opts) {
+  if (mapping) {
+    return { ratings: parseMappedRatings(text, mapping, { file: name, ...opts }), scale: mapping.scale || DEFAULT_RATING_SCALE };
+  }
+  const fmt = format ? getFormat(format) : detectFormat(text, 'ratings');
+  if (!fmt) throw new Error(`Unrecognized ratings format in ${name}; pass a column mapping.`);
+  return { ratings: fmt.parse(text, { file: name, ...opts }), scale: (fmt.mapping && fmt.mapping.scale) || DEFAULT_RATING_SCALE };
+}
+
+function parseItemsText(text, format, name, opts) {
+  const fmt = format ? getFormat(format) : detectFormat(text, 'items');
+  if (!fmt) throw new Error(`Unrecognized movies format in ${name}.`);
+  return fmt.parse(text, { file: name, ...opts });
+}
+
+function createReport(validate, strict) {
+  return validate || strict ? new ValidationReport({ strict }) : null;
+}
+
+/**
+ * Build a Dataset from already-read text. Without `itemsText` every rated item gets a
+ * placeholder title ("Item 42") and no genres. `validate` and `strict` as for loadDataset.
+ */
+export function parseDataset({
+  itemsText = null, ratingsText, itemsFormat, ratingsFormat, mapping, names = {}, validate = true, strict = false
+}) {
+  const report = createReport(validate, strict);
+  const movies = itemsText != null
+    ? parseItemsText(itemsText, itemsFormat, names.items || 'movies', { report })
+    : null;
+  const { ratings, scale } = parseRatingsText(ratingsText, ratingsFormat, mapping, names.ratings || 'ratings', {
+    report, knownItemIds: movies && new Set(movies.map(m => m.id))
+  });
+  const ds = new Dataset(movies || placeholderMovies(ratings.map(r => r.itemId)), ratings, { scale });
+  ds.report = report;
+  return ds;
+}
+
+/**
+ * Load a movies file + ratings file into a Dataset, streaming the ratings.
+ * @param {object} sources
+ *   items          movies source, or null for a ratings-only dataset (default 'u.item')
+ *   ratings        ratings source (default 'u.data')
+ *   itemsFormat    format id to skip detection, e.g. 'ml-1m-movies'
+ *   ratingsFormat  format id to skip detection
+ *   mapping        { delimiter, hasHeader, columns, scale? } for a ratings file in no known format
+ *   sample         row sampling while streaming, e.g. { strategy: 'uniform', limit: 50000 }
+ *   validate       collect a ValidationReport (default true)
+ *   strict         throw a ValidationError on the first error instead of skipping the line
+ *   onProgress     ({ loaded, total, rows }) byte-level ratings progress
+ *
+ * The movies file is parsed first so ratings for ids it does not define can be reported.
+ */
+export async function loadDataset({
+  items = 'u.item', ratings = 'u.data', itemsFormat, ratingsFormat, mapping, sample,
+  validate = true, strict = false, onProgress
+} = {}) {
+  const report = createReport(validate, strict);
+  const movies = items != null
+    ? parseItemsText(await readSource(items), itemsFormat, sourceName(items), { report })
+    : null;
+  const name = sourceName(ratings);
+  const { columns, scale } = await streamRatings(ratings, {
+    format: ratingsFormat, mapping, sample, onProgress, report, file: name,
+    knownItemIds: movies && new Set(movies.map(m => m.id))
+  }).catch((err) => {
+    if (err.name === 'ValidationError') throw err;
+    throw new Error(`${name}: ${err.message}`);
+  });
+  const ds = Dataset.fromColumns(movies || placeholderMovies(columns.itemIds), columns, { scale });
+  ds.report = report;
+  return ds;
+}
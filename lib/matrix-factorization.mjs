@@ -0,0 +1,204 @@
+/* matrix-factorization.mjs
+ * -----------------------------------------
+ * What every latent-factor strategy shares, whatever its solver (Funk-SVD SGD, ALS, implicit
+ * ALS, BPR). A solver's train(dataset) returns
+ *
+ *     { K, mu, bu, bi, P, Q }     score(u, i) = mu + b_u + b_i + P[u] · Q[i]
+ *
+ * in flat row-major Float32Arrays (K per row, indexed like the Dataset); solvers without biases
+ * leave them at 0. Everything downstream is common: item similarity is the cosine of the item
+ * factors (rows of Qunit), users get the unseen movies with the highest score, explanations
+ * name the latent dimensions behind a match.
+ *
+ * similarItems goes through a nearest-neighbor index over Qunit (similarity-index.mjs): exact
+ * heap scan by default, or a precomputed table / LSH via `similarityIndex`.
+ *
+ * Rating-prediction objectives (`predictsRatings`) score on the star scale, so their results
+ * carry a clamped `predicted` rating; ranking objectives (implicit ALS, BPR) produce scores
+ * that only order movies.
+ */
+
+import { Recommender, rankTopK, AGGREGATIONS } from './recommender.mjs';
+import { INDEX_DEFAULTS, buildSimilarityIndex } from './similarity-index.mjs';
+
+const EXPLAIN_DIMS = 3;
+
+export const nextTick = () => new Promise(res => setTimeout(res, 0));
+
+/** Ratings as parallel typed arrays of user index, item index and value, plus their mean. */
+export function ratingArrays(dataset) {
+  const N = dataset.numRatings;
+  const users = new Int32Array(N), items = new Int32Array(N), values = new Float32Array(N);
+  let sum = 0;
+  dataset.forEachRating((userId, itemId, rating, timestamp, n) => {
+    users[n] = dataset.userIndex.get(userId);
+    items[n] = dataset.itemIndex.get(itemId);
+    values[n] = rating;
+    sum += rating;
+  });
+  return { N, users, items, values, mu: N ? sum / N : 0 };
+}
+
+/** `n` small random weights in [-scale, scale) from a seeded rng. */
+export function randomFactors(n, rng, scale = 0.05) {
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i++) out[i] = (rng() * 2 - 1) * scale;
+  return out;
+}
+
+/** Stop training when the objective blew up, instead of serving NaN factors. */
+export function checkFinite(value, epoch, what = 'RMSE') {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Training diverged in epoch ${epoch} (${what} ${value}); try a lower learning rate or more regularization.`);
+  }
+}
+
+export class MatrixFactorizationRecommender extends Recommender {
+  static aggregations = AGGREGATIONS;
+  /** Scores are ratings on the star scale (false: ranking scores only). */
+  static predictsRatings = true;
+
+  /** @param {object} options  solver options plus INDEX_DEFAULTS overrides */
+  constructor(options = {}) {
+    super({ ...INDEX_DEFAULTS, ...options });
+    this.model = null; // { K, mu, bu, bi, P, Q, Qunit }
+    this.index = null; // nearest-neighbor index over Qunit rows
+  }
+
+  get predictsRatings() { return this.constructor.predictsRatings; }
+
+  async fit(dataset) {
+    await super.fit(dataset);
+    if (!dataset.numRatings) throw new Error("Empty dataset after parsing. Check u.item / u.data.");
+    return this.useModel(await this.train(dataset));
+  }
+
+  /** Install trained factors: unit-length item vectors for cosine, and the similarity index. */
+  async useModel(model) {
+    const { K, Q } = model;
+    const I = this.dataset.itemIds.length;
+    const Qunit = new Float32Array(I * K);
+    for (let i = 0; i < I; i++) {
+      let n2 = 0;
+      for (let f = 0; f < K; f++) n2 += Q[i * K + f] * Q[i * K + f];
+      const inv = n2 > 0 ? 1 / Math.sqrt(n2) : 0;
+      for (let f = 0; f < K; f++) Qunit[i * K + f] = Q[i * K + f] * inv;
+    }
+
+    this.model = { ...model, Qunit };
+    // The table reports its rows like k-NN's index does, so progress stays meaningful.
+    this.index = await buildSimilarityIndex(Qunit, K, this.options);
+    return this;
+  }
+
+  /** The trained factors as plain JSON-safe data, with the user and item ids they index. */
+  exportModel() {
+    const { K, mu, bu, bi, P, Q } = this.requireModel();
+    const { userIds, itemIds } = this.dataset;
+    return {
+      K, mu, userIds: [...userIds], itemIds: [...itemIds],
+      bu: Array.from(bu), bi: Array.from(bi), P: Array.from(P), Q: Array.from(Q)
+    };
+  }
+
+  /** Fit from factors saved by exportModel() instead of training; the dataset has to match. */
+  async restore(dataset, saved) {
+    await super.fit(dataset);
+    const same = (a, b) => a.length === b.length && a.every((id, n) => id === b[n]);
+    if (!same(saved.userIds, dataset.userIds) || !same(saved.itemIds, dataset.itemIds)) {
+      throw new Error(`${this.label}: the saved model was trained on different ratings.`);
+    }
+    const { K, mu } = saved;
+    return this.useModel({
+      K, mu,
+      bu: Float32Array.from(saved.bu), bi: Float32Array.from(saved.bi),
+      P: Float32Array.from(saved.P), Q: Float32Array.from(saved.Q)
+    });
+  }
+
+  /** @returns {Promise<{ K, mu, bu, bi, P, Q }>} */
+  async train(dataset) {
+    throw new Error(`${this.label} does not implement train().`);
+  }
+
+  requireModel() {
+    this.requireFitted();
+    if (!this.model) throw new Error(`${this.label}: call fit(dataset) first.`);
+    return this.model;
+  }
+
+  /** Only rated movies have latent factors. */
+  candidateIds() {
+    return this.requireFitted().itemIds;
+  }
+
+  /** Unit latent vector of a movie (its Qunit row), or null when it has no ratings. */
+  itemVector(itemId) {
+    const { K, Qunit } = this.requireModel();
+    const i = this.dataset.itemIndex.get(itemId);
+    return i == null ? null : Qunit.subarray(i * K, (i + 1) * K);
+  }
+
+  similarity(aId, bId) {
+    const a = this.itemVector(aId), b = this.itemVector(bId);
+    if (!a || !b) return 0;
+    let s = 0;
+    for (let f = 0; f < a.length; f++) s += a[f] * b[f];
+    return s;
+  }
+
+  /** Nearest movies by latent cosine, from the index; unrated movies get the generic scan. */
+  similarItems(itemId, k = 10) {
+    const ds = this.requireFitted();
+    this.requireModel();
+    const i = ds.itemIndex.get(itemId);
+    if (i == null || !Number.isFinite(k)) return super.similarItems(itemId, k);
+    return this.index.query(i, k).map(({ index: j, sim }) => ({
+      itemId: ds.itemIds[j],
+      title: ds.title(ds.itemIds[j]),
+      score: sim
+    }));
+  }
+
+  /** Raw score (not clamped); a predicted rating when `predictsRatings`. Null when unknown. */
+  predict(userId, itemId) {
+    const { K, mu, bu, bi, P, Q } = this.requireModel();
+    const u = this.dataset.userIndex.get(userId), i = this.dataset.itemIndex.get(itemId);
+    if (u == null || i == null) return null;
+    let d = 0;
+    for (let f = 0; f < K; f++) d += P[u * K + f] * Q[i * K + f];
+    return mu + bu[u] + bi[i] + d;
+  }
+
+  /** Unseen movies ranked by score; `predicted` is the score clamped to the star scale. */
+  recommendForUser(userId, k = 10) {
+    const ds = this.requireFitted();
+    const history = ds.userRatings(userId);
+    if (!history.length) return [];
+
+    const seen = new Set(history.map(r => r.itemId));
+    const scored = [];
+    for (const id of ds.itemIds) {
+      if (seen.has(id)) continue;
+      const score = this.predict(userId, id);
+      const rec = { itemId: id, title: ds.title(id), score };
+      if (this.predictsRatings) rec.predicted = ds.clampRating(score);
+      scored.push(rec);
+    }
+    return rankTopK(scored, k, ds);
+  }
+
+  /** Adds the latent dimensions contributing most to cosine(nearest anchor, item). */
+  explain(itemId, { anchors = [] } = {}) {
+    const expl = super.explain(itemId, { anchors });
+    expl.latentDims = [];
+    const qj = this.itemVector(itemId);
+    const qa = expl.anchors.length ? this.itemVector(expl.anchors[0].itemId) : null;
+    if (qa && qj) {
+      expl.latentDims = Array.from(qa, (v, d) => ({ dim: d, contribution: v * qj[d] }))
+        .sort((a, b) => b.contribution - a.contribution)
+        .slice(0, EXPLAIN_DIMS);
+    }
+    return expl;
+  }
+}
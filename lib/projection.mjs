@@ -0,0 +1,241 @@
+/* projection.mjs
+ * -----------------------------------------
+ * 2-D layouts of item vectors (e.g. MF `Qunit`: n rows of `dims` floats, row-major) for
+ * plotting. Both return flat Float32Array(n * 2) coordinates, [x0, y0, x1, y1, …]:
+ *
+ *   pca    projection on the two leading principal components (power iteration on the
+ *          dims × dims covariance), with the share of variance each explains. Fast and linear:
+ *          distances along the axes mean something, local structure may be squashed
+ *   tsne   exact t-SNE (van der Maaten & Hinton 2008) started from the PCA layout: keeps
+ *          neighborhoods, not global distances. O(n²) time and memory per iteration, which is
+ *          fine for MovieLens 100k's 1.7k movies and slow beyond a few thousand, so it refuses
+ *          more than `maxItems` (ML-25M's 59k movies would need a 14 GB affinity matrix)
+ */
+
+import { mulberry32 } from './rng.mjs';
+
+export const PROJECTIONS = ['pca', 'tsne'];
+
+export const TSNE_DEFAULTS = {
+  perplexity: 30,
+  iterations: 500,
+  learningRate: null,   // null: max(n / exaggeration, 50)
+  exaggeration: 12,     // early exaggeration, for the first quarter of the iterations
+  yieldEvery: 10,
+  maxItems: 3000,       // larger inputs are rejected; use PCA
+  seed: 42
+};
+
+const POWER_ITERATIONS = 100;
+const YIELD_ROWS = 64; // affinity rows between yields
+const nextTick = () => new Promise(res => setTimeout(res, 0));
+
+/**
+ * @returns {{ coords: Float32Array, explained: [number, number] }}  explained: variance ratio
+ *   of each axis
+ */
+export function pca2d(vectors, dims, { seed = 42 } = {}) {
+  const n = vectors.length / dims;
+  const mean = new Float64Array(dims);
+  for (let i = 0; i < n; i++) for (let f = 0; f < dims; f++) mean[f] += vectors[i * dims + f];
+  for (let f = 0; f < dims; f++) mean[f] /= n || 1;
+
+  const cov = new Float64Array(dims * dims);
+  const row = new Float64Array(dims);
+  for (let i = 0; i < n; i++) {
+    for (let f = 0; f < dims; f++) row[f] = vectors[i * dims + f] - mean[f];
+    for (let a = 0; a < dims; a++) {
+      for (let b = a; b < dims; b++) cov[a * dims + b] += row[a] * row[b];
+    }
+  }
+  let total = 0;
+  for (let a = 0; a < dims; a++) {
+    for (let b = a; b < dims; b++) cov[b * dims + a] = cov[a * dims + b] /= n || 1;
+    total += cov[a * dims + a];
+  }
+
+  const rng = mulberry32(seed);
+  const axes = [], explained = [];
+  for (let c = 0; c < 2; c++) {
+    const { vector, value } = leadingEigen(cov, dims, rng);
+    axes.push(vector);
+    explained.push(total > 0 ? value / total : 0);
+    // Deflate, so the next power iteration finds the next component.
+    for (let a = 0; a < dims; a++) {
+      for (let b = 0; b < dims; b++) cov[a * dims + b] -= value * vector[a] * vector[b];
+    }
+  }
+
+  const coords = new Float32Array(n * 2);
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < 2; c++) {
+      let s = 0;
+      for (let f = 0; f < dims; f++) s += (vectors[i * dims + f] - mean[f]) * axes[c][f];
+      coords[i * 2 + c] = s;
+    }
+  }
+  return { coords, explained };
+}
+
+/* Power iteration on a symmetric matrix; the sign is fixed so the largest loading is positive. */
+function leadingEigen(M, dims, rng) {
+  let v = Float64Array.from({ length: dims }, () => rng() - 0.5);
+  let value = 0;
+  for (let it = 0; it < POWER_ITERATIONS; it++) {
+    const w = new Float64Array(dims);
+    for (let a = 0; a < dims; a++) {
+      let s = 0;
+      for (let b = 0; b < dims; b++) s += M[a * dims + b] * v[b];
+      w[a] = s;
+    }
+    let norm = 0;
+    for (let a = 0; a < dims; a++) norm += w[a] * w[a];
+    norm = Math.sqrt(norm);
+    if (norm === 0) break;
+    for (let a = 0; a < dims; a++) w[a] /= norm;
+    value = norm;
+    v = w;
+  }
+  let big = 0;
+  for (let a = 1; a < dims; a++) if (Math.abs(v[a]) > Math.abs(v[big])) big = a;
+  if (v[big] < 0) for (let a = 0; a < dims; a++) v[a] = -v[a];
+  return { vector: v, value };
+}
+
+/**
+ * @param {object} options  TSNE_DEFAULTS overrides, plus onProgress({ iteration, iterations })
+ * @returns {Promise<{ coords: Float32Array }>}
+ */
+export async function tsne2d(vectors, dims, options = {}) {
+  const { perplexity, iterations, learningRate, exaggeration, yieldEvery, maxItems, seed, onProgress } =
+    { ...TSNE_DEFAULTS, ...options };
+  const n = vectors.length / dims;
+  if (n > maxItems) {
+    throw new Error(`t-SNE is limited to ${maxItems.toLocaleString()} movies (got ${n.toLocaleString()}); use PCA.`);
+  }
+  if (n < 3) return { coords: pca2d(vectors, dims, { seed }).coords };
+
+  const P = await affinities(vectors, dims, Math.min(perplexity, (n - 1) / 3));
+
+  // Start from PCA, scaled down so the first axis has standard deviation 1e-4.
+  const Y = Float64Array.from(pca2d(vectors, dims, { seed }).coords);
+  let sd = 0;
+  for (let i = 0; i < n; i++) sd += Y[i * 2] * Y[i * 2];
+  sd = Math.sqrt(sd / n) || 1;
+  for (let i = 0; i < 2 * n; i++) Y[i] *= 1e-4 / sd;
+
+  const lr = learningRate || Math.max(n / exaggeration, 50);
+  const update = new Float64Array(2 * n), gains = new Float64Array(2 * n).fill(1);
+  const grad = new Float64Array(2 * n), attract = new Float64Array(2 * n), repel = new Float64Array(2 * n);
+  const stopExaggeration = Math.floor(iterations / 4);
+
+  for (let it = 1; it <= iterations; it++) {
+    const exag = it <= stopExaggeration ? exaggeration : 1;
+    const momentum = it <= stopExaggeration ? 0.5 : 0.8;
+
+    // Student-t kernel 1 / (1 + d²), in one pass: attractive and repulsive forces are summed
+    // apart because the repulsion needs the normalizer Z, known only at the end.
+    //   dC/dy_i = 4 Σ_j (exag · P_ij − q_ij) (1 + d²_ij)⁻¹ (y_i − y_j),  q_ij = (1 + d²_ij)⁻¹ / Z
+    let Z = 0;
+    attract.fill(0);
+    repel.fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = Y[i * 2] - Y[j * 2], dy = Y[i * 2 + 1] - Y[j * 2 + 1];
+        const num = 1 / (1 + dx * dx + dy * dy);
+        Z += 2 * num;
+        const a = P[i * n + j] * num, r = num * num;
+        attract[i * 2] += a * dx; attract[i * 2 + 1] += a * dy;
+        attract[j * 2] -= a * dx; attract[j * 2 + 1] -= a * dy;
+        repel[i * 2] += r * dx; repel[i * 2 + 1] += r * dy;
+        repel[j * 2] -= r * dx; repel[j * 2 + 1] -= r * dy;
+      }
+    }
+    for (let d = 0; d < 2 * n; d++) grad[d] = 4 * (exag * attract[d] - repel[d] / Z);
+
+    // Momentum with per-coordinate gains (delta-bar-delta).
+    for (let d = 0; d < 2 * n; d++) {
+      gains[d] = Math.sign(grad[d]) !== Math.sign(update[d]) ? gains[d] + 0.2 : Math.max(0.01, gains[d] * 0.8);
+      update[d] = momentum * update[d] - lr * gains[d] * grad[d];
+      Y[d] += update[d];
+    }
+    // Keep the layout centered.
+    let cx = 0, cy = 0;
+    for (let i = 0; i < n; i++) { cx += Y[i * 2]; cy += Y[i * 2 + 1]; }
+    for (let i = 0; i < n; i++) { Y[i * 2] -= cx / n; Y[i * 2 + 1] -= cy / n; }
+
+    if (yieldEvery > 0 && (it % yieldEvery === 0 || it === iterations)) {
+      if (onProgress) onProgress({ iteration: it, iterations });
+      await nextTick();
+    }
+  }
+  return { coords: Float32Array.from(Y) };
+}
+
+/*
+ * Symmetric input affinities P (n × n, summing to 1): per row, a Gaussian over squared
+ * distances whose bandwidth is found by bisection so its perplexity matches the target.
+ * Yields every YIELD_ROWS rows so the page stays responsive.
+ */
+async function affinities(V, dims, perplexity) {
+  const n = V.length / dims;
+  const D = new Float64Array(n);
+  const P = new Float32Array(n * n);
+  const target = Math.log(perplexity);
+  const row = new Float64Array(n);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      let s = 0;
+      for (let f = 0; f < dims; f++) {
+        const d = V[i * dims + f] - V[j * dims + f];
+        s += d * d;
+      }
+      D[j] = s;
+    }
+    let beta = 1, lo = 0, hi = Infinity;
+    for (let tries = 0; tries < 50; tries++) {
+      let sum = 0, weighted = 0;
+      for (let j = 0; j < n; j++) {
+        row[j] = j === i ? 0 : Math.exp(-beta * D[j]);
+        sum += row[j];
+        weighted += row[j] * D[j];
+      }
+      // Shannon entropy of the row, in nats.
+      const H = sum > 0 ? Math.log(sum) + (beta * weighted) / sum : 0;
+      if (Math.abs(H - target) < 1e-5) break;
+      if (H > target) {
+        lo = beta;
+        beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+      } else {
+        hi = beta;
+        beta = (beta + lo) / 2;
+      }
+    }
+    let sum = 0;
+    for (let j = 0; j < n; j++) sum += row[j];
+    for (let j = 0; j < n; j++) P[i * n + j] = sum > 0 ? row[j] / sum : 0;
+    if ((i + 1) % YIELD_ROWS === 0) await nextTick();
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const p = Math.max((P[i * n + j] + P[j * n + i]) / (2 * n), 1e-12);
+      P[i * n + j] = P[j * n + i] = p;
+    }
+  }
+  return P;
+}
+
+/**
+ * 2-D layout by `method` ('pca' or 'tsne'); options go to tsne2d.
+ * @returns {Promise<{ coords: Float32Array, explained?: [number, number] }>}
+ */
+export async function projectVectors(vectors, dims, method = 'pca', options = {}) {
+  switch (method) {
+    case 'pca': return pca2d(vectors, dims, options);
+    case 'tsne': return tsne2d(vectors, dims, options);
+    default:
+      throw new Error(`Unknown projection "${method}". Known: ${PROJECTIONS.join(', ')}`);
+  }
+}
@@ -0,0 +1,224 @@
+/* recommender.mjs
+ * -----------------------------------------
+ * The Recommender interface every strategy implements:
+ *
+ *   await rec.fit(dataset)               learn from a Dataset (dataset.mjs)
+ *   rec.similarItems(itemId, k)          [{ itemId, title, score }] most similar movies
+ *   rec.recommendForUser(userId, k)      [{ itemId, title, score, predicted? }] unseen movies
+ *   rec.recommendFromBasket({ liked, disliked }, k, options)   several seeds at once
+ *   rec.explain(itemId, { anchors })     why `itemId` relates to the anchor movies
+ *
+ * Subclasses only have to provide similarity(aId, bId); the defaults below build
+ * similarItems, recommendForUser and explain on top of it. Model-based strategies override
+ * them with something faster or more principled (e.g. MF predictions for users).
+ */
+
+import { cosineSimilarity } from './similarity.mjs';
+import { normalizeTitle } from './search.mjs';
+import { selectTopK } from './top-k.mjs';
+
+export const LIKED_RATING = 4;
+const EXPLAIN_ANCHORS = 3;
+
+/**
+ * How a basket's similarities are combined into one score per candidate:
+ *   mean     mean similarity to the liked movies − w · mean similarity to the disliked ones
+ *   max      best similarity to any liked movie − w · best similarity to any disliked one
+ *   rocchio  cosine to the query vector centroid(liked) − w · centroid(disliked); needs a
+ *            strategy with item vectors (static aggregations includes it)
+ */
+export const AGGREGATIONS = ['mean', 'max', 'rocchio'];
+
+export const BASKET_DEFAULTS = {
+  aggregation: 'mean',
+  dislikeWeight: 0.5   // w above: how hard disliked movies push candidates down
+};
+
+/** Item ids a user liked (rating ≥ threshold); all rated items when none reach it. */
+export function likedItemIds(history, threshold = LIKED_RATING) {
+  const liked = history.filter(r => r.rating >= threshold);
+  return (liked.length ? liked : history).map(r => r.itemId);
+}
+
+/**
+ * Key under which catalog entries count as the same movie: normalized title plus year.
+ * MovieLens 100k lists some films twice under different ids.
+ */
+export function duplicateKey(movie) {
+  return `${normalizeTitle(movie.title)}|${movie.year ?? ''}`;
+}
+
+/**
+ * Highest-scoring k entries, ties broken by rating count so better-known titles win.
+ * A bounded heap (top-k.mjs) when k is smaller than the list; a full sort otherwise.
+ */
+export function rankTopK(scored, k, dataset) {
+  return selectTopK(scored, k, (a, b) => {
+    if (a.score !== b.score) return a.score - b.score;
+    return dataset.ratingCount(a.itemId) - dataset.ratingCount(b.itemId);
+  });
+}
+
+export class Recommender {
+  /** Stable id used by the strategy registry and the page's dropdown. */
+  static id = 'base';
+  static label = 'Recommender';
+  /** Basket aggregations this strategy supports; 'rocchio' needs itemVector(). */
+  static aggregations = ['mean', 'max'];
+
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.dataset = null;
+  }
+
+  get id() { return this.constructor.id; }
+  get label() { return this.constructor.label; }
+  get aggregations() { return this.constructor.aggregations; }
+
+  async fit(dataset) {
+    this.dataset = dataset;
+    return this;
+  }
+
+  requireFitted() {
+    if (!this.dataset) throw new Error(`${this.label}: call fit(dataset) first.`);
+    return this.dataset;
+  }
+
+  /** Similarity of two movies; higher is more similar. */
+  similarity(aId, bId) {
+    throw new Error(`${this.label} does not implement similarity().`);
+  }
+
+  /** Movie ids this strategy can score (default: the whole catalog). */
+  candidateIds() {
+    return this.requireFitted().movies.map(m => m.id);
+  }
+
+  similarItems(itemId, k = 10) {
+    const ds = this.requireFitted();
+    if (!ds.getMovie(itemId)) return [];
+
+    const scored = [];
+    for (const id of this.candidateIds()) {
+      if (id === itemId) continue;
+      scored.push({ itemId: id, title: ds.title(id), score: this.similarity(itemId, id) });
+    }
+    return rankTopK(scored, k, ds);
+  }
+
+  /** Default: mean similarity of each unseen movie to the movies the user liked. */
+  recommendForUser(userId, k = 10) {
+    const ds = this.requireFitted();
+    const history = ds.userRatings(userId);
+    if (!history.length) return [];
+
+    const anchors = likedItemIds(history);
+    const seen = new Set(history.map(r => r.itemId));
+    const scored = [];
+    for (const id of this.candidateIds()) {
+      if (seen.has(id)) continue;
+      let s = 0;
+      for (const a of anchors) s += this.similarity(a, id);
+      scored.push({ itemId: id, title: ds.title(id), score: s / anchors.length });
+    }
+    return rankTopK(scored, k, ds);
+  }
+
+  /** Vector representation of a movie for centroid (Rocchio) scoring; null when unknown. */
+  itemVector(itemId) {
+    return null;
+  }
+
+  /**
+   * Recommend from several seed movies: `liked` pull candidates up, `disliked` push them down
+   * (see AGGREGATIONS). The seeds and catalog duplicates of them (duplicateKey) are never returned.
+   * @param {{ liked: number[], disliked?: number[] }} basket
+   * @param {object} options  BASKET_DEFAULTS overrides
+   */
+  recommendFromBasket({ liked, disliked = [] }, k = 10, options = {}) {
+    const ds = this.requireFitted();
+    const { aggregation, dislikeWeight } = { ...BASKET_DEFAULTS, ...options };
+    if (!this.aggregations.includes(aggregation)) {
+      throw new Error(`${this.label} does not support "${aggregation}" aggregation. Supported: ${this.aggregations.join(', ')}`);
+    }
+    liked = liked.filter(id => ds.getMovie(id));
+    disliked = disliked.filter(id => ds.getMovie(id));
+    if (!liked.length) return [];
+
+    const excluded = new Set();
+    for (const id of [...liked, ...disliked]) excluded.add(duplicateKey(ds.getMovie(id)));
+
+    const score = aggregation === 'rocchio'
+      ? this.rocchioScorer(liked, disliked, dislikeWeight)
+      : this.aggregateScorer(liked, disliked, dislikeWeight, aggregation);
+    const scored = [];
+    for (const id of this.candidateIds()) {
+      const movie = ds.getMovie(id);
+      if (!movie || excluded.has(duplicateKey(movie))) continue;
+      scored.push({ itemId: id, title: movie.title, score: score(id) });
+    }
+    return rankTopK(scored, k, ds);
+  }
+
+  aggregateScorer(liked, disliked, weight, aggregation) {
+    const combine = aggregation === 'max'
+      ? (id, seeds) => Math.max(...seeds.map(s => this.similarity(s, id)))
+      : (id, seeds) => seeds.reduce((sum, s) => sum + this.similarity(s, id), 0) / seeds.length;
+    return (id) => combine(id, liked) - (disliked.length ? weight * combine(id, disliked) : 0);
+  }
+
+  rocchioScorer(liked, disliked, weight) {
+    const centroid = (ids) => {
+      const vectors = ids.map(id => this.itemVector(id)).filter(Boolean);
+      if (!vectors.length) return null;
+      const c = new Float64Array(vectors[0].length);
+      for (const v of vectors) for (let d = 0; d < c.length; d++) c[d] += v[d] / vectors.length;
+      return c;
+    };
+    const query = centroid(liked);
+    if (!query) return () => 0;
+    const negative = centroid(disliked);
+    if (negative) for (let d = 0; d < query.length; d++) query[d] -= weight * negative[d];
+    return (id) => {
+      const v = this.itemVector(id);
+      return v ? cosineSimilarity(query, v) : 0;
+    };
+  }
+
+  /** A user's liked movies: the anchors personalized results are explained against. */
+  anchorsForUser(userId) {
+    return likedItemIds(this.requireFitted().userRatings(userId));
+  }
+
+  /**
+   * Explain `itemId` against anchor movies (the seed, or a user's liked movies):
+   * nearest anchors by this strategy's similarity, shared genres, co-rating users.
+   */
+  explain(itemId, { anchors = [] } = {}) {
+    const ds = this.requireFitted();
+    const item = ds.getMovie(itemId);
+
+    const rows = [];
+    for (const aId of anchors) {
+      const anchor = ds.getMovie(aId);
+      if (aId === itemId || !anchor) continue;
+      rows.push({
+        itemId: aId,
+        title: anchor.title,
+        similarity: this.similarity(aId, itemId),
+        sharedGenres: item ? anchor.genres.filter(g => item.genres.includes(g)) : []
+      });
+    }
+    rows.sort((a, b) => b.similarity - a.similarity);
+    const nearest = rows.slice(0, EXPLAIN_ANCHORS);
+    for (const row of nearest) row.coRated = ds.coRatedCount(row.itemId, itemId);
+
+    return {
+      itemId,
+      anchors: nearest,
+      sharedGenres: nearest.length ? nearest[0].sharedGenres : [],
+      coRated: nearest.length ? nearest[0].coRated : 0
+    };
+  }
+}
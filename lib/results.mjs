@@ -0,0 +1,67 @@
+/* results.mjs
+ * -----------------------------------------
+ * Post-processing of ranked result lists: filters, re-sorting and pagination. Filters run on
+ * the full ranked list before it is cut into pages, so a strict filter shortens the list
+ * instead of leaving pages empty. Ask the recommender for every candidate (k = Infinity) and
+ * refine that.
+ *
+ *   filters: { genres, yearFrom, yearTo, minRatings, minAverage }
+ *   sort:    'score' (the strategy's own ranking) | 'popularity' | 'average'
+ */
+
+export const RESULT_SORTS = ['score', 'popularity', 'average'];
+
+export const RESULT_DEFAULTS = {
+  pageSize: 10,
+  sort: 'score'
+};
+
+/**
+ * Predicate over item ids for the given filters; unset filters pass everything.
+ *   genres      movie must have every one of these genres
+ *   yearFrom / yearTo   inclusive release year range (movies without a year fail either bound)
+ *   minRatings  minimum number of ratings
+ *   minAverage  minimum mean rating
+ */
+export function resultFilter(dataset, { genres = [], yearFrom = null, yearTo = null, minRatings = 0, minAverage = null } = {}) {
+  return (itemId) => {
+    const m = dataset.getMovie(itemId);
+    if (!m) return false;
+    if (genres.length && !genres.every(g => m.genres.includes(g))) return false;
+    if (yearFrom != null && !(m.year >= yearFrom)) return false;
+    if (yearTo != null && !(m.year <= yearTo)) return false;
+    if (minRatings > 0 && dataset.ratingCount(itemId) < minRatings) return false;
+    if (minAverage != null && !(dataset.averageRating(itemId) >= minAverage)) return false;
+    return true;
+  };
+}
+
+/**
+ * Filter and re-sort a ranked list ([{ itemId, score, ... }]). Sorting is stable, so ties keep
+ * the strategy's order; 'score' keeps it outright.
+ */
+export function refineResults(recs, dataset, { filters = {}, sort = 'score' } = {}) {
+  if (!RESULT_SORTS.includes(sort)) {
+    throw new Error(`Unknown sort "${sort}". Known: ${RESULT_SORTS.join(', ')}`);
+  }
+  const keep = resultFilter(dataset, filters);
+  const out = recs.filter(r => keep(r.itemId));
+  if (sort === 'popularity') {
+    out.sort((a, b) => dataset.ratingCount(b.itemId) - dataset.ratingCount(a.itemId));
+  } else if (sort === 'average') {
+    out.sort((a, b) => (dataset.averageRating(b.itemId) ?? 0) - (dataset.averageRating(a.itemId) ?? 0));
+  }
+  return out;
+}
+
+/**
+ * One page of a list. `page` is 1-based and clamped to the available pages.
+ * @returns {{ items, page, pages, total, start }} start is the 0-based index of items[0]
+ */
+export function paginate(list, page = 1, pageSize = RESULT_DEFAULTS.pageSize) {
+  const size = Math.max(1, Math.floor(pageSize));
+  const pages = Math.max(1, Math.ceil(list.length / size));
+  const p = Math.min(Math.max(1, Math.floor(page)), pages);
+  const start = (p - 1) * size;
+  return { items: list.slice(start, start + size), page: p, pages, total: list.length, start };
+}
@@ -0,0 +1,123 @@
+/* search.mjs
+ * -----------------------------------------
+ * Fuzzy title search over dataset movies, used by the movie picker. Titles are normalized
+ * first: lower case, accents and punctuation dropped, the year removed and a trailing article
+ * moved to the front ("Usual Suspects, The (1995)" → "the usual suspects").
+ *
+ * Matches are tiered so the obvious hit comes first:
+ *   substring of the title (earlier and at a word start is better)
+ *   every query word is the start of some title word ("emp strikes" → Empire Strikes Back)
+ *   every query word is within one typo of a title word (4+ letters only)
+ *   the query letters appear in order (subsequence, fewer gaps is better)
+ */
+
+const ARTICLE = /^(.*), (the|a|an|les|la|le|il|el|das|der|die)$/i;
+const keys = new WeakMap(); // movie -> normalized title
+
+/** Normalized form of a title for matching. */
+export function normalizeTitle(title) {
+  let t = String(title).replace(/\s*\(\d{4}\)\s*$/, '').trim();
+  const m = ARTICLE.exec(t);
+  if (m) t = `${m[2]} ${m[1]}`;
+  return normalizeQuery(t);
+}
+
+/** Normalized form of typed text: same rules as titles, without the article/year handling. */
+export function normalizeQuery(text) {
+  return String(text)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/** Whether the Levenshtein distance between a and b is at most `max` (stops early once it cannot be). */
+function withinEdits(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (row[j] < best) best = row[j];
+    }
+    if (best > max) return false;
+    prev = row;
+  }
+  return prev[b.length] <= max;
+}
+
+/**
+ * Score how well `query` (normalized) matches `title` (normalized); 0 means no match.
+ * Scores are comparable across titles for the same query only.
+ */
+export function fuzzyScore(query, title) {
+  if (!query) return 1;
+  const at = title.indexOf(query);
+  if (at >= 0) {
+    const wordStart = at === 0 || title[at - 1] === ' ';
+    return 400 + (wordStart ? 50 : 0) - Math.min(at, 40) + (title.length === query.length ? 20 : 0);
+  }
+
+  const words = title.split(' ');
+  const terms = query.split(' ');
+  if (terms.every(t => words.some(w => w.startsWith(t)))) return 300 - words.length;
+  const typo = (t, w) => t.length >= 4 && (withinEdits(t, w, 1) || withinEdits(t, w.slice(0, t.length), 1));
+  if (terms.every(t => words.some(w => w.startsWith(t) || typo(t, w)))) return 200 - words.length;
+
+  // Subsequence: every query letter in order; each skipped stretch lowers the score.
+  const letters = query.replace(/ /g, '');
+  let j = 0, gaps = 0, inGap = false;
+  for (let i = 0; i < title.length && j < letters.length; i++) {
+    if (title[i] === letters[j]) {
+      j++;
+      inGap = false;
+    } else if (title[i] !== ' ' && j > 0 && !inGap) {
+      gaps++;
+      inGap = true;
+    }
+  }
+  if (j < letters.length || gaps > Math.ceil(letters.length / 3)) return 0;
+  return 100 - gaps * 5 - Math.min(title.length, 40) / 10;
+}
+
+/**
+ * Search movies by title with optional filters.
+ * @param {Array} movies  dataset.movies
+ * @param {string} query  typed text; empty matches everything (ordered by title)
+ * @param {object} options
+ *   genres    movie must have every one of these genres
+ *   yearFrom / yearTo   inclusive release year range; movies without a year are excluded when set
+ *   exclude   Set of ids to leave out (e.g. already picked)
+ *   limit     maximum number of results (default 50)
+ * @returns {Array<{ movie, key, score }>} best first; key is the normalized title
+ */
+export function searchMovies(movies, query, { genres = [], yearFrom = null, yearTo = null, exclude = null, limit = 50 } = {}) {
+  const q = normalizeQuery(query);
+  const hits = [];
+  for (const movie of movies) {
+    if (exclude && exclude.has(movie.id)) continue;
+    if (genres.length && !genres.every(g => movie.genres.includes(g))) continue;
+    if (yearFrom != null && !(movie.year >= yearFrom)) continue;
+    if (yearTo != null && !(movie.year <= yearTo)) continue;
+    let key = keys.get(movie);
+    if (key === undefined) keys.set(movie, key = normalizeTitle(movie.title));
+    const score = fuzzyScore(q, key);
+    if (score > 0) hits.push({ movie, key, score });
+  }
+  hits.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+  return hits.slice(0, limit);
+}
+
+/** [min, max] release year over movies with a known year, or null when none have one. */
+export function yearRange(movies) {
+  let min = Infinity, max = -Infinity;
+  for (const m of movies) {
+    if (m.year == null) continue;
+    if (m.year < min) min = m.year;
+    if (m.year > max) max = m.year;
+  }
+  return min <= max ? [min, max] : null;
+}
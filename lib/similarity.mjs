@@ -0,0 +1,46 @@
+/* similarity.mjs
+ * -----------------------------------------
+ * Similarity measures and small vector helpers shared by the recommenders.
+ */
+
+export function dot(a, b) {
+  let s = 0;
+  for (let k = 0; k < a.length; k++) s += a[k] * b[k];
+  return s;
+}
+
+export function l2norm(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+/**
+ * Cosine similarity: dot(A, B) / (||A|| * ||B||); if either norm is 0 the similarity is 0.
+ * In [-1, 1]; in [0, 1] for non-negative vectors such as genre flags.
+ */
+export function cosineSimilarity(a, b) {
+  let d = 0, a2 = 0, b2 = 0;
+  for (let i = 0; i < a.length; i++) {
+    d += a[i] * b[i];
+    a2 += a[i] * a[i];
+    b2 += b[i] * b[i];
+  }
+  const denom = Math.sqrt(a2) * Math.sqrt(b2);
+  return denom === 0 ? 0 : d / denom;
+}
+
+/** Jaccard similarity |A ∩ B| / |A ∪ B| over two collections of labels; 0 when both are empty. */
+export function jaccardSimilarity(a, b) {
+  const setA = new Set(a), setB = new Set(b);
+  let inter = 0;
+  for (const x of setA) if (setB.has(x)) inter++;
+  const union = setA.size + setB.size - inter;
+  return union === 0 ? 0 : inter / union;
+}
+
+/** Copy of `v` scaled to unit length (all zeros stays all zeros). */
+export function normalize(v) {
+  const n = l2norm(v);
+  const out = new Float32Array(v.length);
+  if (n > 0) for (let k = 0; k < v.length; k++) out[k] = v[k] / n;
+  return out;
+}
@@ -0,0 +1,279 @@
+/* stream.mjs
+ * -----------------------------------------
+ * Streaming ratings parser: reads a ratings file chunk by chunk (fetch's response.body, a
+ * File/Blob stream, or a Node read stream), decodes it with a streaming TextDecoder and parses
+ * it line by line straight into typed columns. Neither the whole text nor an array of its
+ * lines is ever held in memory, and byte-level progress is reported as chunks arrive.
+ *
+ *   RatingColumns  { userIds: Int32Array, itemIds: Int32Array, ratings: Float32Array,
+ *                    timestamps: Uint32Array, length }
+ *
+ * Sampling (applied while reading, so skipped rows cost nothing):
+ *   { strategy: 'all' }                       every row
+ *   { strategy: 'first', limit }              the first `limit` rows; reading stops there
+ *   { strategy: 'uniform', limit, seed }      a uniform random `limit` rows (reservoir sampling)
+ *   { strategy: 'per-user', perUser }         at most `perUser` rows per user, in file order
+ */
+
+import { detectFormat, getFormat, sniffDelimited, guessColumnMapping, ratingLineParser } from './formats.mjs';
+import { DEFAULT_RATING_SCALE } from './dataset.mjs';
+import { RatingChecker } from './validation.mjs';
+import { mulberry32 } from './rng.mjs';
+
+export const SAMPLING_STRATEGIES = ['all', 'first', 'uniform', 'per-user'];
+
+const INITIAL_CAPACITY = 1 << 16;
+const DETECT_LINES = 20;
+
+/** Growable columnar store for rating rows. */
+export class RatingColumns {
+  constructor(capacity = INITIAL_CAPACITY) {
+    this.length = 0;
+    this.allocate(Math.max(1, capacity));
+  }
+
+  allocate(capacity) {
+    const grow = (Type, old) => {
+      const next = new Type(capacity);
+      if (old) next.set(old.subarray(0, this.length));
+      return next;
+    };
+    this.userIds = grow(Int32Array, this.userIds);
+    this.itemIds = grow(Int32Array, this.itemIds);
+    this.ratings = grow(Float32Array, this.ratings);
+    this.timestamps = grow(Uint32Array, this.timestamps);
+    this.capacity = capacity;
+  }
+
+  push(r) {
+    if (this.length === this.capacity) this.allocate(this.capacity * 2);
+    this.set(this.length++, r);
+  }
+
+  set(n, { userId, itemId, rating, timestamp }) {
+    this.userIds[n] = userId;
+    this.itemIds[n] = itemId;
+    this.ratings[n] = rating;
+    this.timestamps[n] = timestamp;
+  }
+
+  /** Row n as a plain rating object. */
+  get(n) {
+    return {
+      userId: this.userIds[n],
+      itemId: this.itemIds[n],
+      rating: this.ratings[n],
+      timestamp: this.timestamps[n]
+    };
+  }
+
+  /** Drop unused capacity. */
+  trim() {
+    if (this.capacity !== this.length) this.allocate(this.length);
+    return this;
+  }
+}
+
+/*** Byte sources ***/
+export function isNode() {
+  return typeof process !== 'undefined' && !!(process.versions && process.versions.node)
+    && typeof window === 'undefined';
+}
+
+async function* readerChunks(readable) {
+  const reader = readable.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // Runs on early exit too (e.g. 'first' sampling), so the download/read stops.
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Open a source as { chunks: AsyncIterable<Uint8Array>, total: bytes or 0 when unknown }.
+ * Sources: File/Blob, URL (browser) or file path (Node).
+ */
+export async function openByteStream(source) {
+  if (source && typeof source === 'object' && typeof source.stream === 'function') {
+    return { chunks: readerChunks(source.stream()), total: source.size || 0 };
+  }
+  if (isNode()) {
+    const { createReadStream } = await import('node:fs');
+    const { stat } = await import('node:fs/promises');
+    const { size } = await stat(source);
+    return { chunks: createReadStream(source), total: size };
+  }
+  const resp = await fetch(source);
+  if (!resp.ok) throw new Error(`Failed to load ${source} (${resp.status})`);
+  const total = Number(resp.headers.get('Content-Length')) || 0;
+  if (!resp.body) {
+    // No streaming body support: fall back to one chunk.
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+    return { chunks: [bytes], total: total || bytes.length };
+  }
+  return { chunks: readerChunks(resp.body), total };
+}
+
+/**
+ * Decode byte chunks into lines. Ratings files are numeric, so a non-fatal UTF-8 decoder is
+ * enough (it also reads ASCII and leaves Latin-1 bytes as U+FFFD in any text column).
+ * onChunk(bytesSoFar) is called after each chunk.
+ */
+export async function* decodeLines(chunks, onChunk) {
+  const decoder = new TextDecoder('utf-8');
+  let carry = '';
+  let loaded = 0;
+  for await (const chunk of chunks) {
+    loaded += chunk.byteLength;
+    const text = carry + decoder.decode(chunk, { stream: true });
+    const lines = text.split('\n');
+    carry = lines.pop();
+    for (const line of lines) yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    if (onChunk) onChunk(loaded);
+  }
+  const rest = carry + decoder.decode();
+  if (rest) yield rest.endsWith('\r') ? rest.slice(0, -1) : rest;
+}
+
+/*** Sampling ***/
+/* Rows go into `columns` only through the sampler, which tells `checker` which pairs it keeps. */
+function makeSampler(sample, columns, checker) {
+  const { strategy = 'all', limit = Infinity, perUser = Infinity, seed = 42 } = sample || {};
+  if (!SAMPLING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown sampling strategy "${strategy}". Known: ${SAMPLING_STRATEGIES.join(', ')}`);
+  }
+  const push = (r) => {
+    columns.push(r);
+    checker.keep(r.userId, r.itemId);
+  };
+  // Each sampler takes a parsed row and returns false once no further rows can be kept.
+  switch (strategy) {
+    case 'first':
+      return (r) => {
+        if (columns.length < limit) push(r);
+        return columns.length < limit;
+      };
+    case 'uniform': {
+      // Reservoir sampling (Algorithm R): after t rows each one is kept with probability limit / t.
+      const rng = mulberry32(seed);
+      let seen = 0;
+      return (r) => {
+        seen++;
+        if (columns.length < limit) push(r);
+        else {
+          const j = Math.floor(rng() * seen);
+          if (j < limit) {
+            checker.forget(columns.userIds[j], columns.itemIds[j]);
+            columns.set(j, r);
+            checker.keep(r.userId, r.itemId);
+          }
+        }
+        return true;
+      };
+    }
+    case 'per-user': {
+      const counts = new Map();
+      return (r) => {
+        const c = counts.get(r.userId) || 0;
+        if (c < perUser) {
+          counts.set(r.userId, c + 1);
+          push(r);
+        }
+        return true;
+      };
+    }
+    default:
+      return (r) => { push(r); return true; };
+  }
+}
+
+/**
+ * Stream a ratings source into RatingColumns.
+ * @param source   File/Blob, URL or file path
+ * @param {object} options
+ *   format      ratings format id/object from formats.mjs (detected from the first lines if omitted)
+ *   mapping     { delimiter, hasHeader, columns, scale? } for a file in no known format
+ *   sample      see the header; default every row
+ *   report      ValidationReport (validation.mjs) for line-level diagnostics; a row repeating
+ *               the (user, movie) of a row already kept is dropped either way, the report counts it
+ *   file        file name used in the report
+ *   knownItemIds  Set of movie ids; ratings for other ids are reported
+ *   onProgress({ loaded, total, rows }) after every chunk; total is 0 when unknown
+ * @returns {Promise<{ columns: RatingColumns, format: string, scale: [min, max], bytes: number, linesRead: number }>}
+ */
+export async function streamRatings(source, {
+  format = null, mapping = null, sample = null, report = null, file = 'ratings', knownItemIds = null, onProgress
+} = {}) {
+  const { chunks, total } = await openByteStream(source);
+  const columns = new RatingColumns(sample && Number.isFinite(sample.limit) ? Math.min(sample.limit, INITIAL_CAPACITY) : INITIAL_CAPACITY);
+
+  let loaded = 0;
+  let parse = null, skipHeader = false, formatId = null, scale = DEFAULT_RATING_SCALE;
+  let linesRead = 0;
+  const head = []; // [line, lineNumber] until the format is settled
+  const checker = new RatingChecker(report, file, knownItemIds);
+  const keep = makeSampler(sample, columns, checker);
+
+  // The mapping is settled from the first lines (detection needs a sample), then every line
+  // goes through the same parser.
+  const settle = () => {
+    let m = mapping;
+    if (!m) {
+      const detected = typeof format === 'string' ? getFormat(format) : format || detectFormat(headText(), 'ratings');
+      if (detected && detected.mapping) {
+        m = detected.mapping;
+        formatId = detected.id;
+      } else {
+        const sniffed = sniffDelimited(headText());
+        throw new Error(`Unrecognized ratings format (looks ${JSON.stringify(sniffed.delimiter)}-delimited, ` +
+          `columns guessed as ${JSON.stringify(guessColumnMapping(sniffed))}); pass a column mapping.`);
+      }
+    } else {
+      formatId = 'mapped';
+    }
+    parse = ratingLineParser(m, { report, file });
+    skipHeader = !!m.hasHeader;
+    if (m.scale) scale = m.scale;
+  };
+  const headText = () => head.map(([line]) => line).join('\n');
+
+  let more = true;
+  const consume = (line, n) => {
+    if (skipHeader) { skipHeader = false; return; }
+    const r = parse(line, n);
+    if (r && checker.check(n, r.userId, r.itemId)) more = keep(r);
+  };
+
+  const lines = decodeLines(chunks, (bytes) => {
+    loaded = bytes;
+    if (onProgress) onProgress({ loaded, total, rows: columns.length });
+  });
+  for await (const line of lines) {
+    linesRead++;
+    if (!line.trim()) continue;
+    if (!parse) {
+      head.push([line, linesRead]);
+      if (head.length < DETECT_LINES) continue;
+      settle();
+      for (const [h, n] of head) if (more) consume(h, n);
+    } else {
+      consume(line, linesRead);
+    }
+    if (!more) break;
+  }
+  if (!parse) {
+    // Short file: fewer lines than the detection sample.
+    if (!head.length) throw new Error("The ratings file is empty.");
+    settle();
+    for (const [h, n] of head) if (more) consume(h, n);
+  }
+
+  if (report) report.countLines(file, linesRead);
+  if (onProgress) onProgress({ loaded, total, rows: columns.length });
+  return { columns: columns.trim(), format: formatId, scale, bytes: loaded, linesRead };
+}
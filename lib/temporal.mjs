@@ -0,0 +1,135 @@
+/* temporal.mjs
+ * -----------------------------------------
+ * Time-aware helpers over rating timestamps (epoch seconds; 0 means "unknown" and is ignored
+ * when looking for the data's time range).
+ *
+ *   datasetAsOf      the dataset as it looked before a cutoff, to replay past recommendations
+ *   ratingWeights    exponential time decay 0.5^(age / halfLife) per rating, ages measured from
+ *                    the newest rating; MF training and k-NN scoring take `halfLifeDays`
+ *   userSessions     a user's rating history cut into sessions at gaps longer than `gapMinutes`
+ *   temporalSplit    train on everything before a point in time, test on what came after
+ */
+
+import { Dataset } from './dataset.mjs';
+import { RatingColumns } from './stream.mjs';
+
+export const DAY = 86400;
+
+export const SESSION_DEFAULTS = {
+  gapMinutes: 30,  // a longer pause starts a new session
+  sessions: 3      // most recent sessions returned
+};
+
+/** [earliest, latest] known timestamp, or null when no rating has one. */
+export function timeRange(dataset) {
+  let lo = Infinity, hi = -Infinity;
+  dataset.forEachRating((userId, itemId, rating, timestamp) => {
+    if (!timestamp) return;
+    if (timestamp < lo) lo = timestamp;
+    if (timestamp > hi) hi = timestamp;
+  });
+  return hi >= lo ? [lo, hi] : null;
+}
+
+/** Newest known timestamp; 0 when there is none. */
+export function latestTimestamp(dataset) {
+  const range = timeRange(dataset);
+  return range ? range[1] : 0;
+}
+
+/** Weight of a rating `now - timestamp` seconds old; 1 at age 0, ½ after halfLifeDays. */
+export function decayWeight(timestamp, now, halfLifeDays) {
+  return Math.pow(0.5, Math.max(0, now - timestamp) / (halfLifeDays * DAY));
+}
+
+/** decayWeight for a rating, except that undated ones (timestamp 0) count fully. */
+export function ratingWeight(timestamp, now, halfLifeDays) {
+  return timestamp ? decayWeight(timestamp, now, halfLifeDays) : 1;
+}
+
+/**
+ * Decay weight of every rating, indexed by row number (forEachRating's `n`); null when
+ * `halfLifeDays` is unset (no decay). Ratings without a timestamp count fully.
+ */
+export function ratingWeights(dataset, halfLifeDays) {
+  if (!(halfLifeDays > 0)) return null;
+  const now = latestTimestamp(dataset);
+  const weights = new Float32Array(dataset.numRatings);
+  dataset.forEachRating((userId, itemId, rating, timestamp, n) => {
+    weights[n] = ratingWeight(timestamp, now, halfLifeDays);
+  });
+  return weights;
+}
+
+/**
+ * The dataset restricted to ratings made before `cutoff` (epoch seconds); the catalog is kept
+ * whole. A null cutoff returns the dataset itself. The result remembers `asOf` and shares the
+ * original's validation report.
+ */
+export function datasetAsOf(dataset, cutoff) {
+  if (cutoff == null) return dataset;
+  let kept;
+  if (dataset.columns) {
+    // Stay columnar rather than building an object per rating of a streamed load.
+    kept = new RatingColumns(dataset.numRatings);
+    dataset.forEachRating((userId, itemId, rating, timestamp) => {
+      if (timestamp < cutoff) kept.push({ userId, itemId, rating, timestamp });
+    });
+    kept.trim();
+  } else {
+    kept = dataset.ratings.filter(r => r.timestamp < cutoff);
+  }
+  const ds = new Dataset(dataset.movies, kept, { scale: dataset.scale });
+  ds.asOf = cutoff;
+  ds.report = dataset.report;
+  return ds;
+}
+
+/**
+ * A user's most recent rating sessions, newest first:
+ * [{ start, end, ratings }] with each session's ratings newest first.
+ * @param {object} options  SESSION_DEFAULTS overrides
+ */
+export function userSessions(dataset, userId, options = {}) {
+  const { gapMinutes, sessions } = { ...SESSION_DEFAULTS, ...options };
+  const history = dataset.userRatings(userId).slice().sort((a, b) => b.timestamp - a.timestamp);
+  const out = [];
+  let current = null;
+  for (const r of history) {
+    if (!current || current.start - r.timestamp > gapMinutes * 60) {
+      if (out.length === sessions) break;
+      current = { start: r.timestamp, end: r.timestamp, ratings: [] };
+      out.push(current);
+    }
+    current.start = r.timestamp;
+    current.ratings.push(r);
+  }
+  return out;
+}
+
+/**
+ * Temporal train/test split: ratings ordered by time, the latest `testFraction` held out.
+ * Row numbers are sorted rather than rating objects, so a columnar dataset stays columnar.
+ * @returns {{ train: Dataset, test: Array, cutoff: number }} cutoff is the first test timestamp
+ */
+export function temporalSplit(dataset, { testFraction = 0.1 } = {}) {
+  if (!(testFraction > 0 && testFraction < 1)) throw new Error("testFraction must be between 0 and 1.");
+  const N = dataset.numRatings;
+  if (N < 2) throw new Error(`A temporal split needs at least 2 ratings (the dataset has ${N}).`);
+  const times = new Float64Array(N);
+  dataset.forEachRating((userId, itemId, rating, timestamp, n) => { times[n] = timestamp; });
+  const order = Uint32Array.from({ length: N }, (_, n) => n).sort((a, b) => times[a] - times[b] || a - b);
+  const at = Math.max(1, Math.min(N - 1, Math.round(N * (1 - testFraction))));
+
+  const { columns } = dataset;
+  let trainRatings;
+  if (columns) {
+    trainRatings = new RatingColumns(at);
+    for (let j = 0; j < at; j++) trainRatings.push(columns.get(order[j]));
+  } else {
+    trainRatings = Array.from(order.subarray(0, at), n => dataset.rows[n]);
+  }
+  const test = Array.from(order.subarray(at), n => columns ? columns.get(n) : dataset.rows[n]);
+  const train = new Dataset(dataset.movies, trainRatings, { scale: dataset.scale });
+  return { train, test, cutoff: times[order[at]] };
+}
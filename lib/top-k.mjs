@@ -0,0 +1,76 @@
+/* top-k.mjs
+ * -----------------------------------------
+ * Bounded selection of the k best entries of a stream, without sorting the whole stream:
+ * a min-heap of size k keyed by `better`, so each push is O(log k) and the result O(k log k).
+ */
+
+const byScore = (a, b) => a.score - b.score;
+
+export class TopK {
+  /**
+   * @param {number} k  entries kept (Infinity keeps everything)
+   * @param {(a, b) => number} compare  > 0 when a ranks above b (default: higher .score)
+   */
+  constructor(k, compare = byScore) {
+    this.k = k;
+    this.compare = compare;
+    this.heap = []; // heap[0] is the worst entry kept
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /** The entry a newcomer has to beat once the heap is full. */
+  peekWorst() {
+    return this.heap[0];
+  }
+
+  push(entry) {
+    const { heap, compare } = this;
+    if (this.k <= 0) return;
+    if (heap.length < this.k) {
+      heap.push(entry);
+      this.siftUp(heap.length - 1);
+    } else if (compare(entry, heap[0]) > 0) {
+      heap[0] = entry;
+      this.siftDown(0);
+    }
+  }
+
+  /** Kept entries, best first. */
+  sorted() {
+    return this.heap.slice().sort((a, b) => this.compare(b, a));
+  }
+
+  siftUp(n) {
+    const { heap, compare } = this;
+    while (n > 0) {
+      const parent = (n - 1) >> 1;
+      if (compare(heap[n], heap[parent]) >= 0) break;
+      [heap[n], heap[parent]] = [heap[parent], heap[n]];
+      n = parent;
+    }
+  }
+
+  siftDown(n) {
+    const { heap, compare } = this;
+    for (;;) {
+      const l = 2 * n + 1, r = l + 1;
+      let worst = n;
+      if (l < heap.length && compare(heap[l], heap[worst]) < 0) worst = l;
+      if (r < heap.length && compare(heap[r], heap[worst]) < 0) worst = r;
+      if (worst === n) return;
+      [heap[n], heap[worst]] = [heap[worst], heap[n]];
+      n = worst;
+    }
+  }
+}
+
+/** The k best of `entries`, best first; a full sort only when k covers them all. */
+export function selectTopK(entries, k, compare = byScore) {
+  if (k >= entries.length) return entries.slice().sort((a, b) => compare(b, a));
+  const top = new TopK(k, compare);
+  for (const e of entries) top.push(e);
+  return top.sorted();
+}
@@ -0,0 +1,165 @@
+/* validation.mjs
+ * -----------------------------------------
+ * Line-level diagnostics for dataset files. Parsers report every line they reject or
+ * repair to a ValidationReport instead of silently skipping it; the report keeps a count per
+ * issue and the first few offending line numbers.
+ *
+ * In strict mode the first error aborts parsing with a ValidationError naming the file and
+ * line. Warnings (e.g. suspicious title encoding) are only ever reported.
+ */
+
+const MAX_SAMPLES = 5;
+
+/** Issue codes → severity and a one-line description for the report. */
+export const ISSUES = {
+  'column-count':     { severity: 'error',   label: "Wrong number of columns" },
+  'genre-width':      { severity: 'error',   label: "Genre flags are not 19 values of 0/1" },
+  'bad-id':           { severity: 'error',   label: "Non-numeric id" },
+  'id-range':         { severity: 'error',   label: "Id is not a whole number from 0 to 2³¹−1" },
+  'missing-title':    { severity: 'error',   label: "Missing title" },
+  'duplicate-item':   { severity: 'error',   label: "Movie id defined more than once" },
+  'bad-rating':       { severity: 'error',   label: "Non-numeric rating" },
+  'rating-range':     { severity: 'error',   label: "Rating outside the star scale" },
+  'bad-timestamp':    { severity: 'warning', label: "Unreadable timestamp (stored as 0)" },
+  'timestamp-range':  { severity: 'warning', label: "Timestamp before 1970 or after 2106 (stored as 0)" },
+  'duplicate-rating': { severity: 'error',   label: "Duplicate (user, movie) rating" },
+  'unknown-item':     { severity: 'error',   label: "Rating for a movie id not in the movies file" },
+  'encoding':         { severity: 'warning', label: "Title looks mis-decoded (replacement or mojibake characters)" }
+};
+
+export class ValidationError extends Error {
+  constructor(message, issue) {
+    super(message);
+    this.name = 'ValidationError';
+    this.issue = issue;
+  }
+}
+
+export class ValidationReport {
+  /** @param {{ strict?: boolean }} options  strict: throw a ValidationError on the first error */
+  constructor({ strict = false } = {}) {
+    this.strict = strict;
+    this.issues = new Map(); // code -> { code, severity, label, count, samples: [{ file, line, detail }] }
+    this.lines = {};         // file -> lines read
+  }
+
+  /** Record one issue at `line` (1-based) of `file`. */
+  add(code, file, line, detail = '') {
+    const def = ISSUES[code];
+    if (!def) throw new Error(`Unknown validation issue "${code}".`);
+    if (this.strict && def.severity === 'error') {
+      throw new ValidationError(`${file} line ${line}: ${def.label}${detail ? ` (${detail})` : ''}`, { code, file, line, detail });
+    }
+    let entry = this.issues.get(code);
+    if (!entry) {
+      entry = { code, severity: def.severity, label: def.label, count: 0, samples: [] };
+      this.issues.set(code, entry);
+    }
+    entry.count++;
+    if (entry.samples.length < MAX_SAMPLES) entry.samples.push({ file, line, detail });
+  }
+
+  countLines(file, n) {
+    this.lines[file] = n;
+  }
+
+  get errorCount() {
+    let n = 0;
+    for (const e of this.issues.values()) if (e.severity === 'error') n += e.count;
+    return n;
+  }
+
+  get warningCount() {
+    let n = 0;
+    for (const e of this.issues.values()) if (e.severity === 'warning') n += e.count;
+    return n;
+  }
+
+  get ok() {
+    return this.issues.size === 0;
+  }
+
+  /** Issues in ISSUES order, errors first. */
+  entries() {
+    const order = Object.keys(ISSUES);
+    return [...this.issues.values()].sort((a, b) =>
+      (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || order.indexOf(a.code) - order.indexOf(b.code));
+  }
+
+  summary() {
+    if (this.ok) return "No problems found.";
+    return `${this.errorCount} error${this.errorCount === 1 ? '' : 's'}, ` +
+      `${this.warningCount} warning${this.warningCount === 1 ? '' : 's'}`;
+  }
+
+  toJSON() {
+    return { lines: this.lines, errors: this.errorCount, warnings: this.warningCount, issues: this.entries() };
+  }
+}
+
+/*** Checks shared by the parsers ***/
+const MOJIBAKE = /[\uFFFD\u0080-\u009F]|\u00C3[\u0080-\u00BF]|\u00C2[\u00A0-\u00BF]/;
+
+/** Replacement characters, C1 controls, or UTF-8 bytes read as Latin-1 ("Ã©" for "é"). */
+export function looksMisdecoded(text) {
+  return MOJIBAKE.test(text);
+}
+
+/** Range check for one rating; returns false (and reports) when it is unusable. */
+export function checkRating(report, file, line, rating, minRating, maxRating) {
+  if (!Number.isFinite(rating)) {
+    report.add('bad-rating', file, line);
+    return false;
+  }
+  if (rating < minRating || rating > maxRating) {
+    report.add('rating-range', file, line, String(rating));
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Tracks the (user, item) pairs of the ratings kept so far and checks new ones against them and
+ * the known movie ids. Pairs are stored as one Set of movie ids per user, so no single Set comes
+ * near V8's 2²⁴-entry limit on ML-25M-sized files. Duplicates are dropped with or without a
+ * report; `report` (may be null) only records them and unknown movie ids.
+ *
+ * Only kept ratings are tracked (keep() / forget()), so when a streamed file is sampled the
+ * check grows with the sample, not with the file.
+ */
+export class RatingChecker {
+  constructor(report, file, knownItemIds = null) {
+    this.report = report;
+    this.file = file;
+    this.known = knownItemIds;
+    this.itemsByUser = new Map(); // userId -> Set(itemId) of kept ratings
+    this.size = 0;                // pairs tracked
+  }
+
+  /** Returns false when the rating should be dropped (it duplicates a kept one). */
+  check(line, userId, itemId) {
+    const { report } = this;
+    if (report && this.known && !this.known.has(itemId)) report.add('unknown-item', this.file, line, `movie ${itemId}`);
+    const items = this.itemsByUser.get(userId);
+    if (items && items.has(itemId)) {
+      if (report) report.add('duplicate-rating', this.file, line, `user ${userId}, movie ${itemId}`);
+      return false;
+    }
+    return true;
+  }
+
+  /** Track a rating that was kept. */
+  keep(userId, itemId) {
+    let items = this.itemsByUser.get(userId);
+    if (!items) this.itemsByUser.set(userId, items = new Set());
+    if (!items.has(itemId)) { items.add(itemId); this.size++; }
+  }
+
+  /** Stop tracking a rating that was kept and later replaced (reservoir sampling). */
+  forget(userId, itemId) {
+    const items = this.itemsByUser.get(userId);
+    if (!items || !items.delete(itemId)) return;
+    this.size--;
+    if (!items.size) this.itemsByUser.delete(userId);
+  }
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseCommandLine, formatTable } from '../bin/recsys.mjs';
+import { ROOT, FIXTURES } from './helpers/fixtures.mjs';
+
+const DATA_ARGS = ['--items', `${FIXTURES}u.item`, '--ratings', `${FIXTURES}u.data`, '--quiet'];
+
+/* Run bin/recsys.mjs on the fixtures; resolves { code, stdout, stderr }. */
+function recsys(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [`${ROOT}bin/recsys.mjs`, ...args, ...DATA_ARGS], { timeout: 60000 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+  });
+}
+
+test('parseCommandLine splits the command, CLI options and camelCased strategy options', () => {
+  const { command, opts, strategyOptions } = parseCommandLine(
+    ['similar', '--item', '1', '--json', '--k=8', '--half-life-days', '30', '--shuffle', 'false', '--as-of', '1998-01-01']);
+  assert.equal(command, 'similar');
+  assert.deepEqual(opts, { item: '1', json: true, 'as-of': '1998-01-01' });
+  assert.deepEqual(strategyOptions, { k: 8, halfLifeDays: 30, shuffle: false });
+});
+
+test('parseCommandLine rejects stray arguments and options without a value', () => {
+  assert.throws(() => parseCommandLine(['similar', 'extra']), { name: 'UsageError', message: 'Unexpected argument "extra".' });
+  assert.throws(() => parseCommandLine(['train', '--epochs']), { name: 'UsageError', message: '--epochs needs a value.' });
+  assert.throws(() => parseCommandLine(['train', '--lr', '--json']), { name: 'UsageError' });
+});
+
+test('formatTable pads text left, numbers right and prints fractions with 4 decimals', () => {
+  const table = formatTable(
+    [{ rank: 1, title: 'Star Wars (1977)', score: 0.8333333 }, { rank: 10, title: 'Heat (1995)', score: 1 }],
+    [{ key: 'rank', label: '#' }, { key: 'title', label: 'Title' }, { key: 'score', label: 'Score' }]);
+  assert.equal(table, [
+    ' #  Title              Score',
+    '--  ----------------  ------',
+    ' 1  Star Wars (1977)  0.8333',
+    '10  Heat (1995)            1'
+  ].join('\n'));
+});
+
+test('similar prints JSON results for a movie given by title', async () => {
+  const { code, stdout } = await recsys('similar', '--item', 'empire strikes', '--algo', 'jaccard', '--n', '2', '--json');
+  assert.equal(code, 0);
+  const out = JSON.parse(stdout);
+  assert.equal(out.itemId, 172);
+  assert.deepEqual(out.results.map(r => r.itemId), [50, 181]);
+});
+
+test('usage errors exit with status 2 and a hint on stderr', async () => {
+  const { code, stdout, stderr } = await recsys('similar');
+  assert.equal(code, 2);
+  assert.equal(stdout, '');
+  assert.match(stderr, /--item is required/);
+  assert.equal((await recsys('train', '--algo', 'nope')).code, 2);
+});
+
+test('train --save writes a model that similar --model serves without retraining', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'recsys-'));
+  try {
+    const file = join(dir, 'model.json');
+    const trained = await recsys('train', '--algo', 'mf', '--k', '4', '--epochs', '5', '--save', file, '--json');
+    assert.equal(trained.code, 0);
+    assert.equal(JSON.parse(await readFile(file, 'utf8')).format, 'hse-recsys-model');
+
+    const fresh = await recsys('similar', '--item', '50', '--algo', 'mf', '--k', '4', '--epochs', '5', '--json');
+    const saved = await recsys('similar', '--item', '50', '--model', file, '--json');
+    assert.equal(saved.code, 0);
+    assert.deepEqual(JSON.parse(saved.stdout).results, JSON.parse(fresh.stdout).results);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dataset, loadDataset, parseDataset, temporalSplit, ratingWeights, evaluateRecommender, createRecommender } from '../lib/index.mjs';
+import { FIXTURES, fixtureDataset } from './helpers/fixtures.mjs';
+
+test('RMSE and MAE score predictions clamped to the star scale', async () => {
+  const train = fixtureDataset();
+  const test = [
+    { userId: 25, itemId: 1, rating: 5, timestamp: 0 },
+    { userId: 25, itemId: 2, rating: 1, timestamp: 0 },
+    { userId: 25, itemId: 3, rating: 3, timestamp: 0 }
+  ];
+  const raw = { 1: 6.5, 2: -1, 3: 4 }; // off the scale above and below, then 1 star too high
+  const stub = { predict: (userId, itemId) => raw[itemId], recommendForUser: () => [] };
+  const result = await evaluateRecommender(stub, { train, test });
+  assert.equal(result.predicted, 3);
+  assert.equal(result.rmse, Math.sqrt(1 / 3));
+  assert.equal(result.mae, 1 / 3);
+});
+
+test('predictions are clamped to the scale the ratings were loaded with', async () => {
+  const text = 'userId,movieId,rating,timestamp\n1,10,0.5,1\n1,20,4.5,2\n2,10,1.5,3\n';
+  const parsed = parseDataset({ ratingsText: text });
+  assert.deepEqual(parsed.scale, [0.5, 5]);
+  assert.deepEqual(fixtureDataset().scale, [1, 5]);
+  const mapped = parseDataset({ ratingsText: '1;10;8\n', mapping: { delimiter: ';', columns: { user: 0, item: 1, rating: 2 }, scale: [1, 10] } });
+  assert.deepEqual(mapped.scale, [1, 10]);
+  assert.deepEqual(temporalSplit(parsed, { testFraction: 0.5 }).train.scale, [0.5, 5]);
+
+  const stub = { predict: () => -2, recommendForUser: () => [] };
+  const { mae } = await evaluateRecommender(stub, { train: parsed, test: [{ userId: 1, itemId: 10, rating: 0.5, timestamp: 0 }] });
+  assert.equal(mae, 0);
+});
+
+test('temporalSplit holds out the latest ratings and keeps a streamed dataset columnar', async () => {
+  const ds = await loadDataset({ items: `${FIXTURES}u.item`, ratings: `${FIXTURES}u.data` });
+  const { train, test, cutoff } = temporalSplit(ds, { testFraction: 0.25 });
+  assert.ok(ds.columns && train.columns);
+  assert.equal(train.numRatings + test.length, 117);
+  assert.equal(test.length, 29);
+  train.forEachRating((userId, itemId, rating, timestamp) => assert.ok(timestamp <= cutoff));
+  assert.ok(test.every(r => r.timestamp >= cutoff));
+  assert.deepEqual(temporalSplit(fixtureDataset(), { testFraction: 0.25 }).test, test);
+
+  const one = new Dataset(ds.movies, [{ userId: 1, itemId: 50, rating: 5, timestamp: 0 }]);
+  assert.throws(() => temporalSplit(one), /needs at least 2 ratings \(the dataset has 1\)/);
+});
+
+test('k-NN with a half-life weighs ratings by row without building them all', async () => {
+  const ds = await loadDataset({ items: `${FIXTURES}u.item`, ratings: `${FIXTURES}u.data` });
+  for (const id of ['item-knn', 'user-knn']) {
+    const options = { halfLifeDays: 30, minSupport: 1 };
+    const streamed = await createRecommender(id, options).fit(ds);
+    const parsed = await createRecommender(id, options).fit(fixtureDataset());
+    assert.ok(ds.columns, id);
+    assert.ok(streamed.recommendForUser(25, 5).length > 0);
+    assert.deepEqual(streamed.recommendForUser(25, 5), parsed.recommendForUser(25, 5));
+    assert.equal(streamed.predict(25, 172), parsed.predict(25, 172));
+  }
+});
+
+test('undated ratings count fully in both Trending and rating weights', async () => {
+  const day = 86400;
+  const ratings = [
+    { userId: 1, itemId: 50, rating: 4, timestamp: 100 * day },
+    { userId: 2, itemId: 50, rating: 4, timestamp: 70 * day },
+    { userId: 1, itemId: 172, rating: 5, timestamp: 0 }
+  ];
+  const ds = new Dataset(fixtureDataset().movies, ratings);
+  assert.deepEqual([...ratingWeights(ds, 30)], [1, 0.5, 1]);
+  const trending = await createRecommender('trending', { halfLifeDays: 30 }).fit(ds);
+  assert.equal(trending.itemScore(50), 1.5);
+  assert.equal(trending.itemScore(172), 1);
+  assert.match(trending.describe(172), /1 of 1 ratings in the last 30 days/);
+});
@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  parseItems, parseRatings, detectFormat, getFormat, sniffDelimited, guessColumnMapping,
+  parseMappedRatings, splitCSVLine, parseDataset, loadDataset, datasetAsOf, parseYear, genreVector,
+  streamRatings, RatingChecker, createRecommender, ValidationReport, ValidationError
+} from '../lib/index.mjs';
+import { FIXTURES, fixture, fixtureDataset } from './helpers/fixtures.mjs';
+
+test('parseItems reads id, title, year, date, URL and the 18 genres after "unknown"', () => {
+  const movies = parseItems(fixture('u.item'));
+  assert.equal(movies.length, 9);
+  const toy = movies[0];
+  assert.equal(toy.id, 1);
+  assert.equal(toy.title, 'Toy Story (1995)');
+  assert.equal(toy.year, 1995);
+  assert.equal(toy.releaseDate, '01-Jan-1995');
+  assert.match(toy.imdbUrl, /^http:\/\/us\.imdb\.com\//);
+  assert.deepEqual(toy.genres, ["Animation", "Children's", "Comedy"]);
+  assert.deepEqual(toy.vector, genreVector(toy.genres));
+  const unknown = movies.find(m => m.id === 267);
+  assert.deepEqual(unknown.genres, []);
+  assert.equal(unknown.year, null);
+});
+
+test('parseYear prefers the title and falls back to the release date', () => {
+  assert.equal(parseYear('Heat (1995)'), 1995);
+  assert.equal(parseYear('Untitled', '14-Mar-1997'), 1997);
+  assert.equal(parseYear('unknown', ''), null);
+});
+
+test('parseRatings reads u.data triplets with timestamps', () => {
+  const ratings = parseRatings(fixture('u.data'));
+  assert.equal(ratings.length, 117);
+  assert.deepEqual(ratings[0], { userId: 25, itemId: 181, rating: 5, timestamp: 885853415 });
+  assert.ok(ratings.every(r => r.rating >= 1 && r.rating <= 5 && r.timestamp > 0));
+});
+
+test('malformed lines are skipped and reported with their line numbers', () => {
+  const report = new ValidationReport();
+  const items = fixture('u.item') + '300|No flags (1997)|01-Jan-1997\n1|Toy Story again (1995)|' + '|0'.repeat(21) + '\n';
+  const movies = parseItems(items, { report });
+  assert.equal(movies.length, 10); // the short line still has an id and a title
+  const ratings = parseRatings('1\t50\t5\t881250949\n1\t50\t4\t881250950\n2\tfifty\t4\t0\n3\t56\t9\t0\n4\t56\t3\tsoon\n', { report });
+  assert.deepEqual(ratings.map(r => [r.userId, r.itemId, r.rating, r.timestamp]), [[1, 50, 5, 881250949], [4, 56, 3, 0]]);
+
+  const codes = Object.fromEntries(report.entries().map(e => [e.code, e.samples.map(s => `${s.file}:${s.line}`)]));
+  assert.deepEqual(codes['column-count'], ['u.item:10']);
+  assert.deepEqual(codes['duplicate-item'], ['u.item:11']);
+  assert.deepEqual(codes['duplicate-rating'], ['u.data:2']);
+  assert.deepEqual(codes['bad-id'], ['u.data:3']);
+  assert.deepEqual(codes['rating-range'], ['u.data:4']);
+  assert.deepEqual(codes['bad-timestamp'], ['u.data:5']);
+  assert.equal(report.warningCount, 1);
+});
+
+test('duplicate (user, movie) ratings are dropped with or without a report', async () => {
+  const text = '1\t50\t5\t881250949\n1\t50\t4\t881250950\n2\t50\t3\t0\n';
+  const kept = [[1, 50, 5], [2, 50, 3]];
+  assert.deepEqual(parseRatings(text).map(r => [r.userId, r.itemId, r.rating]), kept);
+
+  const dir = await mkdtemp(join(tmpdir(), 'recsys-'));
+  try {
+    await writeFile(join(dir, 'u.data'), text);
+    const { columns } = await streamRatings(join(dir, 'u.data'));
+    assert.deepEqual(Array.from({ length: columns.length }, (_, n) => {
+      const r = columns.get(n);
+      return [r.userId, r.itemId, r.rating];
+    }), kept);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the duplicate check only tracks the rows sampling keeps', async () => {
+  // 40 users x 50 movies, every rating listed twice.
+  const lines = [];
+  for (let u = 1; u <= 40; u++) for (let i = 1; i <= 50; i++) lines.push(`${u}\t${i}\t3\t0`);
+  const dir = await mkdtemp(join(tmpdir(), 'recsys-'));
+  const { keep } = RatingChecker.prototype;
+  let tracked = 0;
+  RatingChecker.prototype.keep = function (...args) {
+    keep.apply(this, args);
+    tracked = Math.max(tracked, this.size);
+  };
+  try {
+    await writeFile(join(dir, 'u.data'), lines.concat(lines).join('\n'));
+    for (const [sample, rows] of [[{ strategy: 'uniform', limit: 20, seed: 3 }, 20], [{ strategy: 'per-user', perUser: 2 }, 80]]) {
+      tracked = 0;
+      const { columns } = await streamRatings(join(dir, 'u.data'), { sample });
+      assert.equal(columns.length, rows);
+      assert.equal(tracked, rows);
+      const pairs = new Set(Array.from({ length: rows }, (_, n) => `${columns.userIds[n]}:${columns.itemIds[n]}`));
+      assert.equal(pairs.size, rows);
+    }
+  } finally {
+    RatingChecker.prototype.keep = keep;
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('ids and timestamps that the typed columns cannot hold are rejected or reported, not wrapped', async () => {
+  const report = new ValidationReport();
+  const text = '1\t50\t5\t881250949\n2.5\t50\t4\t0\n3\t4294967346\t4\t0\n-4\t50\t3\t0\n' +
+    '5\t50\t2\t-86400\n6\t50\t1\t5000000000\n';
+  const ratings = parseRatings(text, { report });
+  assert.deepEqual(ratings.map(r => [r.userId, r.itemId, r.timestamp]), [[1, 50, 881250949], [5, 50, 0], [6, 50, 0]]);
+  const codes = Object.fromEntries(report.entries().map(e => [e.code, e.samples.map(s => s.line)]));
+  assert.deepEqual(codes['id-range'], [2, 3, 4]);
+  assert.deepEqual(codes['timestamp-range'], [5, 6]);
+
+  const dir = await mkdtemp(join(tmpdir(), 'recsys-'));
+  try {
+    await writeFile(join(dir, 'u.data'), text);
+    const { columns } = await streamRatings(join(dir, 'u.data'));
+    assert.deepEqual([...columns.userIds], [1, 5, 6]);
+    assert.deepEqual([...columns.timestamps], [881250949, 0, 0]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('strict mode stops at the first error with its file and line', () => {
+  const report = new ValidationReport({ strict: true });
+  assert.throws(() => parseRatings('1\t50\t5\t0\n2\t50\t6\t0\n', { report }), (err) => {
+    assert.ok(err instanceof ValidationError);
+    assert.match(err.message, /^u\.data line 2: Rating outside the star scale/);
+    return true;
+  });
+});
+
+test('detectFormat recognizes the MovieLens layouts', () => {
+  assert.equal(detectFormat(fixture('u.item')).id, 'ml-100k-items');
+  assert.equal(detectFormat(fixture('u.data')).id, 'ml-100k-ratings');
+  assert.equal(detectFormat('1::Toy Story (1995)::Animation|Children\'s|Comedy\n').id, 'ml-1m-movies');
+  assert.equal(detectFormat('1::1193::5::978300760\n1::661::3::978302109\n').id, 'ml-1m-ratings');
+  assert.equal(detectFormat('movieId,title,genres\n1,Toy Story (1995),Adventure|Animation\n').id, 'ml-latest-movies');
+  assert.equal(detectFormat('userId,movieId,rating,timestamp\n1,1,4.0,964982703\n').id, 'ml-latest-ratings');
+  assert.equal(detectFormat('just some prose\nnothing tabular here\n'), null);
+  assert.throws(() => getFormat('nope'), /Unknown dataset format "nope"/);
+});
+
+test('the 1M and latest movie parsers read genre lists, quoted titles included', () => {
+  const [dat] = getFormat('ml-1m-movies').parse('1::Toy Story (1995)::Animation|Children\'s|Comedy\n');
+  assert.deepEqual(dat.genres, ["Animation", "Children's", "Comedy"]);
+  assert.equal(dat.year, 1995);
+  const csv = getFormat('ml-latest-movies').parse('movieId,title,genres\n11,"American President, The (1995)",Comedy|Drama|Romance\n12,Heat (1995),(no genres listed)\n');
+  assert.equal(csv[0].title, 'American President, The (1995)');
+  assert.deepEqual(csv[0].genres, ['Comedy', 'Drama', 'Romance']);
+  assert.deepEqual(csv[1].genres, []);
+  assert.deepEqual(splitCSVLine('a,"b, ""c""",d'), ['a', 'b, "c"', 'd']);
+});
+
+test('sniffDelimited and guessColumnMapping handle an arbitrary ratings export', () => {
+  const text = 'stars;customer;film;when\n4;7;50;2001-09-09\n2;8;56;2001-09-10\n';
+  const sniffed = sniffDelimited(text);
+  assert.equal(sniffed.delimiter, ';');
+  assert.deepEqual(sniffed.header, ['stars', 'customer', 'film', 'when']);
+  const columns = guessColumnMapping(sniffed);
+  assert.deepEqual(columns, { user: 1, item: 2, rating: 0, timestamp: 3 });
+  const ratings = parseMappedRatings(text, { delimiter: ';', hasHeader: true, columns });
+  assert.deepEqual(ratings[0], { userId: 7, itemId: 50, rating: 4, timestamp: Date.parse('2001-09-09') / 1000 });
+});
+
+test('parseDataset indexes users and rated items in first-seen order', () => {
+  const ds = fixtureDataset();
+  assert.ok(ds.report.ok);
+  assert.equal(ds.userIds.length, 32);
+  assert.deepEqual(ds.itemIds.slice(0, 3), [181, 2, 98]);
+  assert.equal(ds.itemIndex.get(181), 0);
+  assert.equal(ds.ratingCount(50), 25);
+  assert.equal(ds.ratingCount(267), 0);
+  assert.equal(ds.averageRating(267), null);
+  assert.equal(ds.ratingHistogram(50).reduce((a, b) => a + b), 25);
+  assert.equal(ds.coRatedCount(50, 172), ds.coRatedCount(172, 50));
+});
+
+test('parseDataset flags, but keeps, ratings of movies missing from the movies file', () => {
+  const ds = parseDataset({ itemsText: fixture('u.item'), ratingsText: '1\t50\t5\t0\n1\t9999\t4\t0\n', names: { ratings: 'u.data' } });
+  assert.equal(ds.ratings.length, 2);
+  assert.deepEqual(ds.report.entries().map(e => [e.code, e.samples[0].line]), [['unknown-item', 2]]);
+  assert.equal(ds.title(9999), 'Item 9999');
+  const ratingsOnly = parseDataset({ ratingsText: '1\t9999\t4\t0\n' });
+  assert.equal(ratingsOnly.title(9999), ratingsOnly.movies[0].title);
+});
+
+test('a streamed load keeps its ratings in columns until every row is asked for', async () => {
+  const ds = await loadDataset({ items: `${FIXTURES}u.item`, ratings: `${FIXTURES}u.data` });
+  const parsed = fixtureDataset();
+  assert.ok(ds.columns);
+  assert.equal(ds.numRatings, 117);
+  assert.deepEqual(ds.itemIds, parsed.itemIds);
+  assert.equal(ds.averageRating(50), parsed.averageRating(50));
+
+  const rec = await createRecommender('funk-svd', { k: 4, epochs: 5 }).fit(ds);
+  const fresh = await createRecommender('funk-svd', { k: 4, epochs: 5 }).fit(parsed);
+  assert.deepEqual(rec.recommendForUser(25, 3), fresh.recommendForUser(25, 3));
+  assert.equal(ds.userRatingCount(25), parsed.userRatings(25).length);
+  assert.equal(ds.rows.filter(Boolean).length, ds.userRatingCount(25)); // only user 25's rows built
+  assert.equal(datasetAsOf(ds, 880000000).numRatings, datasetAsOf(parsed, 880000000).numRatings);
+
+  const rows = ds.ratings;
+  assert.equal(ds.columns, null);
+  assert.deepEqual(rows, parsed.ratings);
+  assert.equal(ds.userRatings(25)[0], rows.find(r => r.userId === 25)); // the same objects
+});
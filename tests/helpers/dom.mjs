@@ -0,0 +1,220 @@
+/* dom.mjs
+ * -----------------------------------------
+ * A small simulated DOM for the tests: enough of Element, <select>/<option> and document for
+ * the apps' rendering code (createElement, appendChild, textContent, innerHTML = '',
+ * classList, attributes, events), with no browser and no dependencies. Not a general DOM:
+ * innerHTML only clears, and querySelectorAll understands `tag`, `.class` and `#id`.
+ */
+
+export class Element {
+  constructor(tagName, ownerDocument = null) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.children = [];
+    this.parentNode = null;
+    this.attributes = {};
+    this.style = {};
+    this.dataset = {};
+    this.listeners = {};
+    this.id = '';
+    this.className = '';
+    this.hidden = false;
+    this.disabled = false;
+    this.ownText = '';
+  }
+
+  get classList() {
+    const el = this;
+    const names = () => el.className.split(/\s+/).filter(Boolean);
+    return {
+      add: (...cs) => { el.className = [...new Set([...names(), ...cs])].join(' '); },
+      remove: (...cs) => { el.className = names().filter(c => !cs.includes(c)).join(' '); },
+      toggle: (c, force) => {
+        const on = force === undefined ? !names().includes(c) : !!force;
+        if (on) el.classList.add(c); else el.classList.remove(c);
+        return on;
+      },
+      contains: (c) => names().includes(c)
+    };
+  }
+
+  get textContent() {
+    return this.ownText + this.children.map(c => c.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.children.forEach(c => { c.parentNode = null; });
+    this.children = [];
+    this.ownText = String(text);
+  }
+
+  /** Only clearing is supported: `el.innerHTML = ''`. */
+  set innerHTML(html) {
+    if (html !== '') throw new Error("The test DOM only supports clearing innerHTML.");
+    this.textContent = '';
+  }
+
+  get innerHTML() {
+    throw new Error("The test DOM cannot serialize innerHTML.");
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    this.children.push(child);
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter(c => c !== child);
+    child.parentNode = null;
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  setAttribute(name, value) { this.attributes[name] = String(value); }
+  getAttribute(name) { return this.attributes[name] ?? null; }
+  removeAttribute(name) { delete this.attributes[name]; }
+
+  addEventListener(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+  }
+
+  dispatchEvent(event) {
+    event.target ||= this;
+    event.preventDefault ||= () => {};
+    for (const fn of this.listeners[event.type] || []) fn(event);
+    return true;
+  }
+
+  click() {
+    this.dispatchEvent({ type: 'click' });
+  }
+
+  focus() {
+    if (this.ownerDocument) this.ownerDocument.activeElement = this;
+  }
+
+  /** Every descendant, depth first. */
+  *descendants() {
+    for (const c of this.children) {
+      yield c;
+      yield* c.descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const match = selector.startsWith('.') ? (el) => el.classList.contains(selector.slice(1))
+      : selector.startsWith('#') ? (el) => el.id === selector.slice(1)
+        : (el) => el.tagName === selector.toUpperCase();
+    return [...this.descendants()].filter(match);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+/** <option>: value defaults to its text, like the real thing. */
+export class OptionElement extends Element {
+  constructor(ownerDocument, text = '', value) {
+    super('option', ownerDocument);
+    this.ownText = text;
+    if (value !== undefined) this.value = value;
+    this.selected = false;
+  }
+
+  get value() { return this._value ?? this.textContent; }
+  set value(v) { this._value = String(v); }
+}
+
+/** <select>: value is the selected option's (the first one's when none is selected). */
+export class SelectElement extends Element {
+  constructor(ownerDocument) {
+    super('select', ownerDocument);
+  }
+
+  get options() {
+    return this.children.filter(c => c instanceof OptionElement);
+  }
+
+  get selectedIndex() {
+    const opts = this.options;
+    const n = opts.findIndex(o => o.selected);
+    return n >= 0 ? n : opts.length ? 0 : -1;
+  }
+
+  get value() {
+    const opt = this.options[this.selectedIndex];
+    return opt ? opt.value : '';
+  }
+
+  set value(v) {
+    for (const o of this.options) o.selected = o.value === String(v);
+  }
+
+  /** HTMLSelectElement.remove(index) removes an option; without an index, the element. */
+  remove(index) {
+    if (index === undefined) return super.remove();
+    const opt = this.options[index];
+    if (opt) this.removeChild(opt);
+  }
+}
+
+/** Form controls keep a plain value. */
+export class InputElement extends Element {
+  constructor(tagName, ownerDocument) {
+    super(tagName, ownerDocument);
+    this.value = '';
+    this.checked = false;
+  }
+}
+
+export class Document {
+  constructor() {
+    this.body = new Element('body', this);
+    this.activeElement = null;
+  }
+
+  createElement(tagName) {
+    switch (tagName.toLowerCase()) {
+      case 'select': return new SelectElement(this);
+      case 'option': return new OptionElement(this);
+      case 'input':
+      case 'textarea': return new InputElement(tagName, this);
+      default: return new Element(tagName, this);
+    }
+  }
+
+  getElementById(id) {
+    for (const el of this.body.descendants()) if (el.id === id) return el;
+    return null;
+  }
+
+  /**
+   * Add elements by id under <body>, e.g. { result: 'p', 'movie-select': 'select' }.
+   * @returns {object} id -> element
+   */
+  build(spec) {
+    const out = {};
+    for (const [id, tagName] of Object.entries(spec)) {
+      const el = this.createElement(tagName);
+      el.id = id;
+      this.body.appendChild(el);
+      out[id] = el;
+    }
+    return out;
+  }
+}
+
+/** A fresh document plus an Option constructor bound to it. */
+export function createDOM() {
+  const document = new Document();
+  const Option = function (text = '', value) {
+    return new OptionElement(document, text, value);
+  };
+  return { document, Option };
+}
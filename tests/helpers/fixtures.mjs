@@ -0,0 +1,28 @@
+/* fixtures.mjs
+ * -----------------------------------------
+ * The MovieLens 100k fragments in tests/fixtures: nine real u.item lines (ids 1, 2, 50, 56, 64,
+ * 98, 172, 181 and 267, the "unknown" one without genres) and 117 real u.data ratings of them
+ * by 32 users. Small enough to reason about by hand, real enough to have ties and gaps.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseDataset } from '../../lib/index.mjs';
+
+export const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+export const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/** Text of a fixture file, e.g. fixture('u.item'). */
+export function fixture(name) {
+  return readFileSync(`${FIXTURES}${name}`, 'utf8');
+}
+
+/** The fixtures as a lib Dataset, with its validation report. */
+export function fixtureDataset(options = {}) {
+  return parseDataset({
+    itemsText: fixture('u.item'),
+    ratingsText: fixture('u.data'),
+    names: { items: 'u.item', ratings: 'u.data' },
+    ...options
+  });
+}
@@ -0,0 +1,95 @@
+/* legacy.mjs
+ * -----------------------------------------
+ * Runs the per-assignment apps (week2/, hwweek2/, hw3/) under Node. They are classic browser
+ * scripts sharing one global scope, so each app gets a fresh vm context with the simulated
+ * DOM (dom.mjs), fetch() answering from tests/fixtures, and optionally a seeded Math.random.
+ * Top-level `let`/`const` bindings are not properties of the global object; read them with
+ * app.global('movies'). Objects made inside an app have that context's Array/Object
+ * prototypes, so compare them with assert.deepStrictEqual through host().
+ */
+
+import vm from 'node:vm';
+import { readFileSync } from 'node:fs';
+import { createDOM } from './dom.mjs';
+import { ROOT, fixture } from './fixtures.mjs';
+import { mulberry32 } from '../../lib/rng.mjs';
+
+export { fixture };
+
+/** A copy of a value from an app's context, built from this realm's prototypes. */
+export function host(value) {
+  return structuredClone(value);
+}
+
+/* fetch('u.item') and friends, served from the fixtures. */
+async function fixtureFetch(url) {
+  try {
+    const text = fixture(String(url).split('/').pop());
+    return { ok: true, status: 200, text: async () => text };
+  } catch {
+    return { ok: false, status: 404, text: async () => '' };
+  }
+}
+
+/* Replace the context's own Math.random, so "random" initialization repeats. */
+function seedRandom(context, seed) {
+  vm.runInContext('Math', context).random = mulberry32(seed);
+}
+
+/**
+ * @param {string} dir  app folder, e.g. 'week2'
+ * @param {string[]} files  its scripts, in <script> order
+ * @param {object} options
+ *   elements  { id: tagName } created under <body> before the scripts run
+ *   seed      seed for Math.random (default: left alone)
+ *   Worker    Worker constructor visible to the scripts (see simulatedWorker)
+ * @returns {{ context, document, els, global(expr) }}
+ */
+export function loadLegacyApp(dir, files, { elements = {}, seed = null, Worker } = {}) {
+  const { document, Option } = createDOM();
+  const els = document.build(elements);
+  const listeners = {};
+  const context = {
+    console, document, Option, setTimeout, clearTimeout, fetch: fixtureFetch, TextEncoder, TextDecoder,
+    addEventListener: (type, fn) => (listeners[type] ||= []).push(fn),
+    listeners
+  };
+  if (Worker) context.Worker = Worker;
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+  if (seed != null) seedRandom(context, seed);
+  for (const file of files) {
+    const code = readFileSync(`${ROOT}${dir}/${file}`, 'utf8');
+    vm.runInContext(code, context, { filename: `${dir}/${file}` });
+  }
+  return { context, document, els, global: (expr) => vm.runInContext(expr, context) };
+}
+
+/**
+ * A Worker class that runs `<dir>/<script>` in its own vm context on this thread; messages
+ * go both ways on the next macrotask, like postMessage. Math.random in the worker is seeded.
+ */
+export function simulatedWorker(dir, seed) {
+  return class SimulatedWorker {
+    constructor(url) {
+      const scope = {
+        console, setTimeout, clearTimeout,
+        postMessage: (data) => setTimeout(() => this.onmessage && this.onmessage({ data }), 0)
+      };
+      scope.self = scope;
+      vm.createContext(scope);
+      seedRandom(scope, seed);
+      vm.runInContext(readFileSync(`${ROOT}${dir}/${url}`, 'utf8'), scope, { filename: `${dir}/${url}` });
+      this.scope = scope;
+      this.onmessage = null;
+      this.onerror = null;
+    }
+
+    postMessage(data) {
+      setTimeout(() => this.scope.onmessage({ data }), 0);
+    }
+
+    terminate() {}
+  };
+}
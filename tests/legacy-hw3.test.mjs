@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLegacyApp, simulatedWorker, fixture, host } from './helpers/legacy.mjs';
+
+const ELEMENTS = {
+  status: 'div', 'movie-select': 'select', 'user-select': 'select',
+  'result-box': 'div', result: 'p', recommendations: 'ul'
+};
+const PARAMS = { k: 4, epochs: 30, lr: 0.02, reg: 0.02, lrDecay: 1, shuffle: true };
+
+/* data.js + script.js with mf-worker.js on a simulated, seeded Worker. */
+function hw3(seed = 7) {
+  const app = loadLegacyApp('hw3', ['data.js', 'script.js'], {
+    elements: ELEMENTS, seed, Worker: simulatedWorker('hw3', seed)
+  });
+  app.context.parseItemData(fixture('u.item'));
+  app.context.parseRatingData(fixture('u.data'));
+  return app;
+}
+
+/* Train through trainMF() and collect the per-epoch training RMSE reported in #status. */
+async function train(app, params = PARAMS) {
+  const rmse = [];
+  app.context.setStatus = (msg) => {
+    const m = /RMSE ≈ ([\d.]+)/.exec(msg);
+    if (m) rmse.push(Number(m[1]));
+  };
+  assert.equal(await app.context.trainMF({ ...params }), true);
+  return rmse;
+}
+
+test('parseItemData reads genres from the flags after "unknown"', () => {
+  const app = hw3();
+  const movies = app.global('movies');
+  assert.equal(movies.length, 9);
+  assert.deepEqual(host(movies.find(m => m.id === 98).genres), ['Drama', 'Thriller']);
+  assert.deepEqual(host(movies.find(m => m.id === 267).genres), []);
+});
+
+test('parseRatingData assigns dense user and item indices in first-seen order', () => {
+  const app = hw3();
+  assert.equal(app.global('ratings').length, 117);
+  const items = app.global('itemIdToIndex');
+  const users = app.global('userIdToIndex');
+  assert.equal(items.size, 8);
+  assert.equal(users.size, 32);
+  assert.equal(items.get(181), 0);
+  assert.equal(users.get(25), 0);
+  assert.deepEqual([...items.values()].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(items.has(267), false); // in u.item, never rated
+});
+
+test('parseRatingData skips malformed lines', () => {
+  const app = hw3();
+  app.context.parseRatingData('1\t50\t5\t881250949\nnot a rating\n2\t50\n\n3\tx\t4\t0\n4\t56\t3');
+  assert.deepEqual(host(app.global('ratings')), [
+    { userId: 1, itemId: 50, rating: 5, timestamp: 881250949 },
+    { userId: 4, itemId: 56, rating: 3, timestamp: 0 }
+  ]);
+});
+
+test('Funk-SVD training in the worker lowers the training RMSE (seeded)', async () => {
+  const app = hw3();
+  const rmse = await train(app);
+  assert.equal(rmse.length, PARAMS.epochs);
+  assert.ok(rmse.at(-1) < rmse[0] * 0.8, `RMSE went from ${rmse[0]} to ${rmse.at(-1)}`);
+  for (let e = 1; e < rmse.length; e++) {
+    assert.ok(rmse[e] <= rmse[e - 1] + 1e-3, `epoch ${e + 1} RMSE rose: ${rmse[e - 1]} -> ${rmse[e]}`);
+  }
+  const { predictRating } = app.context;
+  for (const u of [0, 5, 31]) {
+    for (let i = 0; i < 8; i++) assert.ok(Number.isFinite(predictRating(u, i)));
+  }
+});
+
+test('the same seed trains the same model; another seed does not', async () => {
+  const a = hw3(7), b = hw3(7), c = hw3(8);
+  const [ra, rb, rc] = [await train(a), await train(b), await train(c)];
+  assert.deepEqual(ra, rb);
+  assert.deepEqual([...a.global('Q')[0]], [...b.global('Q')[0]]);
+  assert.notDeepEqual([...a.global('Q')[0]], [...c.global('Q')[0]]);
+  assert.notDeepEqual(ra, rc);
+});
+
+test('topKSimilarItems ranks every other rated movie by cosine of unit item factors', async () => {
+  const app = hw3();
+  await train(app);
+  const sims = app.context.topKSimilarItems(50, 10);
+  assert.equal(sims.length, 7);
+  assert.ok(sims.every(s => s.itemId !== 50 && s.sim >= -1 - 1e-6 && s.sim <= 1 + 1e-6));
+  for (let n = 1; n < sims.length; n++) assert.ok(sims[n - 1].sim >= sims[n].sim);
+  assert.equal(sims.find(s => s.itemId === 172).title, 'Empire Strikes Back, The (1980)');
+  assert.deepEqual(host(app.context.topKSimilarItems(267, 5)), []);
+});
+
+test('renderRecommendations shows each similarity as a colored badge plus the palette legend', () => {
+  const app = hw3();
+  app.context.renderRecommendations('Star Wars (1977)', [
+    { itemId: 181, title: 'Return of the Jedi (1983)', sim: 0.93 },
+    { itemId: 56, title: 'Pulp Fiction (1994)', sim: -0.5 }
+  ]);
+  assert.equal(app.els.result.textContent, 'Movies similar to “Star Wars (1977)” (MF latent-space cosine):');
+  const items = app.els.recommendations.children;
+  assert.deepEqual(items.map(li => li.children[0].textContent), ['Return of the Jedi (1983)', 'Pulp Fiction (1994)']);
+  const [high, low] = items.map(li => li.querySelector('.badge'));
+  assert.equal(high.textContent, '0.930');
+  assert.equal(high.style.color, 'hsl(115.8, 90%, 60%)');
+  assert.equal(low.style.color, 'hsl(30.0, 90%, 60%)');
+  assert.ok(parseFloat(high.style.fontSize) > parseFloat(low.style.fontSize));
+  assert.equal(app.document.getElementById('legend').parentNode, app.els['result-box']);
+
+  // An empty result clears the list and the legend.
+  app.context.renderRecommendations('Star Wars (1977)', []);
+  assert.equal(app.els.recommendations.children.length, 0);
+  assert.equal(app.els.result.textContent, 'No recommendations available for this title (insufficient training data).');
+  assert.equal(app.document.getElementById('legend'), null);
+});
+
+test('renderUserRecommendations shows predicted ratings as stars', () => {
+  const app = hw3();
+  app.context.renderUserRecommendations('Top picks for user 25:', [
+    { itemId: 64, title: 'Shawshank Redemption, The (1994)', predicted: 4.62 }
+  ]);
+  assert.equal(app.els.result.textContent, 'Top picks for user 25:');
+  const badge = app.els.recommendations.querySelector('.badge');
+  assert.equal(badge.textContent, '★★★★★ 4.62');
+  assert.equal(badge.title, 'Predicted rating: 4.62 / 5');
+});
+
+test('model files round-trip and are rejected when their version or array lengths are wrong', async () => {
+  const app = loadLegacyApp('hw3', ['data.js', 'script.js', 'model-store.js'], {
+    elements: ELEMENTS, seed: 7, Worker: simulatedWorker('hw3', 7)
+  });
+  app.context.parseItemData(fixture('u.item'));
+  app.context.parseRatingData(fixture('u.data'));
+  await train(app, { ...PARAMS, epochs: 5 });
+  const { snapshotServedModel, encodeModelBinary, decodeModelBinary, modelFromSnapshot } = app.context;
+  const snap = snapshotServedModel();
+  const buf = encodeModelBinary(snap);
+  assert.deepEqual([...decodeModelBinary(buf).Q], [...snap.Q]);
+  modelFromSnapshot(decodeModelBinary(buf));
+
+  const future = buf.slice(0);
+  new Uint8Array(future)[5] = 2;
+  assert.throws(() => decodeModelBinary(future), /v2 is newer/);
+  new Uint8Array(future)[5] = 0;
+  assert.throws(() => decodeModelBinary(future), /Unknown model format version 0/);
+  assert.throws(() => modelFromSnapshot({ ...snap, version: 0 }), /Unknown model format version 0/);
+
+  assert.throws(() => modelFromSnapshot({ ...snap, P: snap.P.subarray(1) }), /P has \d+ values, expected \d+/);
+  assert.throws(() => modelFromSnapshot({ ...snap, bi: snap.bi.subarray(1) }), /bi has 7 values, expected 8/);
+  assert.throws(() => modelFromSnapshot({ ...snap, k: snap.k + 1 }), /expected/);
+  assert.throws(() => modelFromSnapshot({ ...snap, numUsers: 3 }), /lists 32 users but its header says 3/);
+});
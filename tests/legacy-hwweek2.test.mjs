@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLegacyApp, fixture, host } from './helpers/legacy.mjs';
+import { mulberry32 } from '../lib/rng.mjs';
+
+const ELEMENTS = { spinner: 'div', 'movie-select': 'select', result: 'p', recommendations: 'ul' };
+
+function hwweek2() {
+  const app = loadLegacyApp('hwweek2', ['data.js', 'script.js'], { elements: ELEMENTS });
+  app.context.parseItemData(fixture('u.item'));
+  app.context.parseRatingData(fixture('u.data'));
+  return app;
+}
+
+const randomGenreVector = (rand) => Array.from({ length: 18 }, () => (rand() < 0.25 ? 1 : 0));
+
+test('parseItemData builds the 18-flag genre vector next to the genre names', () => {
+  const app = hwweek2();
+  const star = host(app.context.getMovieById(50));
+  assert.equal(star.title, 'Star Wars (1977)');
+  assert.equal(star.vector.length, 18);
+  assert.deepEqual(star.genres, ['Action', 'Adventure', 'Romance', 'Sci-Fi', 'War']);
+  assert.deepEqual(star.vector, [1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 1, 0]);
+  assert.deepEqual(host(app.context.getMovieById(267).vector), new Array(18).fill(0));
+});
+
+test('parseRatingData counts ratings per movie', () => {
+  const app = hwweek2();
+  assert.equal(app.global('ratings').length, 117);
+  assert.equal(app.context.getRatingsCount(50), 25);
+  assert.equal(app.context.getRatingsCount(267), 0);
+});
+
+test('cosineSimilarity is 0 when either vector has no genres', () => {
+  const { cosineSimilarity } = hwweek2().context;
+  const zero = new Array(18).fill(0);
+  assert.equal(cosineSimilarity(zero, zero), 0);
+  const drama = zero.map((_, g) => (g === 7 ? 1 : 0));
+  assert.equal(cosineSimilarity(zero, drama), 0);
+  assert.equal(cosineSimilarity(drama, zero), 0);
+});
+
+test('cosineSimilarity is symmetric, within [-1, 1] and 1 on itself (seeded property test)', () => {
+  const { cosineSimilarity } = hwweek2().context;
+  const rand = mulberry32(2024);
+  for (let trial = 0; trial < 500; trial++) {
+    const a = randomGenreVector(rand), b = randomGenreVector(rand);
+    const ab = cosineSimilarity(a, b);
+    assert.equal(ab, cosineSimilarity(b, a));
+    assert.ok(ab >= -1 && ab <= 1, `cosine ${ab} out of range`);
+    if (a.some(Boolean)) assert.ok(Math.abs(cosineSimilarity(a, a) - 1) < 1e-12);
+  }
+  // Real-valued vectors can point away from each other.
+  for (let trial = 0; trial < 200; trial++) {
+    const a = Array.from({ length: 18 }, () => rand() * 2 - 1);
+    const b = Array.from({ length: 18 }, () => rand() * 2 - 1);
+    const ab = cosineSimilarity(a, b);
+    assert.ok(ab >= -1 - 1e-12 && ab <= 1 + 1e-12, `cosine ${ab} out of range`);
+    assert.ok(Math.abs(cosineSimilarity(a, a.map(x => -x)) + 1) < 1e-12);
+  }
+});
+
+test('populateMoviesDropdown adds a disabled placeholder and every movie by title', () => {
+  const app = hwweek2();
+  const select = app.els['movie-select'];
+  app.context.populateMoviesDropdown();
+  app.context.populateMoviesDropdown(); // it clears the list first
+  const [placeholder, ...options] = select.options;
+  assert.equal(options.length, 9);
+  assert.equal(placeholder.textContent, '— Choose a movie —');
+  assert.ok(placeholder.disabled);
+  assert.equal(select.value, '');
+  const titles = options.map(o => o.textContent);
+  assert.deepEqual(titles, [...titles].sort((a, b) => a.localeCompare(b)));
+  assert.equal(options.find(o => o.value === '64').textContent, 'Shawshank Redemption, The (1994)');
+});
+
+test('getRecommendations renders the top two by cosine, ties broken by rating count', async () => {
+  const app = hwweek2();
+  app.context.populateMoviesDropdown();
+  app.els['movie-select'].value = '172';
+  await app.context.getRecommendations();
+
+  assert.equal(app.els.result.textContent, 'Because you liked "Empire Strikes Back, The (1980)", we recommend:');
+  assert.ok(!app.els.spinner.classList.contains('show'));
+  const items = app.els.recommendations.querySelectorAll('.recommendation-item');
+  // Star Wars and Return of the Jedi share 5 of Empire's 6 genres: 5 / sqrt(6 * 5) ≈ 0.91.
+  // Star Wars has 25 ratings in the fixture, Jedi 16.
+  assert.deepEqual(items.map(li => li.querySelector('.recommendation-title').textContent),
+    ['Star Wars (1977)', 'Return of the Jedi (1983)']);
+  assert.deepEqual(items.map(li => li.querySelector('.similarity-score').textContent), ['0.91', '0.91']);
+  assert.equal(items[0].querySelector('.genres').textContent, 'Action, Adventure, Romance, Sci-Fi, War');
+
+  const why = items[0].querySelector('.why');
+  assert.equal(why.querySelector('summary').textContent, 'Why this?');
+  const lines = why.querySelectorAll('li').map(li => li.textContent);
+  assert.equal(lines[0], 'Because you liked "Empire Strikes Back, The (1980)" (genre cosine 0.91)');
+  assert.equal(lines[1], 'Shares genres: Action, Adventure, Romance, Sci-Fi, War');
+  assert.equal(lines[2], `Co-rated by ${app.context.getCoRatedCount(172, 50)} users`);
+});
+
+test('getRecommendations says so when no movie shares a genre', async () => {
+  const app = hwweek2();
+  app.context.populateMoviesDropdown();
+  app.els['movie-select'].value = '267';
+  await app.context.getRecommendations();
+  assert.equal(app.els.result.textContent, 'Because you liked "unknown", we couldn\'t find similar movies by genre.');
+  assert.equal(app.els.recommendations.children.length, 0);
+});
+
+test('getRecommendations asks for a movie when only the placeholder is selected', async () => {
+  const app = hwweek2();
+  app.context.populateMoviesDropdown();
+  await app.context.getRecommendations();
+  assert.equal(app.els.result.textContent, 'Please choose a movie first.');
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLegacyApp, fixture, host } from './helpers/legacy.mjs';
+
+const ELEMENTS = { 'movie-select': 'select', result: 'p', recommendations: 'ul' };
+
+function week2() {
+  const app = loadLegacyApp('week2', ['data.js', 'script.js'], { elements: ELEMENTS });
+  app.context.parseItemData(fixture('u.item'));
+  app.context.parseRatingData(fixture('u.data'));
+  return app;
+}
+
+const movie = (app, id) => host(app.global('movies').find(m => m.id === id));
+
+test('parseItemData maps the 18 genre flags after "unknown" to genre names', () => {
+  const app = week2();
+  assert.equal(app.global('movies').length, 9);
+  assert.deepEqual(movie(app, 1).genres, ["Animation", "Children's", "Comedy"]);
+  assert.deepEqual(movie(app, 50).genres, ["Action", "Adventure", "Romance", "Sci-Fi", "War"]);
+  assert.deepEqual(movie(app, 98).genres, ["Drama", "Thriller"]);
+  // Only the "unknown" flag set: no genres at all.
+  assert.deepEqual(movie(app, 267).genres, []);
+});
+
+test('parseItemData skips blank and short lines', () => {
+  const app = loadLegacyApp('week2', ['data.js', 'script.js'], { elements: ELEMENTS });
+  app.context.parseItemData('\n1|Toy Story (1995)|01-Jan-1995\n\n7|Twelve Monkeys (1995)|01-Jan-1995||url|0|0|0|0|0|0|0|0|1|0|0|0|0|0|0|1|0|0|0\n');
+  const movies = app.global('movies');
+  assert.equal(movies.length, 1);
+  assert.deepEqual(host(movies[0].genres), ["Drama", "Sci-Fi"]);
+});
+
+test('parseRatingData reads user, item, rating and timestamp', () => {
+  const app = week2();
+  const ratings = app.global('ratings');
+  assert.equal(ratings.length, 117);
+  assert.deepEqual(host(ratings[0]), { userId: 25, itemId: 181, rating: 5, timestamp: 885853415 });
+});
+
+test('getCoRatedCount counts users who rated both movies', () => {
+  const app = week2();
+  const raters = (id) => new Set(app.global('ratings').filter(r => r.itemId === id).map(r => r.userId));
+  const a = raters(50), b = raters(172);
+  const expected = [...a].filter(u => b.has(u)).length;
+  assert.ok(expected > 0);
+  assert.equal(app.context.getCoRatedCount(50, 172), expected);
+  assert.equal(app.context.getCoRatedCount(172, 50), expected);
+  assert.equal(app.context.getCoRatedCount(50, 267), 0);
+
+  // Ratings parsed after the first lookup are counted too.
+  app.context.parseRatingData('9001\t50\t4\t0\n9001\t267\t3\t0\n');
+  assert.equal(app.context.getCoRatedCount(50, 267), 1);
+});
+
+test('populateMoviesDropdown keeps the placeholder and lists movies by title', () => {
+  const app = week2();
+  const select = app.els['movie-select'];
+  select.appendChild(new app.context.Option('-- Select a movie --', ''));
+  app.context.populateMoviesDropdown();
+  app.context.populateMoviesDropdown(); // repopulating does not duplicate
+  const options = select.options;
+  assert.equal(options.length, 10);
+  assert.equal(options[0].textContent, '-- Select a movie --');
+  const titles = options.slice(1).map(o => o.textContent);
+  assert.deepEqual(titles, [...titles].sort((a, b) => a.localeCompare(b)));
+  assert.equal(options[1].textContent, 'Empire Strikes Back, The (1980)');
+  assert.equal(Number(options[1].value), 172);
+});
+
+test('getRecommendations ranks by genre Jaccard and renders the top two with explanations', async () => {
+  const app = week2();
+  app.context.populateMoviesDropdown();
+  app.els['movie-select'].value = '172';
+  app.context.getRecommendations();
+  assert.equal(app.els.result.textContent, 'Calculating recommendations...');
+  await new Promise(res => setTimeout(res, 150)); // the app computes after a 100 ms timeout
+
+  assert.equal(app.els.result.textContent, 'Because you liked "Empire Strikes Back, The (1980)", we recommend:');
+  const items = app.els.recommendations.children;
+  assert.equal(items.length, 2);
+  // Empire is Action|Adventure|Drama|Romance|Sci-Fi|War; Star Wars shares 5 of 6, Jedi 5 of 6.
+  const titles = items.map(li => li.querySelector('.recommendation-title').textContent);
+  assert.deepEqual(titles.sort(), [
+    'Return of the Jedi (1983) (Jaccard 0.83)',
+    'Star Wars (1977) (Jaccard 0.83)'
+  ]);
+  const reasons = items[0].querySelectorAll('li').map(li => li.textContent);
+  assert.equal(reasons[0], 'Because you liked "Empire Strikes Back, The (1980)"');
+  assert.match(reasons[1], /^Shares genres: /);
+  assert.match(reasons[2], /^Co-rated by \d+ users?$/);
+});
+
+test('getRecommendations asks for a movie when none is selected', () => {
+  const app = week2();
+  app.context.getRecommendations();
+  assert.equal(app.els.result.textContent, 'Please select a movie first.');
+  assert.equal(app.els.result.className, 'error');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Dataset, placeholderMovies, createRecommender, mulberry32 } from '../lib/index.mjs';
+import { fixtureDataset } from './helpers/fixtures.mjs';
+
+/*
+ * 60 users x 40 movies whose ratings come from rank-2 tastes, r = 3 + 1.5 · u · v clamped to
+ * 1..5, with about half of the pairs observed. A factorization should explain them well.
+ */
+function lowRankDataset(seed = 5) {
+  const rand = mulberry32(seed);
+  const unit = () => { const a = rand() * 2 * Math.PI; return [Math.cos(a), Math.sin(a)]; };
+  const users = Array.from({ length: 60 }, unit), items = Array.from({ length: 40 }, unit);
+  const ratings = [];
+  users.forEach(([a, b], u) => items.forEach(([c, d], i) => {
+    if (rand() < 0.5) {
+      const rating = Math.min(5, Math.max(1, Math.round(3 + 1.5 * (a * c + b * d))));
+      ratings.push({ userId: u + 1, itemId: i + 1, rating, timestamp: 0 });
+    }
+  }));
+  return new Dataset(placeholderMovies(ratings.map(r => r.itemId)), ratings);
+}
+
+/* Fit and collect what onProgress reported per epoch under `key` (rmse or loss). */
+async function fitWithProgress(id, options, key, dataset = lowRankDataset()) {
+  const trace = [];
+  const rec = createRecommender(id, { ...options, onProgress: (p) => trace.push(p[key]) });
+  await rec.fit(dataset);
+  return { rec, trace };
+}
+
+function assertDecreasing(trace, slack = 1e-6) {
+  for (let e = 1; e < trace.length; e++) {
+    assert.ok(trace[e] <= trace[e - 1] + slack, `epoch ${e + 1} went up: ${trace[e - 1]} -> ${trace[e]}`);
+  }
+}
+
+test('Funk-SVD: training RMSE falls every epoch and ends well below the spread of the ratings', async () => {
+  const { trace } = await fitWithProgress('funk-svd', { k: 4, epochs: 40, lr: 0.02, reg: 0.02, seed: 1 }, 'rmse');
+  assert.equal(trace.length, 40);
+  assertDecreasing(trace);
+  assert.ok(trace.at(-1) < 0.5, `final RMSE ${trace.at(-1)}`);
+  assert.ok(trace.at(-1) < trace[0] * 0.5);
+});
+
+test('Funk-SVD: the same seed gives the same run, another seed a different one', async () => {
+  const options = { k: 4, epochs: 10, lr: 0.02, reg: 0.02 };
+  const a = await fitWithProgress('funk-svd', { ...options, seed: 3 }, 'rmse');
+  const b = await fitWithProgress('funk-svd', { ...options, seed: 3 }, 'rmse');
+  const c = await fitWithProgress('funk-svd', { ...options, seed: 4 }, 'rmse');
+  assert.deepEqual(a.trace, b.trace);
+  assert.deepEqual(a.rec.model.Q, b.rec.model.Q);
+  assert.deepEqual(a.rec.similarItems(1, 5), b.rec.similarItems(1, 5));
+  assert.notDeepEqual(a.trace, c.trace);
+});
+
+test('ALS: training RMSE falls every iteration (seeded)', async () => {
+  const { trace } = await fitWithProgress('als', { k: 4, iterations: 10, reg: 0.05, seed: 1 }, 'rmse');
+  assertDecreasing(trace);
+  assert.ok(trace.at(-1) < 0.5, `final RMSE ${trace.at(-1)}`);
+});
+
+test('implicit ALS and BPR: loss goes down (seeded)', async () => {
+  const implicit = await fitWithProgress('implicit-als', { k: 4, iterations: 8, seed: 1 }, 'loss');
+  assertDecreasing(implicit.trace);
+  const bpr = await fitWithProgress('bpr', { k: 8, epochs: 30, seed: 1 }, 'loss');
+  assert.ok(bpr.trace.at(-1) < bpr.trace[0] * 0.9, `BPR loss went from ${bpr.trace[0]} to ${bpr.trace.at(-1)}`);
+});
+
+test('predictions fit the training ratings; recommendations stay on the star scale', async () => {
+  const ds = lowRankDataset();
+  const { rec } = await fitWithProgress('funk-svd', { k: 4, epochs: 40, lr: 0.02, reg: 0.02, seed: 1 }, 'rmse', ds);
+  let sq = 0;
+  for (const r of ds.ratings) sq += (rec.predict(r.userId, r.itemId) - r.rating) ** 2;
+  assert.ok(Math.sqrt(sq / ds.ratings.length) < 0.5);
+  assert.equal(rec.predict(999, 1), null);
+  for (const r of rec.recommendForUser(1, 5)) assert.ok(r.predicted >= 1 && r.predicted <= 5);
+});
+
+test('exportModel / restore round-trips the factors and rejects other ratings', async () => {
+  const ds = fixtureDataset();
+  const trained = await createRecommender('funk-svd', { k: 4, epochs: 5, seed: 9 }).fit(ds);
+  const saved = JSON.parse(JSON.stringify(trained.exportModel()));
+  const restored = await createRecommender('funk-svd').restore(fixtureDataset(), saved);
+  assert.deepEqual(restored.similarItems(50, 5), trained.similarItems(50, 5));
+  assert.equal(restored.predict(25, 50), trained.predict(25, 50));
+
+  await assert.rejects(() => createRecommender('funk-svd').restore(lowRankDataset(), saved),
+    /trained on different ratings/);
+});
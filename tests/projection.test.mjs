@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectVectors, TSNE_DEFAULTS, mulberry32 } from '../lib/index.mjs';
+
+test('t-SNE lays out small inputs and refuses more than maxItems', async () => {
+  const rand = mulberry32(4);
+  const V = Float32Array.from({ length: 100 * 3 }, () => rand());
+  const { coords } = await projectVectors(V, 3, 'tsne', { iterations: 20 });
+  assert.equal(coords.length, 200);
+  assert.ok(coords.every(Number.isFinite));
+
+  assert.equal(TSNE_DEFAULTS.maxItems, 3000);
+  await assert.rejects(() => projectVectors(V, 3, 'tsne', { maxItems: 99 }), /limited to 99 movies \(got 100\); use PCA/);
+  assert.equal((await projectVectors(V, 3, 'pca')).coords.length, 200);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cosineSimilarity, jaccardSimilarity, normalize, l2norm, mulberry32, GENRES_18, createRecommender
+} from '../lib/index.mjs';
+import { fixtureDataset } from './helpers/fixtures.mjs';
+
+const EPS = 1e-9;
+const TRIALS = 500;
+
+const randomVector = (rand, dims, lo = -1) => Array.from({ length: dims }, () => lo + rand() * (1 - lo));
+const randomGenres = (rand) => GENRES_18.filter(() => rand() < 0.2);
+
+test('cosineSimilarity: hand-checked values and the zero-norm rule', () => {
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.ok(Math.abs(cosineSimilarity([1, 1], [2, 2]) - 1) < EPS);
+  assert.ok(Math.abs(cosineSimilarity([1, 2], [-1, -2]) + 1) < EPS);
+  assert.ok(Math.abs(cosineSimilarity([1, 1, 0], [1, 0, 0]) - Math.SQRT1_2) < EPS);
+  assert.equal(cosineSimilarity([0, 0, 0], [1, 2, 3]), 0);
+  assert.equal(cosineSimilarity([0, 0, 0], [0, 0, 0]), 0);
+});
+
+test('cosineSimilarity is symmetric, in [-1, 1] and scale-invariant (seeded property test)', () => {
+  const rand = mulberry32(11);
+  for (let trial = 0; trial < TRIALS; trial++) {
+    const dims = 1 + ((rand() * 30) | 0);
+    const a = randomVector(rand, dims), b = randomVector(rand, dims);
+    const ab = cosineSimilarity(a, b);
+    assert.equal(ab, cosineSimilarity(b, a));
+    assert.ok(ab >= -1 - EPS && ab <= 1 + EPS, `cosine ${ab} out of range`);
+    const scale = 0.1 + rand() * 10;
+    assert.ok(Math.abs(cosineSimilarity(a.map(x => x * scale), b) - ab) < 1e-9);
+  }
+});
+
+test('cosineSimilarity of non-negative vectors is in [0, 1] (seeded property test)', () => {
+  const rand = mulberry32(12);
+  for (let trial = 0; trial < TRIALS; trial++) {
+    const a = randomVector(rand, 18, 0), b = randomVector(rand, 18, 0);
+    const ab = cosineSimilarity(a, b);
+    assert.ok(ab >= 0 && ab <= 1 + EPS, `cosine ${ab} out of range`);
+  }
+});
+
+test('normalize gives unit vectors whose dot product is the cosine', () => {
+  const rand = mulberry32(13);
+  for (let trial = 0; trial < 100; trial++) {
+    const a = randomVector(rand, 8), b = randomVector(rand, 8);
+    const na = normalize(a), nb = normalize(b);
+    assert.ok(Math.abs(l2norm(na) - 1) < 1e-6);
+    let d = 0;
+    for (let f = 0; f < 8; f++) d += na[f] * nb[f];
+    assert.ok(Math.abs(d - cosineSimilarity(a, b)) < 1e-6);
+  }
+  assert.deepEqual([...normalize([0, 0])], [0, 0]);
+});
+
+test('jaccardSimilarity: hand-checked values, duplicates and empty sets', () => {
+  assert.equal(jaccardSimilarity(['Action', 'War'], ['War', 'Action']), 1);
+  assert.equal(jaccardSimilarity(['Action', 'Comedy'], ['Action', 'Drama']), 1 / 3);
+  assert.equal(jaccardSimilarity(['Action'], ['Drama']), 0);
+  assert.equal(jaccardSimilarity(['Action', 'Action'], ['Action']), 1);
+  assert.equal(jaccardSimilarity([], ['Drama']), 0);
+  assert.equal(jaccardSimilarity([], []), 0);
+});
+
+test('jaccardSimilarity is symmetric, in [0, 1] and 1 on itself (seeded property test)', () => {
+  const rand = mulberry32(14);
+  for (let trial = 0; trial < TRIALS; trial++) {
+    const a = randomGenres(rand), b = randomGenres(rand);
+    const ab = jaccardSimilarity(a, b);
+    assert.equal(ab, jaccardSimilarity(b, a));
+    assert.ok(ab >= 0 && ab <= 1, `Jaccard ${ab} out of range`);
+    if (a.length) assert.equal(jaccardSimilarity(a, a), 1);
+  }
+});
+
+/* Every pair of fixture movies through a fitted strategy's similarity(). */
+async function checkStrategySimilarity(id, options, [lo, hi]) {
+  const ds = fixtureDataset();
+  const rec = await createRecommender(id, options).fit(ds);
+  const ids = ds.movies.map(m => m.id);
+  for (const a of ids) {
+    for (const b of ids) {
+      const ab = rec.similarity(a, b);
+      assert.ok(Math.abs(ab - rec.similarity(b, a)) < 1e-6, `${id}: sim(${a}, ${b}) is not symmetric`);
+      assert.ok(ab >= lo - 1e-6 && ab <= hi + 1e-6, `${id}: sim(${a}, ${b}) = ${ab} out of range`);
+    }
+  }
+  return rec;
+}
+
+test('strategy similarities are symmetric and within their range on the fixtures', async () => {
+  const jaccard = await checkStrategySimilarity('jaccard', {}, [0, 1]);
+  assert.equal(jaccard.similarity(172, 50), 5 / 6);
+  assert.equal(jaccard.similarity(267, 50), 0);
+
+  const cosine = await checkStrategySimilarity('genre-cosine', {}, [0, 1]);
+  assert.ok(Math.abs(cosine.similarity(172, 50) - 5 / Math.sqrt(30)) < EPS);
+
+  await checkStrategySimilarity('item-knn', { minCoRated: 1 }, [-1, 1]);
+  await checkStrategySimilarity('item-knn', { similarity: 'pearson', minCoRated: 1 }, [-1, 1]);
+  await checkStrategySimilarity('funk-svd', { k: 4, epochs: 5 }, [-1, 1]);
+});
+
+test('similarItems ranks genre ties by rating count', async () => {
+  const rec = await createRecommender('genre-cosine').fit(fixtureDataset());
+  const [first, second] = rec.similarItems(172, 2);
+  // Star Wars and Return of the Jedi tie on genres; Star Wars has more ratings.
+  assert.deepEqual([first.itemId, second.itemId], [50, 181]);
+  assert.equal(first.score, second.score);
+});
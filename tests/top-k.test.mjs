@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TopK, selectTopK, buildSimilarityIndex, benchmarkIndex, normalize, mulberry32 } from '../lib/index.mjs';
+
+/* `rows` random unit vectors of `dims`, flat and row-major. */
+function unitVectors(rows, dims, seed) {
+  const rand = mulberry32(seed);
+  const out = new Float32Array(rows * dims);
+  for (let r = 0; r < rows; r++) {
+    out.set(normalize(Array.from({ length: dims }, () => rand() * 2 - 1)), r * dims);
+  }
+  return out;
+}
+
+test('selectTopK returns what a full sort would (seeded property test)', () => {
+  const rand = mulberry32(21);
+  for (let trial = 0; trial < 200; trial++) {
+    // Few distinct scores, so ties are common; ids break them.
+    const entries = Array.from({ length: (rand() * 60) | 0 }, (_, id) => ({ id, score: (rand() * 10) | 0 }));
+    const k = (rand() * 70) | 0;
+    const compare = (a, b) => a.score - b.score || b.id - a.id;
+    const expected = entries.slice().sort((a, b) => compare(b, a)).slice(0, k);
+    assert.deepEqual(selectTopK(entries, k, compare), expected);
+  }
+});
+
+test('TopK keeps at most k entries and ignores pushes when k is 0', () => {
+  const top = new TopK(3);
+  for (const score of [5, 1, 9, 7, 3]) top.push({ score });
+  assert.equal(top.size, 3);
+  assert.equal(top.peekWorst().score, 5);
+  assert.deepEqual(top.sorted().map(e => e.score), [9, 7, 5]);
+  const none = new TopK(0);
+  none.push({ score: 1 });
+  assert.equal(none.size, 0);
+});
+
+test('the exact index never returns the query row and ranks by cosine', async () => {
+  const V = unitVectors(50, 6, 22);
+  const exact = await buildSimilarityIndex(V, 6);
+  const hits = exact.query(0, 49);
+  assert.equal(hits.length, 49);
+  assert.ok(hits.every(h => h.index !== 0 && h.sim >= -1 - 1e-6 && h.sim <= 1 + 1e-6));
+  for (let n = 1; n < hits.length; n++) assert.ok(hits[n - 1].sim >= hits[n].sim);
+});
+
+test('the neighbor table matches the exact scan; LSH stays close to it', async () => {
+  const V = unitVectors(400, 8, 23);
+  const table = await buildSimilarityIndex(V, 8, { similarityIndex: 'table', tableSize: 20 });
+  assert.equal(benchmarkIndex(table, V, 8, { k: 10, queries: 100 }).recall, 1);
+  // Asking for more than the table holds falls back to the scan.
+  assert.equal(table.query(0, 30).length, 30);
+
+  const lsh = await buildSimilarityIndex(V, 8, { similarityIndex: 'lsh', tables: 8, bits: 6, seed: 1 });
+  const { recall } = benchmarkIndex(lsh, V, 8, { k: 10, queries: 100 });
+  assert.ok(recall >= 0.8, `LSH recall ${recall}`);
+
+  await assert.rejects(() => buildSimilarityIndex(V, 8, { similarityIndex: 'kd-tree' }), /Unknown similarity index "kd-tree"/);
+});
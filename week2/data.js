@@ -52,8 +52,9 @@ function parseItemData(text) {
         const id = parseInt(fields[0]);
         const title = fields[1];
         
-        // Extract genres (last 19 fields)
-        const genreValues = fields.slice(5, 24).map(value => parseInt(value));
+        // Extract genres: fields 5..23 are the 19 flags [unknown, Action, ..., Western];
+        // skip "unknown" so the 18 flags line up with genreNames
+        const genreValues = fields.slice(6, 24).map(value => parseInt(value));
         const genres = genreNames.filter((_, index) => genreValues[index] === 1);
         
         movies.push({ id, title, genres });
@@ -63,6 +64,7 @@ function parseItemData(text) {
 // Parse rating data from u.data format
 function parseRatingData(text) {
     const lines = text.split('\n');
+    ratersByItem = null; // rebuilt from the new ratings on the next getCoRatedCount
     
     for (const line of lines) {
         if (line.trim() === '') continue;
@@ -78,3 +80,26 @@ function parseRatingData(text) {
         ratings.push({ userId, itemId, rating, timestamp });
     }
 }
+
+// Number of users who rated both movies (index built lazily from ratings)
+let ratersByItem = null;
+
+function getCoRatedCount(movieIdA, movieIdB) {
+    if (!ratersByItem) {
+        ratersByItem = new Map();
+        for (const r of ratings) {
+            if (!ratersByItem.has(r.itemId)) ratersByItem.set(r.itemId, new Set());
+            ratersByItem.get(r.itemId).add(r.userId);
+        }
+    }
+    
+    const a = ratersByItem.get(movieIdA);
+    const b = ratersByItem.get(movieIdB);
+    if (!a || !b) return 0;
+    
+    let count = 0;
+    for (const userId of a) {
+        if (b.has(userId)) count++;
+    }
+    return count;
+}
@@ -64,6 +64,7 @@ function getRecommendations() {
         }
         
         // Show loading message while processing
+        clearRecommendations();
         resultElement.textContent = "Calculating recommendations...";
         resultElement.className = 'loading';
         
@@ -101,11 +102,11 @@ function getRecommendations() {
                 // Step 6: Select top recommendations
                 const topRecommendations = scoredMovies.slice(0, 2);
                 
-                // Step 7: Display results
+                // Step 7: Display results, each with a "Why this?" explanation
                 if (topRecommendations.length > 0) {
-                    const recommendationTitles = topRecommendations.map(movie => movie.title);
-                    resultElement.textContent = `Because you liked "${likedMovie.title}", we recommend: ${recommendationTitles.join(', ')}`;
+                    resultElement.textContent = `Because you liked "${likedMovie.title}", we recommend:`;
                     resultElement.className = 'success';
+                    renderRecommendations(likedMovie, topRecommendations);
                 } else {
                     resultElement.textContent = `No recommendations found for "${likedMovie.title}".`;
                     resultElement.className = 'error';
@@ -122,3 +123,59 @@ function getRecommendations() {
         resultElement.className = 'error';
     }
 }
+
+// Remove any previously rendered recommendation list
+function clearRecommendations() {
+    const listElement = document.getElementById('recommendations');
+    if (listElement) listElement.innerHTML = '';
+}
+
+// Explain a recommendation: the liked movie it was matched against,
+// the genres they share, and how many users rated both
+function explainRecommendation(likedMovie, recommendation) {
+    return {
+        anchor: likedMovie.title,
+        score: recommendation.score,
+        sharedGenres: likedMovie.genres.filter(genre => recommendation.genres.includes(genre)),
+        coRated: getCoRatedCount(likedMovie.id, recommendation.id)
+    };
+}
+
+// Render recommendations as a list; each item has an expandable explanation
+function renderRecommendations(likedMovie, recommendations) {
+    const listElement = document.getElementById('recommendations');
+    clearRecommendations();
+    
+    recommendations.forEach(movie => {
+        const explanation = explainRecommendation(likedMovie, movie);
+        
+        const item = document.createElement('li');
+        const title = document.createElement('span');
+        title.className = 'recommendation-title';
+        title.textContent = `${movie.title} (Jaccard ${movie.score.toFixed(2)})`;
+        item.appendChild(title);
+        
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = 'Why this?';
+        details.appendChild(summary);
+        
+        const reasons = document.createElement('ul');
+        const lines = [
+            `Because you liked "${explanation.anchor}"`,
+            explanation.sharedGenres.length > 0
+                ? `Shares genres: ${explanation.sharedGenres.join(', ')}`
+                : 'Shares no genres',
+            `Co-rated by ${explanation.coRated} user${explanation.coRated === 1 ? '' : 's'}`
+        ];
+        lines.forEach(text => {
+            const reason = document.createElement('li');
+            reason.textContent = text;
+            reasons.appendChild(reason);
+        });
+        details.appendChild(reasons);
+        item.appendChild(details);
+        
+        listElement.appendChild(item);
+    });
+}